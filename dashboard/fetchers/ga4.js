@@ -1,11 +1,40 @@
 // fetchers/ga4.js
-// Pulls sessions, engagement, top pages, and channel breakdown
-// for this week vs last week so Claude can spot trends.
+// Pulls sessions, engagement, top pages, and channel, device and country
+// breakdowns for this week vs last week so Claude can spot trends, plus
+// key events (conversions) by channel, source/medium and landing page.
+// Which events count is "keyEvents" under ga4 in config/sources.json.
+// Sessions by UTM campaign/content feed the Meta post-click join in
+// lib/attribution.js.
+//
+// "funnels" under ga4 defines step-by-step paths for the funnel report
+// (Data API v1alpha). A step matches any of the page paths (prefix),
+// session sources (substring) or event names it lists:
+//   { "name": "DTMCN application", "steps": [
+//       { "name": "Blog or YouTube", "pagePath": ["/blog"], "source": ["youtube"] },
+//       { "name": "Application",     "event": ["generate_lead"] } ] }
 
-import { BetaAnalyticsDataClient } from '@google-analytics/data';
+import { BetaAnalyticsDataClient, v1alpha } from '@google-analytics/data';
 import * as dotenv from 'dotenv';
+import { withFixture } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { reportingWindow } from '../lib/window.js';
+import { pct, round, sum, toMetrics } from '../lib/metrics.js';
 dotenv.config();
 
+// GA4's recommended event names for a form lead, an account sign-up and a sale
+export const DEFAULT_KEY_EVENTS = ['generate_lead', 'sign_up', 'purchase'];
+
+const MAX_KEY_EVENTS  = 8;   // GA4 allows 10 metrics per request; sessions and engagedSessions take two
+const CONVERSION_ROWS = 10;  // Rows kept per conversion breakdown
+const CAMPAIGN_ROWS   = 250; // Campaign/content rows pulled for the Meta join
+const MAX_FUNNEL_STEPS = 10; // GA4's limit per funnel
+const TOP_PAGES       = 10;  // Pages kept, by sessions this week
+const PAGE_ROWS       = 250; // Page rows pulled across both weeks to find last week's figures
+const TOP_COUNTRIES   = 10;  // Countries kept, by sessions this week
+
+// GA4's placeholders for sessions without a UTM campaign
+const UNTAGGED = new Set(['(not set)', '(direct)', '(organic)', '(referral)', '(cross-network)']);
+
 function getGoogleAuth() {
   const raw = process.env.GOOGLE_SERVICE_ACCOUNT;
   if (!raw) throw new Error('GOOGLE_SERVICE_ACCOUNT env var is missing');
@@ -13,25 +42,64 @@ function getGoogleAuth() {
   return { credentials };
 }
 
-// Returns YYYY-MM-DD for a date N days ago
-function daysAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n);
-  return d.toISOString().split('T')[0];
+// SDK returns [response, request, meta] — only the response is recorded
+function runReport(client, request) {
+  return withFixture('ga4', { method: 'runReport', request }, async () => {
+    const [res] = await client.runReport(request);
+    return [res];
+  });
+}
+
+function runFunnelReport(client, request) {
+  return withFixture('ga4', { method: 'runFunnelReport', request }, async () => {
+    const [res] = await client.runFunnelReport(request);
+    return [res];
+  });
+}
+
+// ── Funnel definitions ────────────────────────────────────────────────────────
+// A config step → a FunnelStep; several conditions are OR'd together
+function funnelStep(funnel, step) {
+  const list    = value => (value == null ? [] : [value].flat());
+  const filters = [
+    ...list(step.pagePath).map(value => ({ funnelFieldFilter: { fieldName: 'pagePath', stringFilter: { matchType: 'BEGINS_WITH', value } } })),
+    ...list(step.source).map(value => ({ funnelFieldFilter: { fieldName: 'sessionSource', stringFilter: { matchType: 'CONTAINS', value, caseSensitive: false } } })),
+    ...list(step.event).map(eventName => ({ funnelEventFilter: { eventName } })),
+  ];
+  if (!step.name || filters.length === 0) {
+    throw new Error(`ga4.funnels "${funnel.name}": every step needs a name and a pagePath, source or event`);
+  }
+  return {
+    name:             step.name,
+    filterExpression: filters.length === 1 ? filters[0] : { orGroup: { expressions: filters } },
+  };
 }
 
-export async function fetchGA4Data() {
+function funnelDefinition(funnel) {
+  const steps = funnel?.steps;
+  if (!funnel?.name || !Array.isArray(steps) || steps.length < 2 || steps.length > MAX_FUNNEL_STEPS) {
+    throw new Error(`ga4.funnels in config/sources.json: each funnel needs a name and 2–${MAX_FUNNEL_STEPS} steps`);
+  }
+  return { isOpenFunnel: false, steps: steps.map(step => funnelStep(funnel, step)) };
+}
+
+export async function fetchGA4Data(window = reportingWindow(), { keyEvents = DEFAULT_KEY_EVENTS, funnels = [] } = {}) {
   const propertyId = process.env.GA4_PROPERTY_ID;
   if (!propertyId) throw new Error('GA4_PROPERTY_ID env var is missing');
+  if (!Array.isArray(keyEvents) || keyEvents.length === 0 || keyEvents.length > MAX_KEY_EVENTS) {
+    throw new Error(`ga4.keyEvents in config/sources.json must list 1–${MAX_KEY_EVENTS} event names`);
+  }
+  const funnelDefs = funnels.map(funnelDefinition);
 
   const client = new BetaAnalyticsDataClient(getGoogleAuth());
+  const { thisWeek, lastWeek } = window;
 
   // ── 1. Week-over-week traffic overview ────────────────────────────────────
-  const [overviewRes] = await client.runReport({
+  const [overviewRes] = await runReport(client, {
     property: `properties/${propertyId}`,
     dateRanges: [
-      { startDate: daysAgo(7),  endDate: daysAgo(1),  name: 'this_week'  },
-      { startDate: daysAgo(14), endDate: daysAgo(8),  name: 'last_week'  },
+      { startDate: thisWeek.start, endDate: thisWeek.end, name: 'this_week' },
+      { startDate: lastWeek.start, endDate: lastWeek.end, name: 'last_week' },
     ],
     metrics: [
       { name: 'sessions' },
@@ -43,10 +111,14 @@ export async function fetchGA4Data() {
     ],
   });
 
-  // ── 2. Top 10 pages by sessions this week ─────────────────────────────────
-  const [pagesRes] = await client.runReport({
+  // ── 2. Top pages by sessions, this week vs last week ──────────────────────
+  // Rows for both weeks share the limit, so pull well past the top 10
+  const [pagesRes] = await runReport(client, {
     property: `properties/${propertyId}`,
-    dateRanges: [{ startDate: daysAgo(7), endDate: daysAgo(1) }],
+    dateRanges: [
+      { startDate: thisWeek.start, endDate: thisWeek.end, name: 'this_week' },
+      { startDate: lastWeek.start, endDate: lastWeek.end, name: 'last_week' },
+    ],
     dimensions: [
       { name: 'pagePath' },
       { name: 'pageTitle' },
@@ -58,15 +130,15 @@ export async function fetchGA4Data() {
       { name: 'averageSessionDuration' },
     ],
     orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
-    limit: 10,
+    limit: PAGE_ROWS,
   });
 
   // ── 3. Traffic by channel (this week vs last week) ─────────────────────────
-  const [channelRes] = await client.runReport({
+  const [channelRes] = await runReport(client, {
     property: `properties/${propertyId}`,
     dateRanges: [
-      { startDate: daysAgo(7),  endDate: daysAgo(1), name: 'this_week' },
-      { startDate: daysAgo(14), endDate: daysAgo(8), name: 'last_week' },
+      { startDate: thisWeek.start, endDate: thisWeek.end, name: 'this_week' },
+      { startDate: lastWeek.start, endDate: lastWeek.end, name: 'last_week' },
     ],
     dimensions: [{ name: 'sessionDefaultChannelGroup' }],
     metrics: [
@@ -78,14 +150,88 @@ export async function fetchGA4Data() {
   });
 
   // ── 4. Daily sessions this week (for sparkline chart) ─────────────────────
-  const [dailyRes] = await client.runReport({
+  const [dailyRes] = await runReport(client, {
     property: `properties/${propertyId}`,
-    dateRanges: [{ startDate: daysAgo(7), endDate: daysAgo(1) }],
+    dateRanges: [{ startDate: thisWeek.start, endDate: thisWeek.end }],
     dimensions: [{ name: 'date' }],
     metrics: [{ name: 'sessions' }, { name: 'engagedSessions' }],
     orderBys: [{ dimension: { dimensionName: 'date' } }],
   });
 
+  // ── 5. Key events this week vs last week: overall and by breakdown ────────
+  // keyEvents:<name> counts one event; the configured events summed are
+  // "conversions"
+  function keyEventReport(dimension) {
+    return runReport(client, {
+      property: `properties/${propertyId}`,
+      dateRanges: [
+        { startDate: thisWeek.start, endDate: thisWeek.end, name: 'this_week' },
+        { startDate: lastWeek.start, endDate: lastWeek.end, name: 'last_week' },
+      ],
+      dimensions: dimension ? [{ name: dimension }] : [],
+      metrics: [{ name: 'sessions' }, ...keyEvents.map(e => ({ name: `keyEvents:${e}` }))],
+      ...(dimension ? { orderBys: [{ metric: { metricName: 'sessions' }, desc: true }], limit: 100 } : {}),
+    });
+  }
+
+  const [[conversionsRes], [byChannelRes], [bySourceMediumRes], [byLandingPageRes]] = await Promise.all([
+    keyEventReport(null),
+    keyEventReport('sessionDefaultChannelGroup'),
+    keyEventReport('sessionSourceMedium'),
+    keyEventReport('landingPage'),
+  ]);
+
+  // ── 6. Sessions and key events by UTM campaign / content this week ────────
+  // utm_content is where ad-level tags go; sessionSource tells Meta
+  // traffic from the rest
+  const [campaignRes] = await runReport(client, {
+    property: `properties/${propertyId}`,
+    dateRanges: [{ startDate: thisWeek.start, endDate: thisWeek.end }],
+    dimensions: [
+      { name: 'sessionCampaignName' },
+      { name: 'sessionManualAdContent' },
+      { name: 'sessionSource' },
+    ],
+    metrics: [
+      { name: 'sessions' },
+      { name: 'engagedSessions' },
+      ...keyEvents.map(e => ({ name: `keyEvents:${e}` })),
+    ],
+    orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
+    limit: CAMPAIGN_ROWS,
+  });
+
+  // ── 7. Configured funnels, this week and last week ────────────────────────
+  // One report per week: a funnel's step rows carry no date range
+  const funnelClient = funnelDefs.length > 0 ? new v1alpha.AlphaAnalyticsDataClient(getGoogleAuth()) : null;
+  const funnelRes    = await Promise.all(funnelDefs.map(funnel => Promise.all(
+    [thisWeek, lastWeek].map(week => runFunnelReport(funnelClient, {
+      property:   `properties/${propertyId}`,
+      dateRanges: [{ startDate: week.start, endDate: week.end }],
+      funnel,
+    }).then(([res]) => res)),
+  )));
+
+  // ── 8. Sessions and engagement by device and country, both weeks ──────────
+  function segmentReport(dimension) {
+    return runReport(client, {
+      property: `properties/${propertyId}`,
+      dateRanges: [
+        { startDate: thisWeek.start, endDate: thisWeek.end, name: 'this_week' },
+        { startDate: lastWeek.start, endDate: lastWeek.end, name: 'last_week' },
+      ],
+      dimensions: [{ name: dimension }],
+      metrics: [{ name: 'sessions' }, { name: 'engagedSessions' }],
+      orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
+      limit: 100,
+    });
+  }
+
+  const [[deviceRes], [countryRes]] = await Promise.all([
+    segmentReport('deviceCategory'),
+    segmentReport('country'),
+  ]);
+
   // ── Parse helpers ──────────────────────────────────────────────────────────
   function parseOverview(res) {
     const result = {};
@@ -99,15 +245,66 @@ export async function fetchGA4Data() {
     return result;
   }
 
+  // Sessions, engaged sessions and engaged sessions as a % of sessions
+  function engagementStats(metricValues) {
+    const sessions        = parseInt(metricValues[0].value);
+    const engagedSessions = parseInt(metricValues[1].value);
+    return {
+      sessions,
+      engagedSessions,
+      engagementRate: sessions ? round((engagedSessions / sessions) * 100) : null,
+    };
+  }
+
+  // This week's figures at the top level, last week's under lastWeek. A
+  // page retitled mid-week has a row per title; rows come busiest first,
+  // so the first one per path and week is kept.
   function parsePages(res) {
-    return (res.rows ?? []).map(row => ({
-      path:            row.dimensionValues[0].value,
-      title:           row.dimensionValues[1].value,
-      sessions:        parseInt(row.metricValues[0].value),
-      engagedSessions: parseInt(row.metricValues[1].value),
-      bounceRate:      parseFloat(row.metricValues[2].value),
-      avgDuration:     parseFloat(row.metricValues[3].value),
-    }));
+    const byPath = {};
+    for (const row of res.rows ?? []) {
+      const path   = row.dimensionValues[0].value;
+      const period = row.dimensionValues[2]?.value ?? 'this_week';
+      byPath[path] ??= {};
+      if (period === 'this_week') byPath[path].title ??= row.dimensionValues[1].value;
+      byPath[path][period] ??= {
+        ...engagementStats(row.metricValues),
+        bounceRate:  parseFloat(row.metricValues[2].value),
+        avgDuration: parseFloat(row.metricValues[3].value),
+      };
+    }
+    return Object.entries(byPath)
+      .filter(([, p]) => p.this_week)
+      .sort(([, a], [, b]) => b.this_week.sessions - a.this_week.sessions)
+      .slice(0, TOP_PAGES)
+      .map(([path, p]) => ({
+        path,
+        title:               p.title,
+        ...p.this_week,
+        lastWeek:            p.last_week ?? null,
+        sessionsDelta:       pct(p.this_week.sessions, p.last_week?.sessions),
+        engagementRateDelta: pct(p.this_week.engagementRate, p.last_week?.engagementRate),
+      }));
+  }
+
+  // One row per device / country with both weeks, busiest first
+  function parseSegments(res, key, limit = Infinity) {
+    const byName = {};
+    for (const row of res.rows ?? []) {
+      const name   = row.dimensionValues[0].value;
+      const period = row.dimensionValues[1]?.value ?? 'this_week';
+      byName[name] = { ...byName[name], [period]: engagementStats(row.metricValues) };
+    }
+    return Object.entries(byName)
+      .filter(([, p]) => p.this_week)
+      .map(([name, p]) => ({
+        [key]:               name,
+        thisWeek:            p.this_week,
+        lastWeek:            p.last_week ?? null,
+        sessionsDelta:       pct(p.this_week.sessions, p.last_week?.sessions),
+        engagementRateDelta: pct(p.this_week.engagementRate, p.last_week?.engagementRate),
+      }))
+      .sort((a, b) => b.thisWeek.sessions - a.thisWeek.sessions)
+      .slice(0, limit);
   }
 
   function parseChannels(res) {
@@ -125,6 +322,138 @@ export async function fetchGA4Data() {
     return result;
   }
 
+  // Sessions, per-event counts, their total and conversions per 100 sessions
+  function parseConversionStats(metricValues) {
+    const sessions = parseInt(metricValues[0].value);
+    const events   = Object.fromEntries(keyEvents.map((e, i) => [e, parseFloat(metricValues[i + 1]?.value ?? 0)]));
+    const total    = sum(Object.values(events));
+    return {
+      sessions,
+      conversions:    total,
+      conversionRate: sessions ? round((total / sessions) * 100, 2) : null,
+      events,
+    };
+  }
+
+  // The date range is always the last dimension; with no other dimension
+  // every row is a period of the overall total
+  function parseConversions(res) {
+    const result = {};
+    for (const row of res.rows ?? []) {
+      const period = row.dimensionValues.at(-1)?.value ?? 'this_week';
+      result[period] = parseConversionStats(row.metricValues);
+    }
+    return result;
+  }
+
+  // One row per channel / source-medium / landing page, most conversions first
+  function parseConversionBreakdown(res, key) {
+    const byName = {};
+    for (const row of res.rows ?? []) {
+      const name   = row.dimensionValues[0].value;
+      const period = row.dimensionValues[1]?.value ?? 'this_week';
+      byName[name] = { ...byName[name], [period]: parseConversionStats(row.metricValues) };
+    }
+    return Object.entries(byName)
+      .filter(([, p]) => p.this_week)
+      .map(([name, p]) => ({
+        [key]:               name,
+        thisWeek:            p.this_week,
+        lastWeek:            p.last_week ?? null,
+        conversionsDelta:    pct(p.this_week.conversions, p.last_week?.conversions),
+        conversionRateDelta: pct(p.this_week.conversionRate, p.last_week?.conversionRate),
+      }))
+      .sort((a, b) => (b.thisWeek.conversions - a.thisWeek.conversions) || (b.thisWeek.sessions - a.thisWeek.sessions))
+      .slice(0, CONVERSION_ROWS);
+  }
+
+  // One row per campaign × ad content × source; untagged traffic dropped
+  function parseCampaignTraffic(res) {
+    return (res.rows ?? [])
+      .filter(row => !UNTAGGED.has(row.dimensionValues[0].value))
+      .map(row => {
+        const sessions        = parseInt(row.metricValues[0].value);
+        const engagedSessions = parseInt(row.metricValues[1].value);
+        const conversions     = sum(row.metricValues.slice(2).map(v => parseFloat(v.value)));
+        return {
+          campaign:           row.dimensionValues[0].value,
+          adContent:          UNTAGGED.has(row.dimensionValues[1].value) ? null : row.dimensionValues[1].value,
+          source:             row.dimensionValues[2].value,
+          sessions,
+          engagedSessions,
+          engagedSessionRate: sessions ? round((engagedSessions / sessions) * 100) : null,
+          conversions,
+        };
+      });
+  }
+
+  // Active users per step, in step order ("1. Blog or YouTube", ...)
+  function parseFunnelUsers(res, stepCount) {
+    const table  = res.funnelTable ?? {};
+    const column = (table.metricHeaders ?? []).findIndex(h => h.name === 'activeUsers');
+    const users  = Array(stepCount).fill(0);
+    for (const row of table.rows ?? []) {
+      const position = parseInt(row.dimensionValues[0].value);
+      if (position >= 1 && position <= stepCount) users[position - 1] = parseInt(row.metricValues[Math.max(column, 0)].value);
+    }
+    return users;
+  }
+
+  // Completion is the share of a step's users who reach the next one;
+  // the last step has none
+  function stepRates(users, i) {
+    const completionRate = i < users.length - 1 && users[i] ? round((users[i + 1] / users[i]) * 100) : null;
+    return {
+      users:           users[i],
+      completionRate,
+      abandonmentRate: completionRate == null ? null : round(100 - completionRate),
+    };
+  }
+
+  // funnels: one summary row per funnel; funnelSteps: one row per step,
+  // with biggestDrop naming the step whose completion fell furthest
+  function parseFunnels(results) {
+    const summaries = [];
+    const steps     = [];
+    funnels.forEach((funnel, f) => {
+      const [thisRes, lastRes] = results[f];
+      const tw   = parseFunnelUsers(thisRes, funnel.steps.length);
+      const lw   = parseFunnelUsers(lastRes, funnel.steps.length);
+      const rows = funnel.steps.map((step, i) => {
+        const thisWeek = stepRates(tw, i);
+        const lastWeek = stepRates(lw, i);
+        return {
+          funnel:              funnel.name,
+          position:            i + 1,
+          step:                step.name,
+          thisWeek,
+          lastWeek,
+          completionRateDelta: pct(thisWeek.completionRate, lastWeek.completionRate),
+        };
+      });
+      const [worst] = rows
+        .filter(r => r.completionRateDelta < 0)
+        .sort((a, b) => a.completionRateDelta - b.completionRateDelta);
+      const overall = users => ({
+        entered:        users[0],
+        completed:      users.at(-1),
+        conversionRate: users[0] ? round((users.at(-1) / users[0]) * 100, 2) : null,
+      });
+      const thisWeek = overall(tw);
+      const lastWeek = overall(lw);
+      summaries.push({
+        name:                funnel.name,
+        steps:               rows.length,
+        thisWeek,
+        lastWeek,
+        conversionRateDelta: pct(thisWeek.conversionRate, lastWeek.conversionRate),
+        biggestDrop:         worst?.step ?? null,
+      });
+      steps.push(...rows);
+    });
+    return { funnels: summaries, funnelSteps: steps };
+  }
+
   function parseDaily(res) {
     return (res.rows ?? []).map(row => ({
       date:            row.dimensionValues[0].value,
@@ -134,11 +463,20 @@ export async function fetchGA4Data() {
   }
 
   const data = {
-    overview:  parseOverview(overviewRes),
-    topPages:  parsePages(pagesRes),
-    channels:  parseChannels(channelRes),
-    daily:     parseDaily(dailyRes),
-    fetchedAt: new Date().toISOString(),
+    overview:                  parseOverview(overviewRes),
+    topPages:                  parsePages(pagesRes),
+    channels:                  parseChannels(channelRes),
+    devices:                   parseSegments(deviceRes, 'device'),
+    countries:                 parseSegments(countryRes, 'country', TOP_COUNTRIES),
+    daily:                     parseDaily(dailyRes),
+    keyEvents,
+    conversions:               parseConversions(conversionsRes),
+    conversionsByChannel:      parseConversionBreakdown(byChannelRes, 'channel'),
+    conversionsBySourceMedium: parseConversionBreakdown(bySourceMediumRes, 'sourceMedium'),
+    conversionsByLandingPage:  parseConversionBreakdown(byLandingPageRes, 'landingPage'),
+    campaignTraffic:           parseCampaignTraffic(campaignRes),
+    ...parseFunnels(funnelRes),
+    fetchedAt:                 new Date().toISOString(),
   };
 
   // Compute week-over-week deltas for Claude context
@@ -152,15 +490,77 @@ export async function fetchGA4Data() {
       engagementDelta:  pct(tw.engagedSessions, lw.engagedSessions),
     };
   }
+  if (data.conversions.this_week) {
+    const tw = data.conversions.this_week;
+    const lw = data.conversions.last_week;
+    data.weekOverWeek = {
+      ...data.weekOverWeek,
+      conversionsDelta:    pct(tw.conversions, lw?.conversions),
+      conversionRateDelta: pct(tw.conversionRate, lw?.conversionRate),
+    };
+  }
 
+  data.metrics = toMetrics('ga4', data, thisWeek);
   return data;
 }
 
-function pct(current, previous) {
-  if (!previous || previous === 0) return null;
-  return Math.round(((current - previous) / previous) * 1000) / 10; // one decimal
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function ga4Health(data) {
+  const { this_week: tw, last_week: lw } = data.conversions ?? {};
+  const silent = tw && !tw.conversions && !lw?.conversions;
+  const empty  = (data.funnels ?? []).filter(f => !f.thisWeek.entered && !f.lastWeek.entered);
+  return {
+    records: {
+      topPages:           data.topPages?.length ?? 0,
+      channels:           Object.keys(data.channels ?? {}).length,
+      devices:            data.devices?.length ?? 0,
+      countries:          data.countries?.length ?? 0,
+      days:               data.daily?.length ?? 0,
+      conversionChannels: data.conversionsByChannel?.length ?? 0,
+      campaignRows:       data.campaignTraffic?.length ?? 0,
+      funnelSteps:        data.funnelSteps?.length ?? 0,
+    },
+    warnings: [
+      ...(silent ? [`No ${data.keyEvents.join(', ')} events in either week — check ga4.keyEvents in config/sources.json matches the property's key events`] : []),
+      ...empty.map(f => `Nobody entered the "${f.name}" funnel in either week — check its first step in ga4.funnels`),
+    ],
+  };
 }
 
+// Doctor: one live report for yesterday's sessions, bypassing fixtures
+async function ga4Check() {
+  const propertyId = process.env.GA4_PROPERTY_ID;
+  if (!/^\d+$/.test(propertyId ?? '')) {
+    throw new Error(`GA4_PROPERTY_ID "${propertyId}" is not a numeric property ID`);
+  }
+  const client = new BetaAnalyticsDataClient(getGoogleAuth());
+  const [res] = await client.runReport({
+    property:   `properties/${propertyId}`,
+    dateRanges: [{ startDate: 'yesterday', endDate: 'yesterday' }],
+    metrics:    [{ name: 'sessions' }],
+  });
+  const sessions = res.rows?.[0]?.metricValues?.[0]?.value ?? 0;
+  return { summary: `Property ${propertyId} — ${sessions} sessions yesterday` };
+}
+
+export const source = {
+  id:          'ga4',
+  name:        'GA4',
+  heading:     'GA4 — Website Analytics',
+  description: 'Sessions, engagement, bounce rate and users this week vs last week, plus top pages, traffic by channel and daily sessions. Top pages, devices and countries carry last week figures with sessionsDelta and engagementRateDelta; engagementRate is engaged sessions as a % of sessions. Conversions are the configured key events (keyEvents lists them), with conversionRate as conversions per 100 sessions, overall and by channel, source/medium and landing page. campaignTraffic is UTM-tagged sessions this week by campaign, ad content and source, with engagedSessionRate as a %. funnels summarises each configured funnel (entered, completed, conversionRate as a % of entrants, biggestDrop is the step whose completion rate fell most week over week); funnelSteps gives users per step, completionRate (% reaching the next step) and abandonmentRate.',
+  envVars:     ['GA4_PROPERTY_ID', 'GOOGLE_SERVICE_ACCOUNT'],
+  fetch:       fetchGA4Data,
+  health:      ga4Health,
+  check:       ga4Check,
+  hints: [
+    { match: /JSON/,                          fix: 'GOOGLE_SERVICE_ACCOUNT must be the whole service account key file as one line of JSON' },
+    { match: /numeric property ID|NOT_FOUND/, fix: 'GA4_PROPERTY_ID is the number under Admin → Property details, not the G-XXXXXXX measurement ID' },
+    { match: /PERMISSION_DENIED|permission/i, fix: "Add the service account's client_email as a Viewer in GA4 → Admin → Property access management" },
+    { match: /has not been used|is disabled/, fix: 'Enable the Google Analytics Data API in Google Cloud Console' },
+  ],
+};
+
 // ── Standalone test ───────────────────────────────────────────────────────────
 // Run: npm run test:ga4
 if (process.argv[1].includes('ga4.js')) {
@@ -176,9 +576,13 @@ if (process.argv[1].includes('ga4.js')) {
       console.table(data.topPages.slice(0, 5));
       console.log('\n── Channels ──');
       console.log(JSON.stringify(data.channels, null, 2));
+      console.log(`\n── Conversions (${data.keyEvents.join(', ')}) ──`);
+      console.log(JSON.stringify(data.conversions, null, 2));
+      console.table(data.conversionsByChannel.map(c => ({ channel: c.channel, ...c.thisWeek, events: undefined })));
     })
     .catch(err => {
       console.error('\n❌ GA4 fetch failed:', err.message);
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
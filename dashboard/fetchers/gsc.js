@@ -1,9 +1,18 @@
 // fetchers/gsc.js
 // Pulls top queries, top pages, and keyword position trends
-// from Google Search Console for the past 7 days.
+// from Google Search Console for the past 7 days, plus every query+page
+// pair to find queries where several of our URLs compete.
+//
+// pageClicks (every page with clicks, most first) is archived each week;
+// lib/decay.js reads it back to flag posts losing clicks over 12 weeks.
 
 import { google } from 'googleapis';
 import * as dotenv from 'dotenv';
+import { withFixture } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { reportingWindow, shiftWindow } from '../lib/window.js';
+import { round, toMetrics } from '../lib/metrics.js';
+import { TRACKED_PAGES } from '../lib/decay.js';
 dotenv.config();
 
 function getGoogleAuth() {
@@ -16,27 +25,81 @@ function getGoogleAuth() {
   });
 }
 
-function daysAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n);
-  return d.toISOString().split('T')[0];
+const PAGE_SIZE          = 25000;  // Most rows the API returns per request
+const MAX_ROWS           = 100000; // Stop paginating here, so one huge property can't run all day
+const CANNIBAL_MIN_SHARE = 0.1;    // A competing URL needs this share of the query's impressions…
+const CANNIBAL_MIN_IMPR  = 10;     // …and at least this many impressions
+const CANNIBAL_URLS      = 3;      // Competing URLs listed per query
+const CANNIBAL_ROWS      = 10;
+
+function query(sc, params) {
+  return withFixture('gsc', { method: 'searchanalytics.query', params }, async () => {
+    const { data } = await sc.searchanalytics.query(params);
+    return { data };
+  });
 }
 
-export async function fetchGSCData() {
+// Every row for a request, PAGE_SIZE at a time, until a short page or
+// MAX_ROWS. Rows come back most clicks first.
+async function queryAll(sc, siteUrl, requestBody) {
+  const rows = [];
+  while (rows.length < MAX_ROWS) {
+    const { data } = await query(sc, {
+      siteUrl,
+      requestBody: { ...requestBody, rowLimit: PAGE_SIZE, startRow: rows.length },
+    });
+    rows.push(...(data.rows ?? []));
+    if ((data.rows?.length ?? 0) < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// Queries where two or more of our URLs each draw a real share of the
+// impressions, most impressions first. rows: query+page pairs.
+function findCannibalization(rows) {
+  const byQuery = new Map();
+  for (const row of rows) {
+    const [q, page] = row.keys;
+    if (!byQuery.has(q)) byQuery.set(q, []);
+    byQuery.get(q).push({ page, clicks: row.clicks, impressions: row.impressions, position: round(row.position) });
+  }
+
+  const out = [];
+  for (const [key, pages] of byQuery) {
+    const impressions = pages.reduce((a, p) => a + p.impressions, 0);
+    const competing   = pages
+      .filter(p => p.impressions >= CANNIBAL_MIN_IMPR && p.impressions >= impressions * CANNIBAL_MIN_SHARE)
+      .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions);
+    if (competing.length < 2) continue;
+    const clicks = pages.reduce((a, p) => a + p.clicks, 0);
+    out.push({
+      key,
+      clicks,
+      impressions,
+      competingPages: competing.length,
+      topPageShare:   clicks ? round((competing[0].clicks / clicks) * 100) : null, // % of the query's clicks
+      pages:          competing.slice(0, CANNIBAL_URLS),
+    });
+  }
+  return out.sort((a, b) => b.impressions - a.impressions).slice(0, CANNIBAL_ROWS);
+}
+
+export async function fetchGSCData(window = reportingWindow()) {
   const siteUrl = process.env.GSC_SITE_URL;
   if (!siteUrl) throw new Error('GSC_SITE_URL env var is missing');
 
   const auth = getGoogleAuth();
   const sc   = google.searchconsole({ version: 'v1', auth });
 
-  // GSC has a 3-day data lag — use 10 days ago to 3 days ago for "this week"
-  const thisWeekEnd   = daysAgo(3);
-  const thisWeekStart = daysAgo(10);
-  const lastWeekEnd   = daysAgo(11);
-  const lastWeekStart = daysAgo(17);
+  // GSC has a 3-day data lag — shift the reporting window back 3 days
+  const { thisWeek, lastWeek } = shiftWindow(window, -3);
+  const thisWeekEnd   = thisWeek.end;
+  const thisWeekStart = thisWeek.start;
+  const lastWeekEnd   = lastWeek.end;
+  const lastWeekStart = lastWeek.start;
 
   // ── 1. Top 50 queries this week ───────────────────────────────────────────
-  const { data: queriesRes } = await sc.searchanalytics.query({
+  const { data: queriesRes } = await query(sc, {
     siteUrl,
     requestBody: {
       startDate:  thisWeekStart,
@@ -47,20 +110,16 @@ export async function fetchGSCData() {
     },
   });
 
-  // ── 2. Top 25 pages this week ─────────────────────────────────────────────
-  const { data: pagesRes } = await sc.searchanalytics.query({
-    siteUrl,
-    requestBody: {
-      startDate:  thisWeekStart,
-      endDate:    thisWeekEnd,
-      dimensions: ['page'],
-      rowLimit:   25,
-      dataState:  'final',
-    },
+  // ── 2. Every page this week ───────────────────────────────────────────────
+  const pageRows = await queryAll(sc, siteUrl, {
+    startDate:  thisWeekStart,
+    endDate:    thisWeekEnd,
+    dimensions: ['page'],
+    dataState:  'final',
   });
 
   // ── 3. Same queries last week (for comparison) ────────────────────────────
-  const { data: lastWeekRes } = await sc.searchanalytics.query({
+  const { data: lastWeekRes } = await query(sc, {
     siteUrl,
     requestBody: {
       startDate:  lastWeekStart,
@@ -72,7 +131,7 @@ export async function fetchGSCData() {
   });
 
   // ── 4. Device breakdown ───────────────────────────────────────────────────
-  const { data: deviceRes } = await sc.searchanalytics.query({
+  const { data: deviceRes } = await query(sc, {
     siteUrl,
     requestBody: {
       startDate:  thisWeekStart,
@@ -82,14 +141,22 @@ export async function fetchGSCData() {
     },
   });
 
+  // ── 5. Every query + page pair this week ──────────────────────────────────
+  const pairRows = await queryAll(sc, siteUrl, {
+    startDate:  thisWeekStart,
+    endDate:    thisWeekEnd,
+    dimensions: ['query', 'page'],
+    dataState:  'final',
+  });
+
   // ── Parse helpers ─────────────────────────────────────────────────────────
   function parseRows(rows = []) {
     return rows.map(row => ({
       key:          row.keys[0],
       clicks:       row.clicks,
       impressions:  row.impressions,
-      ctr:          Math.round(row.ctr * 1000) / 10,       // as %
-      position:     Math.round(row.position * 10) / 10,    // one decimal
+      ctr:          round(row.ctr * 100),    // as %
+      position:     round(row.position),     // one decimal
     }));
   }
 
@@ -105,7 +172,7 @@ export async function fetchGSCData() {
     return {
       ...q,
       positionLastWeek: lw?.position ?? null,
-      positionDelta:    lw ? Math.round((lw.position - q.position) * 10) / 10 : null, // positive = improved
+      positionDelta:    lw ? round(lw.position - q.position) : null, // positive = improved
       clicksDelta:      lw ? q.clicks - lw.clicks : null,
     };
   });
@@ -120,21 +187,72 @@ export async function fetchGSCData() {
     .sort((a, b) => b.impressions - a.impressions)
     .slice(0, 10);
 
-  return {
+  const pages = parseRows(pageRows);
+
+  const data = {
     thisWeek: {
       startDate: thisWeekStart,
       endDate:   thisWeekEnd,
     },
     topQueries:      queriesWithDelta.slice(0, 25),
-    topPages:        parseRows(pagesRes.rows).slice(0, 15),
+    topPages:        pages.slice(0, 15),
+    pageClicks:      pages.filter(p => p.clicks > 0).slice(0, TRACKED_PAGES),
     risingQueries,
     fallingQueries,
     opportunities,
+    cannibalization: findCannibalization(pairRows),
     deviceBreakdown: parseRows(deviceRes.rows),
     fetchedAt:       new Date().toISOString(),
   };
+  data.metrics = toMetrics('gsc', data, thisWeek);
+  return data;
+}
+
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function gscHealth(data) {
+  return {
+    records: {
+      queries:         data.topQueries?.length ?? 0,
+      pages:           data.pageClicks?.length ?? data.topPages?.length ?? 0,
+      cannibalization: data.cannibalization?.length ?? 0,
+    },
+  };
+}
+
+// Doctor: look up the property itself, bypassing fixtures. Domain
+// properties need the sc-domain: prefix, URL-prefix ones a trailing slash.
+async function gscCheck() {
+  const siteUrl = process.env.GSC_SITE_URL;
+  const warnings = [];
+  if (!siteUrl.startsWith('sc-domain:') && !siteUrl.endsWith('/')) {
+    warnings.push(`GSC_SITE_URL "${siteUrl}" is neither sc-domain:… nor a URL ending in /`);
+  }
+  const sc = google.searchconsole({ version: 'v1', auth: getGoogleAuth() });
+  const { data } = await sc.sites.get({ siteUrl });
+  if (data.permissionLevel === 'siteUnverifiedUser') {
+    throw new Error(`Service account has no verified access to ${siteUrl} (403)`);
+  }
+  return { summary: `${data.siteUrl} — ${data.permissionLevel}`, warnings };
 }
 
+export const source = {
+  id:          'gsc',
+  name:        'GSC',
+  heading:     'Google Search Console — Organic Search',
+  description: 'Top queries and pages with position changes vs last week, rising/falling queries, high-impression low-CTR opportunities, queries where several of our URLs compete (cannibalization) and pages whose clicks have decayed over 12 weeks. Lags 3 days behind the other sources.',
+  envVars:     ['GSC_SITE_URL', 'GOOGLE_SERVICE_ACCOUNT'],
+  fetch:       fetchGSCData,
+  health:      gscHealth,
+  check:       gscCheck,
+  hints: [
+    { match: /JSON/,                          fix: 'GOOGLE_SERVICE_ACCOUNT must be the whole service account key file as one line of JSON' },
+    { match: /404|not found|sc-domain/i,      fix: 'Check your GSC_SITE_URL — try both https://yoursite.com/ and sc-domain:yoursite.com' },
+    { match: /403|permission/i,               fix: "Add the service account's client_email as a user in Search Console → Settings → Users and permissions" },
+    { match: /has not been used|is disabled/, fix: 'Enable the Google Search Console API in Google Cloud Console' },
+  ],
+};
+
 // ── Standalone test ───────────────────────────────────────────────────────────
 if (process.argv[1].includes('gsc.js')) {
   console.log('Testing GSC fetcher...');
@@ -147,12 +265,12 @@ if (process.argv[1].includes('gsc.js')) {
       console.table(data.risingQueries.slice(0, 5));
       console.log('\n── Opportunities (high impressions, low CTR) ──');
       console.table(data.opportunities.slice(0, 5));
+      console.log('\n── Cannibalization (several URLs per query) ──');
+      console.table(data.cannibalization.slice(0, 5).map(c => ({ ...c, pages: c.pages.map(p => p.page).join(' , ') })));
     })
     .catch(err => {
       console.error('\n❌ GSC fetch failed:', err.message);
-      if (err.message.includes('404')) {
-        console.error('💡 Check your GSC_SITE_URL — try both https://yoursite.com/ and sc-domain:yoursite.com');
-      }
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
@@ -0,0 +1,58 @@
+// fetchers/index.js
+// Registry of every data source. Each fetcher module exports a `source`
+// entry (id, name, prompt heading/description, env vars, fetch function
+// called with the reporting window and the source's config/sources.json
+// entry, a health function summarising record counts and partial
+// failures, and a check function plus fix hints for scripts/doctor.js);
+// the report script, prompt builder and failure reporting all loop over
+// this list.
+// To add a platform, write the fetcher, add it here, and add its name to
+// the insight "source" enum in schema/report.schema.json.
+
+import fs from 'fs';
+
+import { source as ga4 }      from './ga4.js';
+import { source as gsc }      from './gsc.js';
+import { source as youtube }  from './youtube.js';
+import { source as meta }     from './meta.js';
+import { source as kit }      from './kit.js';
+import { source as unbounce } from './unbounce.js';
+import { source as vimeo }    from './vimeo.js';
+
+export const SOURCES_CONFIG_PATH = './dashboard/config/sources.json';
+
+// Order here is the order sources appear in the prompt
+export const SOURCES = [ga4, gsc, youtube, meta, kit, unbounce, vimeo];
+
+// Per-source switches from config/sources.json, e.g. { "vimeo": { "enabled": false } }.
+// Sources missing from the file are enabled.
+export function loadSourcesConfig(configPath = SOURCES_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) return {};
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+export function enabledSources(config = loadSourcesConfig()) {
+  return SOURCES.filter(s => config[s.id]?.enabled !== false);
+}
+
+export function getSource(id) {
+  return SOURCES.find(s => s.id === id) ?? null;
+}
+
+// Required env vars that aren't set for a source. envVarsOneOf lists
+// alternative sets (e.g. a token, or the credentials to refresh one);
+// when none is complete, the alternatives are reported as one entry.
+export function missingEnv(source) {
+  const missing = source.envVars.filter(name => !process.env[name]);
+  const sets    = source.envVarsOneOf ?? [];
+  if (sets.length > 0 && !sets.some(set => set.every(name => process.env[name]))) {
+    missing.push(sets.map(set => set.join(' + ')).join(' or '));
+  }
+  return missing;
+}
+
+// Env vars a replay fills with placeholders: the required ones and the
+// first alternative set
+export function sourceEnv(source) {
+  return [...source.envVars, ...(source.envVarsOneOf?.[0] ?? [])];
+}
@@ -3,10 +3,19 @@
 // from Kit (ConvertKit) v4 API.
 
 import * as dotenv from 'dotenv';
+import { withFixture } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { createClient } from '../lib/http.js';
+import { reportingWindow, addDays } from '../lib/window.js';
+import { avg, round, toMetrics } from '../lib/metrics.js';
 dotenv.config();
 
 const KIT_BASE = 'https://api.kit.com/v4';
 
+const BROADCASTS     = 8;    // Broadcasts kept, so we have trend data
+const BROADCAST_PAGE = 50;   // Broadcasts per request while paging back
+const MAX_PAGES      = 20;   // Stop paging here, however far back the window is
+
 function headers() {
   const secret = process.env.KIT_API_SECRET;
   if (!secret) throw new Error('KIT_API_SECRET env var is missing');
@@ -16,26 +25,40 @@ function headers() {
   };
 }
 
+const kit = createClient({ platform: 'Kit', baseUrl: KIT_BASE, headers, concurrency: 4 });
+
 async function kitGet(path) {
-  const res = await fetch(`${KIT_BASE}${path}`, { headers: headers() });
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Kit API error ${res.status} on ${path}: ${body}`);
+  return withFixture('kit', path, () => kit.get(path));
+}
+
+// The BROADCASTS newest sent on or before `end`. Kit v4 returns broadcasts
+// newest first, a cursor page at a time, so a backfilled week pages back
+// past everything sent since. Drafts carry neither date and are skipped.
+async function broadcastsUntil(end) {
+  const found = [];
+  let cursor  = null;
+  for (let page = 0; page < MAX_PAGES && found.length < BROADCASTS; page++) {
+    const after = cursor ? `&after=${encodeURIComponent(cursor)}` : '';
+    const res   = await kitGet(`/broadcasts?per_page=${BROADCAST_PAGE}&sort_field=published_at&sort_order=desc${after}`);
+    found.push(...(res.broadcasts ?? res.data ?? [])
+      .filter(b => b.published_at || b.send_at)
+      .filter(b => (b.published_at ?? b.send_at).slice(0, 10) <= end));
+    if (!res.pagination?.has_next_page) break;
+    cursor = res.pagination.end_cursor;
   }
-  return res.json();
+  return found.slice(0, BROADCASTS);
 }
 
-export async function fetchKitData() {
+export async function fetchKitData(window = reportingWindow()) {
 
   // ── 1. Recent broadcasts (last 8 so we have trend data) ──────────────────
-  // Kit v4 returns broadcasts sorted newest first
-  const broadcastsRes = await kitGet('/broadcasts?per_page=8&sort_field=published_at&sort_order=desc');
-  const broadcasts    = broadcastsRes.broadcasts ?? broadcastsRes.data ?? [];
+  // When re-running a past week, ignore anything sent after the window
+  const broadcasts = await broadcastsUntil(window.thisWeek.end);
 
   // ── 2. Get stats for each broadcast ──────────────────────────────────────
   // Kit v4: GET /broadcasts/:id/stats
   const broadcastsWithStats = await Promise.all(
-    broadcasts.slice(0, 8).map(async (b) => {
+    broadcasts.map(async (b) => {
       try {
         const statsRes = await kitGet(`/broadcasts/${b.id}/stats`);
         const stats    = statsRes.broadcast?.stats ?? statsRes.stats ?? {};
@@ -65,9 +88,11 @@ export async function fetchKitData() {
 
   // Separate complete stats from pending
   const completedBroadcasts = broadcastsWithStats.filter(b => b.statsAvailable !== false);
+  const pendingBroadcasts   = broadcastsWithStats.filter(b => b.statsAvailable === false);
   const recentBroadcasts    = completedBroadcasts.slice(0, 4);
 
   // ── 3. Subscriber counts ─────────────────────────────────────────────────
+  // Kit only exposes current totals, so these are as of the run, not the window
   const [activeRes, totalRes] = await Promise.all([
     kitGet('/subscribers?status=active&per_page=1'),
     kitGet('/subscribers?per_page=1'),
@@ -81,27 +106,25 @@ export async function fetchKitData() {
     ?? 0;
 
   // ── 4. New subscribers this week ─────────────────────────────────────────
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const isoDate = sevenDaysAgo.toISOString().split('T')[0];
+  const createdAfter  = window.thisWeek.start;
+  const createdBefore = addDays(window.thisWeek.end, 1);
 
   const newThisWeekRes = await kitGet(
-    `/subscribers?status=active&created_after=${isoDate}&per_page=1`
+    `/subscribers?status=active&created_after=${createdAfter}&created_before=${createdBefore}&per_page=1`
   );
   const newThisWeek = newThisWeekRes.pagination?.total_count
     ?? newThisWeekRes.meta?.total_count
     ?? 0;
 
   // ── 5. Compute averages over last 4 completed broadcasts ─────────────────
-  function avg(arr, key) {
-    const vals = arr.map(b => b[key]).filter(v => v != null && !isNaN(v));
-    return vals.length ? round(vals.reduce((a, b) => a + b, 0) / vals.length, 1) : null;
+  function average(key) {
+    return round(avg(recentBroadcasts.map(b => b[key])));
   }
 
   const averages = {
-    openRate:        avg(recentBroadcasts, 'openRate'),
-    clickRate:       avg(recentBroadcasts, 'clickRate'),
-    unsubscribeRate: avg(recentBroadcasts, 'unsubscribeRate'),
+    openRate:        average('openRate'),
+    clickRate:       average('clickRate'),
+    unsubscribeRate: average('unsubscribeRate'),
   };
 
   // Best and worst performing broadcasts
@@ -109,7 +132,7 @@ export async function fetchKitData() {
   const bestBroadcast   = sorted[0]  ?? null;
   const worstBroadcast  = sorted[sorted.length - 1] ?? null;
 
-  return {
+  const data = {
     subscribers: {
       active:     activeSubscribers,
       total:      totalSubscribers,
@@ -120,15 +143,47 @@ export async function fetchKitData() {
     averages,
     bestBroadcast,
     worstBroadcast,
+    pendingBroadcasts: pendingBroadcasts.length > 0
+      ? pendingBroadcasts.map(b => ({ subject: b.subject, publishedAt: b.publishedAt }))
+      : undefined,
     fetchedAt: new Date().toISOString(),
   };
+  data.metrics = toMetrics('kit', data, window.thisWeek);
+  return data;
 }
 
-function round(val, decimals = 1) {
-  const factor = Math.pow(10, decimals);
-  return Math.round(val * factor) / factor;
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function kitHealth(data) {
+  const pending = data.pendingBroadcasts ?? [];
+  return {
+    records:  { broadcasts: (data.allBroadcasts ?? data.recentBroadcasts)?.length ?? 0 },
+    warnings: pending.length > 0
+      ? [`${pending.length} broadcast(s) without stats yet: ${pending.map(b => `"${b.subject}"`).join(', ')}`]
+      : [],
+  };
 }
 
+// Doctor: one live account lookup, bypassing fixtures
+async function kitCheck() {
+  const { account } = await kit.get('/account');
+  return { summary: `Account "${account?.name ?? 'unnamed'}"` };
+}
+
+export const source = {
+  id:          'kit',
+  name:        'Kit',
+  heading:     'Kit (ConvertKit) — Email Newsletter',
+  description: 'Subscriber counts and new subscribers this week, recent broadcast open/click/unsubscribe rates and best/worst broadcasts.',
+  envVars:     ['KIT_API_SECRET'],
+  fetch:       fetchKitData,
+  health:      kitHealth,
+  check:       kitCheck,
+  hints: [
+    { match: /401|403/, fix: 'KIT_API_SECRET must be a v4 API key — create one under Kit → Settings → Developer' },
+  ],
+};
+
 // ── Standalone test ───────────────────────────────────────────────────────────
 if (process.argv[1].includes('kit.js')) {
   console.log('Testing Kit fetcher...');
@@ -151,6 +206,7 @@ if (process.argv[1].includes('kit.js')) {
     })
     .catch(err => {
       console.error('\n❌ Kit fetch failed:', err.message);
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
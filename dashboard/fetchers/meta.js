@@ -3,6 +3,11 @@
 // from the Meta Ads API for this week vs last week.
 
 import * as dotenv from 'dotenv';
+import { withFixture } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { createClient } from '../lib/http.js';
+import { reportingWindow } from '../lib/window.js';
+import { pct, round, toMetrics } from '../lib/metrics.js';
 dotenv.config();
 
 const META_BASE    = 'https://graph.facebook.com/v19.0';
@@ -17,22 +22,23 @@ const ACCESS_TOKEN = () => {
   return t;
 };
 
-function daysAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n);
-  return d.toISOString().split('T')[0];
+// Meta reports throttling as a 400 with an error code in the body:
+// 4/17/32/613 are app, user and page rate limits, 80000–80014 are the
+// Ads Insights limits
+function isRateLimited(status, body) {
+  const code = body?.error?.code;
+  return body?.error?.is_transient === true
+    || [4, 17, 32, 613].includes(code)
+    || (code >= 80000 && code <= 80014);
 }
 
+const meta = createClient({ platform: 'Meta', baseUrl: META_BASE, concurrency: 4, isRetryable: isRateLimited });
+
+// The access token is added inside the fixture wrapper so it never ends up in a fixture key
 async function metaGet(path, params = {}) {
-  const url = new URL(`${META_BASE}${path}`);
-  url.searchParams.set('access_token', ACCESS_TOKEN());
-  for (const [k, v] of Object.entries(params)) {
-    url.searchParams.set(k, typeof v === 'object' ? JSON.stringify(v) : v);
-  }
-  const res = await fetch(url.toString());
-  const json = await res.json();
-  if (json.error) throw new Error(`Meta API error: ${json.error.message}`);
-  return json;
+  return withFixture('meta', { path, params }, () =>
+    meta.get(path, { params: { ...params, access_token: ACCESS_TOKEN() } })
+  );
 }
 
 // Core fields to pull for any insights query
@@ -52,11 +58,11 @@ const INSIGHT_FIELDS = [
   'video_p75_watched_actions',
 ].join(',');
 
-export async function fetchMetaData() {
+export async function fetchMetaData(window = reportingWindow()) {
   const accountId = AD_ACCOUNT();
 
-  const thisWeekRange = { since: daysAgo(7),  until: daysAgo(1) };
-  const lastWeekRange = { since: daysAgo(14), until: daysAgo(8) };
+  const thisWeekRange = { since: window.thisWeek.start, until: window.thisWeek.end };
+  const lastWeekRange = { since: window.lastWeek.start, until: window.lastWeek.end };
 
   // ── 1. Account-level summary: this week vs last week ─────────────────────
   const [thisWeekAccount, lastWeekAccount] = await Promise.all([
@@ -170,7 +176,7 @@ export async function fetchMetaData() {
     (c.ctr < 0.5 && c.spend > 50)
   );
 
-  return {
+  const data = {
     thisWeek:      { ...thisWeekSummary, dateRange: thisWeekRange },
     lastWeek:      { ...lastWeekSummary, dateRange: lastWeekRange },
     weekOverWeek,
@@ -179,18 +185,61 @@ export async function fetchMetaData() {
     underperforming,
     fetchedAt:     new Date().toISOString(),
   };
+  data.metrics = toMetrics('meta', data, window.thisWeek);
+  return data;
 }
 
-function pct(current, previous) {
-  if (!previous || previous === 0) return null;
-  return Math.round(((current - previous) / previous) * 1000) / 10;
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function metaHealth(data) {
+  return {
+    records:  { campaigns: data.campaigns?.length ?? 0, ads: data.topAds?.length ?? 0 },
+    warnings: !data.campaigns?.length && data.thisWeek?.spend > 0
+      ? ['Spend recorded but no campaign rows returned']
+      : [],
+  };
 }
 
-function round(val, decimals = 2) {
-  const factor = Math.pow(10, decimals);
-  return Math.round(val * factor) / factor;
+// Doctor: debug_token is the only place Meta exposes the token's expiry
+// (expires_at is 0 for tokens that never expire); the account lookup
+// proves the token can read the ad account. Both bypass fixtures.
+async function metaCheck() {
+  const token     = ACCESS_TOKEN();
+  const accountId = AD_ACCOUNT();
+  if (!accountId.startsWith('act_')) {
+    throw new Error(`META_AD_ACCOUNT_ID "${accountId}" should be in the format act_XXXXXXXXX`);
+  }
+
+  const { data: info } = await meta.get('/debug_token', { params: { input_token: token, access_token: token } });
+  if (!info?.is_valid) {
+    throw new Error(`Meta access token is invalid${info?.error?.message ? `: ${info.error.message}` : ''}`);
+  }
+
+  const account = await meta.get(`/${accountId}`, { params: { fields: 'name,account_status', access_token: token } });
+  return {
+    summary:   `Ad account "${account.name}"${info.expires_at ? '' : ', token never expires'}`,
+    expiresAt: info.expires_at ? new Date(info.expires_at * 1000).toISOString() : null,
+    // 1 is ACTIVE; anything else (disabled, unsettled, in review…) stops delivery
+    warnings:  account.account_status !== 1 ? [`Ad account status is ${account.account_status}, not active (1)`] : [],
+  };
 }
 
+export const source = {
+  id:          'meta',
+  name:        'Meta',
+  heading:     'Meta Ads — Paid Social',
+  description: 'Account spend, impressions, leads and cost per lead this week vs last week, campaign and ad breakdowns, and flagged underperforming campaigns. When GA4 ran too, postClickCampaigns and postClickAds join them to GA4 sessions by UTM campaign / content: engagedSessionRate is the % of those sessions that engaged, conversionsPerDollar is GA4 key events per dollar spent (null where nothing matched); unmatchedMetaCampaigns and unmatchedUtmCampaigns are names the join could not pair.',
+  envVars:     ['META_ACCESS_TOKEN', 'META_AD_ACCOUNT_ID'],
+  fetch:       fetchMetaData,
+  health:      metaHealth,
+  check:       metaCheck,
+  hints: [
+    { match: /access token|OAuthException|expire/i, fix: 'Your Meta access token may have expired. System User tokens last 60 days — generate a new one under Business Settings → System users and update META_ACCESS_TOKEN.' },
+    { match: /act_/,                                fix: 'Copy the ad account ID from Ads Manager and prefix it with act_' },
+    { match: /\(#(10|200|272)\)|permission/i,       fix: 'Assign the ad account to the system user in Business Settings with at least ads_read' },
+  ],
+};
+
 // ── Standalone test ───────────────────────────────────────────────────────────
 if (process.argv[1].includes('meta.js')) {
   console.log('Testing Meta Ads fetcher...');
@@ -212,9 +261,7 @@ if (process.argv[1].includes('meta.js')) {
     })
     .catch(err => {
       console.error('\n❌ Meta fetch failed:', err.message);
-      if (err.message.includes('token')) {
-        console.error('💡 Your Meta access token may have expired. System User tokens last 60 days.');
-      }
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
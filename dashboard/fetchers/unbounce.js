@@ -3,36 +3,50 @@
 // results from Unbounce for this week vs last week.
 
 import * as dotenv from 'dotenv';
+import { loadBusinessConfig, channelThresholds } from '../lib/config.js';
+import { withFixture, isReplaying } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { createClient } from '../lib/http.js';
+import { reportingWindow } from '../lib/window.js';
+import { pct, avg, round, toMetrics } from '../lib/metrics.js';
 dotenv.config();
 
 const UNBOUNCE_BASE = 'https://api.unbounce.com';
 
+// Two stats calls per page for up to 50 pages — keep the fan-out polite
+const unbounce = createClient({ platform: 'Unbounce', baseUrl: UNBOUNCE_BASE, concurrency: 3 });
+
+function hasRefreshCredentials() {
+  return Boolean(process.env.UNBOUNCE_REFRESH_TOKEN && process.env.UNBOUNCE_CLIENT_ID && process.env.UNBOUNCE_CLIENT_SECRET);
+}
+
+// Exchanges the refresh token for a new access token — throws if Unbounce refuses
+async function refreshAccessToken() {
+  const data = await unbounce.post('/0.1/oauth/token', {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type:    'refresh_token',
+      refresh_token: process.env.UNBOUNCE_REFRESH_TOKEN,
+      client_id:     process.env.UNBOUNCE_CLIENT_ID,
+      client_secret: process.env.UNBOUNCE_CLIENT_SECRET,
+    }),
+  });
+  return data.access_token;
+}
+
 // Unbounce uses OAuth 2.0. Tokens expire — this handles refresh automatically.
 async function getAccessToken() {
   let token = process.env.UNBOUNCE_ACCESS_TOKEN;
 
-  // If we have a refresh token, always get a fresh access token
-  const refreshToken  = process.env.UNBOUNCE_REFRESH_TOKEN;
-  const clientId      = process.env.UNBOUNCE_CLIENT_ID;
-  const clientSecret  = process.env.UNBOUNCE_CLIENT_SECRET;
-
-  if (refreshToken && clientId && clientSecret) {
-    const res = await fetch(`${UNBOUNCE_BASE}/0.1/oauth/token`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        grant_type:    'refresh_token',
-        refresh_token: refreshToken,
-        client_id:     clientId,
-        client_secret: clientSecret,
-      }),
-    });
+  // Replays never touch the network, so there's nothing to refresh
+  if (isReplaying()) return token;
 
-    if (res.ok) {
-      const data = await res.json();
-      token = data.access_token;
-    } else {
-      console.warn('⚠️  Token refresh failed — falling back to stored access token');
+  // If we have a refresh token, always get a fresh access token
+  if (hasRefreshCredentials()) {
+    try {
+      token = await refreshAccessToken();
+    } catch (err) {
+      console.warn(`⚠️  Token refresh failed (${err.message}) — falling back to stored access token`);
     }
   }
 
@@ -40,27 +54,18 @@ async function getAccessToken() {
   return token;
 }
 
-async function unbounceGet(path, token) {
-  const res = await fetch(`${UNBOUNCE_BASE}${path}`, {
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Accept':        'application/json',
-    },
-  });
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Unbounce API error ${res.status} on ${path}: ${body}`);
-  }
-  return res.json();
+function authHeaders(token) {
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Accept':        'application/json',
+  };
 }
 
-function daysAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n);
-  return d.toISOString().split('T')[0];
+async function unbounceGet(path, token) {
+  return withFixture('unbounce', path, () => unbounce.get(path, { headers: authHeaders(token) }));
 }
 
-export async function fetchUnbounceData() {
+export async function fetchUnbounceData(window = reportingWindow()) {
   const token = await getAccessToken();
 
   // ── 1. Get all sub-accounts (domains) ────────────────────────────────────
@@ -79,10 +84,10 @@ export async function fetchUnbounceData() {
   const pages = pagesRes.pages ?? [];
 
   // ── 3. Pull stats for each page: this week vs last week ──────────────────
-  const thisWeekStart = daysAgo(7);
-  const thisWeekEnd   = daysAgo(1);
-  const lastWeekStart = daysAgo(14);
-  const lastWeekEnd   = daysAgo(8);
+  const thisWeekStart = window.thisWeek.start;
+  const thisWeekEnd   = window.thisWeek.end;
+  const lastWeekStart = window.lastWeek.start;
+  const lastWeekEnd   = window.lastWeek.end;
 
   const pageStats = await Promise.all(
     pages.map(async (page) => {
@@ -111,13 +116,13 @@ export async function fetchUnbounceData() {
           conversionDelta: pct(tw.conversionRate, lw.conversionRate),
           visitorsDelta:   pct(tw.visitors, lw.visitors),
         };
-      } catch {
+      } catch (err) {
         return {
           pageId:   page.id,
           pageName: page.name,
           url:      page.url,
           state:    page.state,
-          error:    'Stats unavailable',
+          error:    `Stats unavailable: ${err.message}`,
         };
       }
     })
@@ -125,17 +130,20 @@ export async function fetchUnbounceData() {
 
   // Only published pages with data
   const publishedPages = pageStats.filter(p => p.state === 'published' && !p.error);
+  const errorPages     = pageStats.filter(p => p.state === 'published' && p.error);
 
   // Sort by visitors descending
   const byVisitors = [...publishedPages].sort(
     (a, b) => (b.thisWeek?.visitors ?? 0) - (a.thisWeek?.visitors ?? 0)
   );
 
-  // Identify high-traffic / low-conversion pages (potential problem pages)
-  const avgConvRate = avg(publishedPages.map(p => p.thisWeek?.conversionRate).filter(Boolean));
+  // Identify high-traffic / low-conversion pages (potential problem pages),
+  // by the thresholds in config/business.json
+  const { minVisitors, lowConversionRatio } = channelThresholds(loadBusinessConfig(), 'unbounce');
+  const avgConvRate  = avg(publishedPages.map(p => p.thisWeek?.conversionRate).filter(Boolean)) ?? 0;
   const problemPages = publishedPages.filter(p =>
-    p.thisWeek?.visitors > 50 &&
-    p.thisWeek?.conversionRate < avgConvRate * 0.5
+    p.thisWeek?.visitors > minVisitors &&
+    p.thisWeek?.conversionRate < avgConvRate * lowConversionRatio
   );
 
   // Best performing pages
@@ -169,14 +177,17 @@ export async function fetchUnbounceData() {
 
   const activeABTests = pagesWithVariants.filter(Boolean);
 
-  return {
+  const data = {
     topPages:     byVisitors.slice(0, 10),
     bestPages,
     problemPages,
     activeABTests,
     averageConversionRate: round(avgConvRate, 1),
+    errors:    errorPages.length > 0 ? errorPages.map(p => ({ pageName: p.pageName, error: p.error })) : undefined,
     fetchedAt: new Date().toISOString(),
   };
+  data.metrics = toMetrics('unbounce', data, window.thisWeek);
+  return data;
 }
 
 function parsePageStats(res) {
@@ -188,21 +199,60 @@ function parsePageStats(res) {
   };
 }
 
-function pct(current, previous) {
-  if (!previous || previous === 0) return null;
-  return Math.round(((current - previous) / previous) * 1000) / 10;
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function unbounceHealth(data) {
+  const errors = data.errors ?? [];
+  return {
+    records:  { pages: data.topPages?.length ?? 0, abTests: data.activeABTests?.length ?? 0 },
+    warnings: errors.length > 0
+      ? [`Stats unavailable for ${errors.length} page(s): ${errors.map(p => `"${p.pageName}"`).join(', ')}`]
+      : [],
+  };
 }
 
-function avg(arr) {
-  if (!arr.length) return 0;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
-}
+// Doctor: a weekly run quietly falls back to the stored access token when
+// the refresh fails, so try the refresh on its own and report it. Bypasses
+// fixtures.
+async function unbounceCheck() {
+  const warnings = [];
+  let token = process.env.UNBOUNCE_ACCESS_TOKEN;
+
+  if (hasRefreshCredentials()) {
+    try {
+      token = await refreshAccessToken();
+    } catch (err) {
+      warnings.push(`Token refresh failed (${err.message}) — runs are falling back to the stored access token`);
+    }
+  } else {
+    warnings.push('No refresh credentials — the stored access token will expire and need replacing by hand');
+  }
 
-function round(val, decimals = 1) {
-  const factor = Math.pow(10, decimals);
-  return Math.round(val * factor) / factor;
+  const { accounts = [] } = await unbounce.get('/0.1/accounts', { headers: authHeaders(token) });
+  if (accounts.length === 0) throw new Error('No Unbounce accounts found');
+  return { summary: `Account "${accounts[0].name}"${accounts.length > 1 ? ` (+${accounts.length - 1} more)` : ''}`, warnings };
 }
 
+export const source = {
+  id:          'unbounce',
+  name:        'Unbounce',
+  heading:     'Unbounce — Landing Pages',
+  description: 'Landing page visitors and conversion rates this week vs last week, best and problem pages, and active A/B tests.',
+  envVars:     [],
+  // A stored access token, or the refresh credentials to mint one
+  envVarsOneOf: [
+    ['UNBOUNCE_ACCESS_TOKEN'],
+    ['UNBOUNCE_REFRESH_TOKEN', 'UNBOUNCE_CLIENT_ID', 'UNBOUNCE_CLIENT_SECRET'],
+  ],
+  fetch:       fetchUnbounceData,
+  health:      unbounceHealth,
+  check:       unbounceCheck,
+  hints: [
+    { match: /401|invalid_grant|refresh failed/i, fix: 'Re-authorise the Unbounce app, then update UNBOUNCE_ACCESS_TOKEN and UNBOUNCE_REFRESH_TOKEN with the new pair' },
+    { match: /No refresh credentials/,            fix: 'Set UNBOUNCE_REFRESH_TOKEN, UNBOUNCE_CLIENT_ID and UNBOUNCE_CLIENT_SECRET so runs can refresh the token themselves' },
+  ],
+};
+
 // ── Standalone test ───────────────────────────────────────────────────────────
 if (process.argv[1].includes('unbounce.js')) {
   console.log('Testing Unbounce fetcher...');
@@ -230,6 +280,7 @@ if (process.argv[1].includes('unbounce.js')) {
     })
     .catch(err => {
       console.error('\n❌ Unbounce fetch failed:', err.message);
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
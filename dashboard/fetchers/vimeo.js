@@ -3,6 +3,12 @@
 // from Vimeo for the past 7 days. Requires Vimeo Pro or higher.
 
 import * as dotenv from 'dotenv';
+import { loadBusinessConfig, channelThresholds } from '../lib/config.js';
+import { withFixture } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { createClient, HttpError } from '../lib/http.js';
+import { reportingWindow } from '../lib/window.js';
+import { pct, avg, sum, round, toMetrics } from '../lib/metrics.js';
 dotenv.config();
 
 const VIMEO_BASE = 'https://api.vimeo.com';
@@ -17,29 +23,32 @@ function headers() {
   };
 }
 
+// Three analytics calls per video — keep the fan-out polite
+const vimeo = createClient({ platform: 'Vimeo', baseUrl: VIMEO_BASE, headers, concurrency: 3 });
+
 async function vimeoGet(path, params = {}) {
-  const url = new URL(`${VIMEO_BASE}${path}`);
-  for (const [k, v] of Object.entries(params)) {
-    url.searchParams.set(k, v);
-  }
-  const res = await fetch(url.toString(), { headers: headers() });
-  if (!res.ok) {
-    const body = await res.text();
-    if (res.status === 403) {
-      throw new Error('Vimeo 403: Analytics data requires Vimeo Pro or higher plan');
+  return withFixture('vimeo', { path, params }, async () => {
+    try {
+      return await vimeo.get(path, { params });
+    } catch (err) {
+      if (err.status === 403) {
+        throw new HttpError({ ...err, detail: 'Analytics data requires Vimeo Pro or higher plan' });
+      }
+      throw err;
     }
-    throw new Error(`Vimeo API error ${res.status} on ${path}: ${body}`);
-  }
-  return res.json();
+  });
+}
+
+// Vimeo uses full ISO datetimes — widen a YYYY-MM-DD range to whole days
+function startOfDay(isoDate) {
+  return `${isoDate}T00:00:00.000Z`;
 }
 
-function daysAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n);
-  return d.toISOString(); // Vimeo uses full ISO datetime
+function endOfDay(isoDate) {
+  return `${isoDate}T23:59:59.999Z`;
 }
 
-export async function fetchVimeoData() {
+export async function fetchVimeoData(window = reportingWindow()) {
 
   // ── 1. Get all videos in the account ──────────────────────────────────────
   const videosRes = await vimeoGet('/me/videos', {
@@ -59,14 +68,14 @@ export async function fetchVimeoData() {
   }));
 
   if (videos.length === 0) {
-    return { videos: [], fetchedAt: new Date().toISOString() };
+    return { videos: [], metrics: [], fetchedAt: new Date().toISOString() };
   }
 
   // ── 2. Pull analytics for each video: this week ───────────────────────────
-  const startThisWeek = daysAgo(7);
-  const startLastWeek = daysAgo(14);
-  const endLastWeek   = daysAgo(8);
-  const now           = new Date().toISOString();
+  const startThisWeek = startOfDay(window.thisWeek.start);
+  const endThisWeek   = endOfDay(window.thisWeek.end);
+  const startLastWeek = startOfDay(window.lastWeek.start);
+  const endLastWeek   = endOfDay(window.lastWeek.end);
 
   const videosWithStats = await Promise.all(
     videos.slice(0, 15).map(async (video) => {
@@ -76,7 +85,7 @@ export async function fetchVimeoData() {
           vimeoGet(`/videos/${video.id}/analytics`, {
             dimension: 'total',
             from:      startThisWeek,
-            to:        now,
+            to:        endThisWeek,
           }),
           vimeoGet(`/videos/${video.id}/analytics`, {
             dimension: 'total',
@@ -94,7 +103,7 @@ export async function fetchVimeoData() {
           const engagementRes = await vimeoGet(`/videos/${video.id}/analytics`, {
             dimension: 'video_segment',
             from:      startThisWeek,
-            to:        now,
+            to:        endThisWeek,
           });
           engagementData = parseEngagement(engagementRes, video.duration);
         } catch {
@@ -123,11 +132,13 @@ export async function fetchVimeoData() {
     (a, b) => (b.thisWeek?.plays ?? 0) - (a.thisWeek?.plays ?? 0)
   );
 
-  // Identify VSLs with low finish rates (potential conversion problem)
-  const avgFinishRate = avg(validVideos.map(v => v.thisWeek?.finishRate).filter(Boolean));
+  // Identify VSLs with low finish rates (potential conversion problem),
+  // by the thresholds in config/business.json
+  const { minPlays, lowFinishRatio } = channelThresholds(loadBusinessConfig(), 'vimeo');
+  const avgFinishRate = avg(validVideos.map(v => v.thisWeek?.finishRate).filter(Boolean)) ?? 0;
   const lowFinishRate = validVideos.filter(v =>
-    v.thisWeek?.plays > 10 &&
-    v.thisWeek?.finishRate < avgFinishRate * 0.7
+    v.thisWeek?.plays > minPlays &&
+    v.thisWeek?.finishRate < avgFinishRate * lowFinishRatio
   );
 
   // Account-level totals this week
@@ -137,7 +148,7 @@ export async function fetchVimeoData() {
     avgFinishRate:       round(avgFinishRate, 1),
   };
 
-  return {
+  const data = {
     videos:              byPlays,
     topVideos:           byPlays.slice(0, 5),
     lowFinishRateVideos: lowFinishRate,
@@ -145,6 +156,8 @@ export async function fetchVimeoData() {
     errors:              errorVideos.length > 0 ? errorVideos.map(v => ({ title: v.title, error: v.error })) : undefined,
     fetchedAt:           new Date().toISOString(),
   };
+  data.metrics = toMetrics('vimeo', data, window.thisWeek);
+  return data;
 }
 
 function parseAnalytics(res) {
@@ -200,25 +213,46 @@ function parseEngagement(res, durationSeconds) {
   };
 }
 
-function pct(current, previous) {
-  if (!previous || previous === 0) return null;
-  return Math.round(((current - previous) / previous) * 1000) / 10;
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function vimeoHealth(data) {
+  const errors = data.errors ?? [];
+  return {
+    records:  { videos: (data.videos ?? data.topVideos)?.length ?? 0 },
+    warnings: errors.length > 0
+      ? [`No analytics for ${errors.length} video(s): ${errors.map(v => `"${v.title}"`).join(', ')}`]
+      : [],
+  };
 }
 
-function avg(arr) {
-  const valid = arr.filter(v => v != null && !isNaN(v));
-  if (!valid.length) return 0;
-  return valid.reduce((a, b) => a + b, 0) / valid.length;
-}
+// Doctor: one live lookup of the token's user, bypassing fixtures. The
+// analytics endpoints need Pro or higher, which /me reports as `account`.
+const PLANS_WITHOUT_ANALYTICS = ['basic', 'free', 'plus', 'starter'];
 
-function sum(arr, fn) {
-  return arr.reduce((acc, v) => acc + fn(v), 0);
+async function vimeoCheck() {
+  const me = await vimeo.get('/me', { params: { fields: 'name,account' } });
+  return {
+    summary:  `${me.name} (${me.account} plan)`,
+    warnings: PLANS_WITHOUT_ANALYTICS.includes(me.account)
+      ? [`The ${me.account} plan has no analytics access — Vimeo Pro or higher is required`]
+      : [],
+  };
 }
 
-function round(val, decimals = 1) {
-  const factor = Math.pow(10, decimals);
-  return Math.round(val * factor) / factor;
-}
+export const source = {
+  id:          'vimeo',
+  name:        'Vimeo',
+  heading:     'Vimeo — Video Sales Letters',
+  description: 'VSL plays, play rate, finish rate and retention drop-off points this week vs last week, and videos with low finish rates.',
+  envVars:     ['VIMEO_ACCESS_TOKEN'],
+  fetch:       fetchVimeoData,
+  health:      vimeoHealth,
+  check:       vimeoCheck,
+  hints: [
+    { match: /403|Pro/, fix: 'Vimeo analytics requires Pro plan or higher. Check vimeo.com/settings/account' },
+    { match: /401/,     fix: 'Generate a new VIMEO_ACCESS_TOKEN with the private and stats scopes at developer.vimeo.com/apps' },
+  ],
+};
 
 // ── Standalone test ───────────────────────────────────────────────────────────
 if (process.argv[1].includes('vimeo.js')) {
@@ -248,9 +282,7 @@ if (process.argv[1].includes('vimeo.js')) {
     })
     .catch(err => {
       console.error('\n❌ Vimeo fetch failed:', err.message);
-      if (err.message.includes('403') || err.message.includes('Pro')) {
-        console.error('💡 Vimeo analytics requires Pro plan or higher. Check vimeo.com/settings/account');
-      }
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
@@ -4,6 +4,10 @@
 
 import { google } from 'googleapis';
 import * as dotenv from 'dotenv';
+import { withFixture } from '../lib/fixtures.js';
+import { fixesFor } from '../lib/hints.js';
+import { reportingWindow } from '../lib/window.js';
+import { pct, toMetrics } from '../lib/metrics.js';
 dotenv.config();
 
 function getGoogleAuth() {
@@ -19,19 +23,25 @@ function getGoogleAuth() {
   });
 }
 
-function daysAgo(n) {
-  const d = new Date();
-  d.setDate(d.getDate() - n);
-  return d.toISOString().split('T')[0];
+// Wraps an SDK method so its { data } response is recorded/replayed
+function recorded(method, call) {
+  return params => withFixture('youtube', { method, params }, async () => {
+    const { data } = await call(params);
+    return { data };
+  });
 }
 
-export async function fetchYouTubeData() {
+export async function fetchYouTubeData(window = reportingWindow()) {
   const auth      = getGoogleAuth();
   const youtube   = google.youtube({ version: 'v3', auth });
   const ytAnalytics = google.youtubeAnalytics({ version: 'v2', auth });
 
+  const listChannels = recorded('channels.list', p => youtube.channels.list(p));
+  const listVideos   = recorded('videos.list',   p => youtube.videos.list(p));
+  const queryReport  = recorded('reports.query', p => ytAnalytics.reports.query(p));
+
   // ── 1. Get the channel ID ─────────────────────────────────────────────────
-  const { data: channelData } = await youtube.channels.list({
+  const { data: channelData } = await listChannels({
     part: ['id', 'snippet', 'statistics'],
     mine: true,
   });
@@ -49,16 +59,16 @@ export async function fetchYouTubeData() {
 
   // ── 2. Channel-level metrics this week vs last week ───────────────────────
   const [thisWeekStats, lastWeekStats] = await Promise.all([
-    ytAnalytics.reports.query({
+    queryReport({
       ids:        `channel==${channelId}`,
-      startDate:  daysAgo(7),
-      endDate:    daysAgo(1),
+      startDate:  window.thisWeek.start,
+      endDate:    window.thisWeek.end,
       metrics:    'views,estimatedMinutesWatched,averageViewDuration,subscribersGained,subscribersLost,shares,likes,comments,annotationClickThroughRate',
     }),
-    ytAnalytics.reports.query({
+    queryReport({
       ids:        `channel==${channelId}`,
-      startDate:  daysAgo(14),
-      endDate:    daysAgo(8),
+      startDate:  window.lastWeek.start,
+      endDate:    window.lastWeek.end,
       metrics:    'views,estimatedMinutesWatched,averageViewDuration,subscribersGained,subscribersLost',
     }),
   ]);
@@ -82,10 +92,10 @@ export async function fetchYouTubeData() {
   };
 
   // ── 3. Top 10 videos this week by views ───────────────────────────────────
-  const { data: topVideosData } = await ytAnalytics.reports.query({
+  const { data: topVideosData } = await queryReport({
     ids:        `channel==${channelId}`,
-    startDate:  daysAgo(7),
-    endDate:    daysAgo(1),
+    startDate:  window.thisWeek.start,
+    endDate:    window.thisWeek.end,
     metrics:    'views,estimatedMinutesWatched,averageViewDuration,averageViewPercentage',
     dimensions: 'video',
     sort:       '-views',
@@ -96,7 +106,7 @@ export async function fetchYouTubeData() {
   const videoIds = (topVideosData.rows ?? []).map(r => r[0]);
   let videoTitles = {};
   if (videoIds.length > 0) {
-    const { data: videoDetails } = await youtube.videos.list({
+    const { data: videoDetails } = await listVideos({
       part: ['snippet'],
       id:   videoIds.join(','),
     });
@@ -115,10 +125,10 @@ export async function fetchYouTubeData() {
   }));
 
   // ── 4. Traffic sources this week ─────────────────────────────────────────
-  const { data: sourcesData } = await ytAnalytics.reports.query({
+  const { data: sourcesData } = await queryReport({
     ids:        `channel==${channelId}`,
-    startDate:  daysAgo(7),
-    endDate:    daysAgo(1),
+    startDate:  window.thisWeek.start,
+    endDate:    window.thisWeek.end,
     metrics:    'views',
     dimensions: 'insightTrafficSourceType',
     sort:       '-views',
@@ -129,7 +139,7 @@ export async function fetchYouTubeData() {
     views:  row[1],
   }));
 
-  return {
+  const data = {
     channel:       channelStats,
     thisWeek,
     lastWeek,
@@ -138,13 +148,43 @@ export async function fetchYouTubeData() {
     trafficSources,
     fetchedAt:     new Date().toISOString(),
   };
+  data.metrics = toMetrics('youtube', data, window.thisWeek);
+  return data;
+}
+
+// ── Registry entry ────────────────────────────────────────────────────────────
+// Record counts and partial failures for the run health report
+function youtubeHealth(data) {
+  return {
+    records: { videos: data.topVideos?.length ?? 0, trafficSources: data.trafficSources?.length ?? 0 },
+  };
 }
 
-function pct(current, previous) {
-  if (!previous || previous === 0) return null;
-  return Math.round(((current - previous) / previous) * 1000) / 10;
+// Doctor: find the channel the service account manages, bypassing fixtures
+async function youtubeCheck() {
+  const youtube = google.youtube({ version: 'v3', auth: getGoogleAuth() });
+  const { data } = await youtube.channels.list({ part: ['snippet'], mine: true });
+  const channel = data.items?.[0];
+  if (!channel) throw new Error('No YouTube channel found for this service account');
+  return { summary: `Channel "${channel.snippet.title}"` };
 }
 
+export const source = {
+  id:          'youtube',
+  name:        'YouTube',
+  heading:     'YouTube — Video Analytics',
+  description: 'Channel views, watch time, view duration and subscriber change this week vs last week, top videos and traffic sources.',
+  envVars:     ['GOOGLE_SERVICE_ACCOUNT'],
+  fetch:       fetchYouTubeData,
+  health:      youtubeHealth,
+  check:       youtubeCheck,
+  hints: [
+    { match: /JSON/,                             fix: 'GOOGLE_SERVICE_ACCOUNT must be the whole service account key file as one line of JSON' },
+    { match: /forbidden|403|has not been used/i, fix: 'Make sure the YouTube Data API and YouTube Analytics API are both enabled in Google Cloud Console' },
+    { match: /No YouTube channel/,               fix: 'Add the service account as a manager of the channel (YouTube Studio → Settings → Permissions)' },
+  ],
+};
+
 // ── Standalone test ───────────────────────────────────────────────────────────
 if (process.argv[1].includes('youtube.js')) {
   console.log('Testing YouTube fetcher...');
@@ -162,9 +202,7 @@ if (process.argv[1].includes('youtube.js')) {
     })
     .catch(err => {
       console.error('\n❌ YouTube fetch failed:', err.message);
-      if (err.message.includes('forbidden') || err.message.includes('403')) {
-        console.error('💡 Make sure the YouTube Data API and YouTube Analytics API are both enabled in Google Cloud Console');
-      }
+      fixesFor(source, err).forEach(fix => console.error(`💡 ${fix}`));
       process.exit(1);
     });
 }
@@ -0,0 +1,193 @@
+// lib/anomalies.js
+// Flags genuinely unusual movement. Every tracked metric — headline
+// numbers plus per-campaign, page, video and query series — is compared
+// with its own history from the report archive: a straight-line trend
+// over the last 8–12 weeks, with a robust spread (median absolute
+// deviation of the residuals) so one odd week doesn't widen the band.
+// When the archive also holds the same week a year earlier, the expected
+// value is scaled by how that week compared with the weeks before it, so
+// a seasonal dip isn't flagged as news. This week's distance from the
+// expected value, in spreads, is its z-score.
+//
+// The series are the normalized metric records from lib/metrics.js. History
+// length and z-score cut-offs come from "anomalyRules" in
+// config/business.json.
+
+import { listReports, loadReport } from './archive.js';
+import { formatValue } from './config.js';
+import { metricsFor, metricDef, round } from './metrics.js';
+import { addDays } from './window.js';
+
+const DEFAULT_RULES = { historyWeeks: 12, minWeeks: 8, zScore: { low: 2.5, medium: 3, high: 4 } };
+
+const SEASON_WEEKS = 4;       // Weeks before last year's same week that set its normal level
+const SEASONAL_SD  = 2;       // Last year's week must sit this many SDs from its neighbours to count
+const MAX_SEASONAL = 2;       // Seasonal factor is clamped to [1/2, 2]
+const MIN_SPREAD   = 0.02;    // Spread floor as a share of the level, so flat series don't flag every wobble
+const MAD_TO_SD    = 1.4826;  // Scales a median absolute deviation to a normal standard deviation
+const MAX_Z        = 99;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid    = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Least-squares line through values over their index. widen is how much
+// wider the band gets when the line is projected one step past the data
+// (the standard prediction-interval factor).
+function fitLine(values) {
+  const n     = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = mean(values);
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  const slope = den ? num / den : 0;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    widen:     Math.sqrt(1 + 1 / n + (den ? (n - meanX) ** 2 / den : 0)),
+  };
+}
+
+function rulesFrom(business) {
+  const rules = business.anomalyRules ?? {};
+  return { ...DEFAULT_RULES, ...rules, zScore: { ...DEFAULT_RULES.zScore, ...rules.zScore } };
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+// recent: up to historyWeeks archived weeks before weekOf, oldest first.
+// yearAgo: the same week a year earlier and the SEASON_WEEKS before it,
+// when the archive reaches back that far.
+export function loadMetricHistory(business, weekOf) {
+  const { historyWeeks } = rulesFrom(business);
+  const weeks    = listReports({ before: weekOf });
+  const load     = w => ({ weekOf: w, rawData: loadReport(w)?.rawData ?? {} });
+  const sameWeek = addDays(weekOf, -364);
+
+  return {
+    recent:  weeks
+      .filter(w => w >= addDays(weekOf, -7 * historyWeeks))
+      .slice(0, historyWeeks)
+      .reverse()
+      .map(load),
+    yearAgo: weeks.includes(sameWeek)
+      ? weeks.filter(w => w <= sameWeek && w >= addDays(sameWeek, -7 * SEASON_WEEKS)).reverse().map(load)
+      : [],
+  };
+}
+
+// ── Series ────────────────────────────────────────────────────────────────────
+// { [seriesId]: record } for one week's rawData — the metric id, plus
+// [entity] for per-entity series
+function readWeek(rawData) {
+  const out = {};
+  for (const r of metricsFor(rawData)) {
+    out[r.entity != null ? `${r.id}[${r.entity}]` : r.id] = r;
+  }
+  return out;
+}
+
+// How far last year's same week (the last entry) sat from the weeks just
+// before it. Only a clearly seasonal week counts — otherwise one noisy
+// week a year ago would shift every baseline.
+function seasonalFactor(yearAgo, id) {
+  const values = yearAgo.map(w => w[id]?.value);
+  const same   = values[values.length - 1];
+  const before = values.slice(0, -1).filter(v => v != null);
+  if (same == null || before.length < 3) return null;
+
+  const level = mean(before);
+  const sd    = Math.sqrt(before.reduce((sum, v) => sum + (v - level) ** 2, 0) / (before.length - 1));
+  if (level <= 0 || Math.abs(same - level) < SEASONAL_SD * sd) return null;
+  return Math.min(MAX_SEASONAL, Math.max(1 / MAX_SEASONAL, same / level));
+}
+
+function severityOf(z, zScore) {
+  const size = Math.abs(z);
+  if (size >= zScore.high)   return 'high';
+  if (size >= zScore.medium) return 'medium';
+  if (size >= zScore.low)    return 'low';
+  return null;
+}
+
+// ── Detection ─────────────────────────────────────────────────────────────────
+// history: loadMetricHistory() result; data: this week's rawData.
+// Returns { weeks, minWeeks, anomalies } with anomalies sorted by |z|.
+export function findAnomalies({ history, data, business }) {
+  const rules   = rulesFrom(business);
+  const recent  = history.recent.map(w => ({ weekOf: w.weekOf, series: readWeek(w.rawData) }));
+  const yearAgo = history.yearAgo.map(w => readWeek(w.rawData));
+  const current = readWeek(data);
+
+  const anomalies = [];
+  for (const [id, { entity = null, value, ...record }] of Object.entries(current)) {
+    const points = recent
+      .filter(w => w.series[id])
+      .map(w => ({ weekOf: w.weekOf, value: w.series[id].value }));
+    if (points.length < rules.minWeeks) continue;
+
+    const values = points.map(p => p.value);
+    const { slope, intercept, widen } = fitLine(values);
+    const residuals = values.map((v, i) => v - (intercept + slope * i));
+    const spreadMad = MAD_TO_SD * median(residuals.map(r => Math.abs(r - median(residuals))));
+
+    const factor   = seasonalFactor(yearAgo, id);
+    let expected   = (intercept + slope * values.length) * (factor ?? 1);
+    if (values.every(v => v >= 0)) expected = Math.max(0, expected);
+    const spread   = Math.max(spreadMad, MIN_SPREAD * Math.abs(mean(values)), 1e-6) * widen;
+    const z        = Math.max(-MAX_Z, Math.min(MAX_Z, (value - expected) / spread));
+    const severity = severityOf(z, rules.zScore);
+    if (!severity) continue;
+
+    const direction = z > 0 ? 'up' : 'down';
+    const better    = metricDef(record.id)?.better ?? null;
+    anomalies.push({
+      id,
+      source:     record.source,
+      metric:     entity ? `${entity} — ${record.label}` : record.label,
+      entity,
+      unit:       record.unit,
+      value,
+      expected:   round(expected),
+      z:          round(z, 1),
+      severity,
+      direction,
+      assessment: better == null ? 'neutral' : direction === better ? 'better' : 'worse',
+      weeks:      points.length,
+      seasonal:   factor != null,
+      history:    points,
+    });
+  }
+
+  anomalies.sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+  return { weeks: history.recent.length, minWeeks: rules.minWeeks, anomalies };
+}
+
+// ── Prompt ────────────────────────────────────────────────────────────────────
+export function renderAnomalies({ weeks, minWeeks, anomalies }, names = {}, limit = 15) {
+  if (weeks < minWeeks) {
+    return `Not enough history yet — ${weeks} archived week(s), baselines need ${minWeeks}. Treat single-week moves with caution.`;
+  }
+  if (anomalies.length === 0) {
+    return 'No metric is outside its normal range this week — the week-over-week moves are within normal noise.';
+  }
+  const lines = anomalies.slice(0, limit).map(a => {
+    const fv     = v => formatValue(v, a.unit);
+    const source = names[a.source] ?? a.source;
+    const tags   = [`z ${a.z > 0 ? '+' : ''}${a.z} over ${a.weeks} weeks`];
+    if (a.seasonal)                  tags.push('seasonally adjusted');
+    if (a.assessment !== 'neutral')  tags.push(a.assessment);
+    return `- [${a.severity.toUpperCase()}] ${source} ${a.metric}: ${fv(a.value)} vs ~${fv(a.expected)} expected (${tags.join(', ')})`;
+  });
+  if (anomalies.length > limit) lines.push(`- …and ${anomalies.length - limit} smaller anomalies`);
+  return lines.join('\n');
+}
@@ -0,0 +1,114 @@
+// lib/archive.js
+// Dated archive of every weekly report. Each run is written to
+// reports/YYYY-MM-DD.json, summarised in reports/index.json, and the
+// newest week is mirrored to insights.json for the dashboard.
+
+import fs   from 'fs';
+import path from 'path';
+
+export const LATEST_PATH = './dashboard/public/insights.json';
+export const REPORTS_DIR = './dashboard/public/reports';
+export const INDEX_PATH  = `${REPORTS_DIR}/index.json`;
+
+const FUNNEL_STAGES = ['awareness', 'consideration', 'conversion', 'retention'];
+const WEEK_FILE     = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+function reportPath(weekOf) {
+  return `${REPORTS_DIR}/${weekOf}.json`;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJSON(file, value) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+// One manifest row per report — enough for a history list or trend strip
+// without loading every archived rawData bundle.
+function indexEntry(report) {
+  return {
+    weekOf:      report.weekOf,
+    generatedAt: report.generatedAt ?? null,
+    file:        `reports/${report.weekOf}.json`,
+    verdict:     report.weeklyVerdict ?? null,
+    funnel:      Object.fromEntries(
+      FUNNEL_STAGES.map(stage => [stage, report.funnelHealth?.[stage]?.status ?? null])
+    ),
+  };
+}
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+export function loadIndex() {
+  if (!fs.existsSync(INDEX_PATH)) return { updatedAt: null, latest: null, reports: [] };
+  return readJSON(INDEX_PATH);
+}
+
+export function loadReport(weekOf) {
+  const file = reportPath(weekOf);
+  if (!fs.existsSync(file)) return null;
+  return readJSON(file);
+}
+
+// Archived reports, newest first. Pass `before` (YYYY-MM-DD) to only
+// return weeks strictly earlier than it.
+export function listReports({ before } = {}) {
+  return loadIndex().reports
+    .filter(r => !before || r.weekOf < before)
+    .map(r => r.weekOf);
+}
+
+// ── Writing ───────────────────────────────────────────────────────────────────
+function writeIndex(entries) {
+  const reports = [...entries].sort((a, b) => b.weekOf.localeCompare(a.weekOf));
+  const index   = {
+    updatedAt: new Date().toISOString(),
+    latest:    reports[0]?.weekOf ?? null,
+    reports,
+  };
+  writeJSON(INDEX_PATH, index);
+  return index;
+}
+
+// Archives a report under its weekOf, refreshes the manifest, and updates
+// insights.json only if this is the newest week on file — re-running an
+// old week never replaces the current brief.
+export function writeReport(report) {
+  if (!report.weekOf) throw new Error('Cannot archive a report without weekOf');
+
+  const file = reportPath(report.weekOf);
+  writeJSON(file, report);
+
+  const others = loadIndex().reports.filter(r => r.weekOf !== report.weekOf);
+  const index  = writeIndex([...others, indexEntry(report)]);
+
+  const isLatest = index.latest === report.weekOf;
+  if (isLatest) writeJSON(LATEST_PATH, report);
+
+  return { file, isLatest };
+}
+
+// Rebuilds index.json from whatever dated files are in the reports folder.
+export function rebuildIndex() {
+  if (!fs.existsSync(REPORTS_DIR)) return writeIndex([]);
+  const entries = fs.readdirSync(REPORTS_DIR)
+    .filter(f => WEEK_FILE.test(f))
+    .map(f => indexEntry(readJSON(path.join(REPORTS_DIR, f))));
+  return writeIndex(entries);
+}
+
+// ── Standalone ────────────────────────────────────────────────────────────────
+// Run: node lib/archive.js            → rebuild index.json
+//      node lib/archive.js --seed     → archive the current insights.json first
+if (process.argv[1].includes('archive.js')) {
+  if (process.argv.includes('--seed')) {
+    const current = readJSON(LATEST_PATH);
+    writeJSON(reportPath(current.weekOf), current);
+    console.log(`📦 Archived ${LATEST_PATH} as ${reportPath(current.weekOf)}`);
+  }
+  const index = rebuildIndex();
+  console.log(`✅ ${INDEX_PATH} lists ${index.reports.length} report(s), latest ${index.latest ?? 'none'}`);
+}
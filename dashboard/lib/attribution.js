@@ -0,0 +1,96 @@
+// lib/attribution.js
+// Joins GA4 sessions by UTM campaign / content (ga4.campaignTraffic) to
+// the Meta Ads campaigns and ads that sent them. Meta counts leads up to
+// the form; this is what the clicks did once on the site — the share of
+// sessions that engaged, and GA4 key events per dollar of Meta spend.
+//
+// Names match ignoring case and punctuation, so utm_campaign=spring_sale
+// finds "Spring Sale". Only Meta-sourced sessions count, so an email or
+// Google link reusing the same utm_campaign isn't credited to Meta spend. Where the tags don't follow the Meta names, map
+// them under "utmNames" in the meta entry of config/sources.json:
+//   { "campaigns": { "<utm_campaign>": "<Meta campaign name>" },
+//     "ads":       { "<utm_content>":  "<Meta ad name>" } }
+
+import { round, sum } from './metrics.js';
+
+// GA4 session sources that are Meta traffic — the only ones joined, and
+// the ones worth reporting when their campaign matches nothing in Meta
+const META_SOURCES = /facebook|instagram|messenger|^fb$|^ig$|^meta$/i;
+
+function normalize(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Configured UTM value → Meta name, both normalized
+function aliases(map = {}) {
+  return Object.fromEntries(Object.entries(map).map(([utm, name]) => [normalize(utm), normalize(name)]));
+}
+
+// Post-click figures for the GA4 rows matched to one campaign or ad.
+// No matched rows means no data, not zero — the figures are null.
+function postClick(spend, rows) {
+  if (rows.length === 0) {
+    return { sessions: null, engagedSessions: null, engagedSessionRate: null, conversions: null, conversionsPerDollar: null };
+  }
+  const sessions        = sum(rows, r => r.sessions);
+  const engagedSessions = sum(rows, r => r.engagedSessions);
+  const conversions     = sum(rows, r => r.conversions);
+  return {
+    sessions,
+    engagedSessions,
+    engagedSessionRate:   sessions ? round((engagedSessions / sessions) * 100) : null,
+    conversions,
+    conversionsPerDollar: spend > 0 ? round(conversions / spend, 4) : null,
+  };
+}
+
+// Returns { postClickCampaigns, postClickAds, unmatchedMetaCampaigns,
+// unmatchedUtmCampaigns } to merge into the Meta payload, or null when
+// either source failed or GA4 predates the campaign breakdown.
+// names: the utmNames mapping described above
+export function joinMetaCampaigns(data, names = {}) {
+  const ga4  = data.ga4;
+  const meta = data.meta;
+  if (!ga4 || ga4.error || !meta || meta.error || !Array.isArray(ga4.campaignTraffic)) return null;
+
+  const campaignAliases = aliases(names.campaigns);
+  const adAliases       = aliases(names.ads);
+  const campaignOf      = row => campaignAliases[normalize(row.campaign)] ?? normalize(row.campaign);
+  const adOf            = row => adAliases[normalize(row.adContent)] ?? normalize(row.adContent);
+  const traffic         = ga4.campaignTraffic.filter(r => META_SOURCES.test(r.source));
+  const matched         = new Set();
+
+  const postClickCampaigns = (meta.campaigns ?? []).map(c => {
+    const rows = traffic.filter(r => campaignOf(r) === normalize(c.campaignName));
+    rows.forEach(r => matched.add(r));
+    return {
+      campaignName: c.campaignName,
+      utmCampaigns: [...new Set(rows.map(r => r.campaign))],
+      spend:        c.spend,
+      leads:        c.leads,
+      ...postClick(c.spend, rows),
+    };
+  });
+
+  // An ad's rows must also sit under its campaign, so two campaigns
+  // reusing one creative name stay apart
+  const postClickAds = (meta.topAds ?? []).map(a => {
+    const rows = traffic.filter(r => r.adContent != null
+      && adOf(r) === normalize(a.adName)
+      && (a.campaignName == null || campaignOf(r) === normalize(a.campaignName)));
+    return {
+      adName:       a.adName,
+      campaignName: a.campaignName,
+      spend:        a.spend,
+      leads:        a.leads,
+      ...postClick(a.spend, rows),
+    };
+  });
+
+  return {
+    postClickCampaigns,
+    postClickAds,
+    unmatchedMetaCampaigns: postClickCampaigns.filter(c => c.sessions == null && c.spend > 0).map(c => c.campaignName),
+    unmatchedUtmCampaigns:  [...new Set(traffic.filter(r => !matched.has(r)).map(r => r.campaign))],
+  };
+}
@@ -0,0 +1,315 @@
+// lib/brief.js
+// Renders a report as a standalone brief for people who don't open the
+// dashboard: Markdown for email and chat, and a print-ready HTML page
+// (A4, brand colours kept when printing) that Chrome can turn into a PDF.
+// Both cover the verdict, funnel health, urgent actions with how-to,
+// insights, do-not-touch, the watch list and key KPIs from rawData.
+//
+// Formatting comes from lib/format.js, shared with the dashboard.
+
+import {
+  NAVY, CYAN, AMBER, RED, GREEN,
+  statusColor, statusBg, statusBorder,
+  fmt, fmtUnit, deltaParts, fmtDate,
+} from './format.js';
+import { metricsFor, metricDef, findMetric } from './metrics.js';
+
+const STAGES        = ['awareness', 'consideration', 'conversion', 'retention'];
+const STATUS_EMOJI  = { green: '🟢', amber: '🟠', red: '🔴' };
+const PRIORITY      = { high: RED, medium: AMBER, low: GREEN };
+const RANK          = { high: 0, medium: 1, low: 2 };
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// ── Key KPIs ──────────────────────────────────────────────────────────────────
+// The headline tiles from each dashboard panel. A tile names a metric from
+// lib/metrics.js — its record supplies the value, unit and week-over-week
+// delta — or reads a count straight from the payload.
+const KPI_GROUPS = [
+  { id: 'ga4', name: 'GA4 — Website', kpis: [
+    { label: 'Sessions',         metric: 'ga4.sessions' },
+    { label: 'New users',        metric: 'ga4.newUsers' },
+    { label: 'Engaged sessions', metric: 'ga4.engagedSessions' },
+    { label: 'Bounce rate',      metric: 'ga4.bounceRate' },
+  ] },
+  { id: 'gsc', name: 'Search Console', kpis: [
+    { label: 'Rising queries',    value: d => fmt(d.risingQueries?.length ?? 0) },
+    { label: 'Falling queries',   value: d => fmt(d.fallingQueries?.length ?? 0) },
+    { label: 'CTR opportunities', value: d => fmt(d.opportunities?.length ?? 0) },
+  ] },
+  { id: 'youtube', name: 'YouTube', kpis: [
+    { label: 'Views',             metric: 'youtube.views' },
+    { label: 'Watch minutes',     metric: 'youtube.watchMinutes' },
+    { label: 'Avg view duration', metric: 'youtube.avgViewDuration' },
+    { label: 'Net subscribers',   value: d => `+${d.weekOverWeek?.subscriberNetThis || 0}` },
+  ] },
+  { id: 'meta', name: 'Meta Ads', kpis: [
+    { label: 'Spend',         metric: 'meta.spend' },
+    { label: 'Impressions',   metric: 'meta.impressions' },
+    { label: 'Leads',         metric: 'meta.leads' },
+    { label: 'Cost per lead', metric: 'meta.costPerLead' },
+  ] },
+  { id: 'kit', name: 'Kit — Email', kpis: [
+    { label: 'Active subscribers', metric: 'kit.activeSubscribers' },
+    { label: 'New this week',      value: d => `+${fmt(d.subscribers?.newThisWeek)}` },
+    { label: 'Avg open rate',      metric: 'kit.openRate' },
+    { label: 'Avg click rate',     metric: 'kit.clickRate' },
+  ] },
+  { id: 'unbounce', name: 'Unbounce — Landing Pages', kpis: [
+    { label: 'Avg conversion rate', metric: 'unbounce.conversionRate' },
+    { label: 'Problem pages',       value: d => fmt(d.problemPages?.length ?? 0) },
+    { label: 'Active A/B tests',    value: d => fmt(d.activeABTests?.length ?? 0) },
+  ] },
+  { id: 'vimeo', name: 'Vimeo — VSLs', kpis: [
+    { label: 'Total plays',     metric: 'vimeo.plays' },
+    { label: 'Watch minutes',   metric: 'vimeo.watchMinutes' },
+    { label: 'Avg finish rate', metric: 'vimeo.finishRate' },
+  ] },
+];
+
+// invert marks metrics where down is good
+function metricKpi(records, { label, metric }) {
+  const m = findMetric(records, metric);
+  return {
+    label,
+    value:  m ? fmtUnit(m.value, m.unit) : '—',
+    delta:  m?.delta ?? null,
+    invert: metricDef(metric)?.better === 'down',
+  };
+}
+
+// → [{ name, kpis: [{ label, value, delta, invert }] }] for every source
+// with usable data
+export function keyKpis(rawData = {}) {
+  const records = metricsFor(rawData);
+  return KPI_GROUPS
+    .filter(g => rawData[g.id] && !rawData[g.id].error)
+    .map(g => ({
+      name: g.name,
+      kpis: g.kpis.map(k => (k.metric ? metricKpi(records, k) : { label: k.label, value: k.value(rawData[g.id]) })),
+    }));
+}
+
+function sortedActions(report) {
+  return [...(report.urgentActions ?? [])].sort((a, b) => RANK[a.priority] - RANK[b.priority]);
+}
+
+function sortedInsights(report) {
+  return [...(report.insights ?? [])].sort((a, b) => RANK[a.impact] - RANK[b.impact]);
+}
+
+// ── Markdown ──────────────────────────────────────────────────────────────────
+function mdCell(text) {
+  return String(text ?? '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function mdTable(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(r => `| ${r.map(mdCell).join(' | ')} |`),
+  ];
+}
+
+export function renderMarkdown(report, { company = 'Duct Tape Marketing' } = {}) {
+  const out = [`# ${company} — Weekly Intelligence Brief`, '', `**Week of ${fmtDate(report.weekOf)}**`];
+  if (report.analysis === 'rules') {
+    out.push('', `> ⚠️ Automated rules-based report — no AI analysis this week.${report.fallbackReason ? ` ${report.fallbackReason}` : ''}`);
+  }
+
+  out.push('', '## Verdict', '', report.weeklyVerdict);
+
+  out.push('', '## Funnel health', '', ...mdTable(['Stage', 'Status', 'Summary'], STAGES.map(stage => {
+    const h = report.funnelHealth?.[stage];
+    return [capitalize(stage), h ? `${STATUS_EMOJI[h.status] ?? ''} ${capitalize(h.status)}` : '—', h?.summary];
+  })));
+
+  const actions = sortedActions(report);
+  out.push('', `## Urgent actions (${actions.length})`);
+  actions.forEach((a, i) => out.push(
+    '',
+    `### ${i + 1}. ${a.action}`,
+    `**${a.priority.toUpperCase()}** · do by ${a.doBy}`,
+    '',
+    `- **Why:** ${a.why}`,
+    `- **How to:** ${a.howTo}`,
+    `- **Expected outcome:** ${a.expectedOutcome}`,
+  ));
+
+  const insights = sortedInsights(report);
+  out.push('', `## Insights (${insights.length})`);
+  insights.forEach(ins => out.push(
+    '',
+    `### ${ins.observation}`,
+    `*${ins.source} · impact ${ins.impact} · effort ${ins.effort} · confidence ${ins.confidence}*`,
+    '',
+    `- **Meaning:** ${ins.meaning}`,
+    `- **Why:** ${ins.hypothesis}`,
+    `- **Action:** ${ins.recommendation}`,
+  ));
+
+  out.push('', '## 🔒 Do not touch', '');
+  (report.doNotTouch ?? []).forEach(d => out.push(`- **${d.thing}** — ${d.reason} *(${d.metric})*`));
+
+  out.push('', '## 👀 Watch next week', '');
+  (report.watchNextWeek ?? []).forEach(w => out.push(`- **${w.metric}** — ${w.because} Act if: ${w.threshold}`));
+
+  const groups = keyKpis(report.rawData);
+  if (groups.length > 0) {
+    out.push('', '## Key numbers');
+    for (const g of groups) {
+      out.push('', `### ${g.name}`, '', ...mdTable(['Metric', 'This week', 'vs last week'],
+        g.kpis.map(k => [k.label, k.value, deltaParts(k.delta, k.invert)?.text ?? ''])));
+    }
+  }
+
+  return `${out.join('\n')}\n`;
+}
+
+// ── HTML ──────────────────────────────────────────────────────────────────────
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlDelta(n, invert) {
+  const d = deltaParts(n, invert);
+  return d ? `<span style="color:${d.color};font-weight:600">${d.text}</span>` : '';
+}
+
+const STYLES = `
+  @page { size: A4; margin: 14mm; }
+  * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { margin: 0; font: 13px/1.5 'Inter', system-ui, -apple-system, 'Segoe UI', sans-serif; color: #374151; }
+  header { background: ${NAVY}; border-bottom: 4px solid ${CYAN}; padding: 20px 28px; display: flex; justify-content: space-between; align-items: center; }
+  header .brand { color: #fff; font: 700 20px 'Lora', Georgia, serif; }
+  header .sub, header .week-label { color: ${CYAN}; font-size: 12px; font-weight: 600; letter-spacing: 1px; text-transform: uppercase; }
+  header .week { color: #fff; font-size: 15px; font-weight: 700; text-align: right; }
+  main { padding: 8px 28px 24px; }
+  h2 { font: 700 16px 'Lora', Georgia, serif; color: ${NAVY}; border-left: 4px solid ${CYAN}; padding-left: 10px; margin: 24px 0 12px; break-after: avoid; }
+  h3 { font-size: 13px; color: #6b7280; text-transform: uppercase; letter-spacing: 1px; margin: 16px 0 8px; }
+  p { margin: 0 0 6px; }
+  .notice { background: #fffbeb; border: 1px solid #fcd34d; border-radius: 8px; padding: 10px 14px; margin-top: 16px; color: #92400e; }
+  .verdict { background: ${NAVY}; color: #fff; border-radius: 10px; padding: 16px 20px; font: 15px/1.6 'Lora', Georgia, serif; }
+  .funnel { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; }
+  .stage { border-radius: 8px; padding: 10px 12px; break-inside: avoid; }
+  .stage b { display: block; text-transform: uppercase; font-size: 11px; letter-spacing: 1px; margin-bottom: 4px; }
+  .card { border: 1px solid #e5e9f0; border-radius: 10px; padding: 12px 16px; margin-bottom: 10px; break-inside: avoid; }
+  .badge { border-radius: 6px; padding: 1px 8px; font-size: 11px; font-weight: 700; letter-spacing: 1px; text-transform: uppercase; border: 1px solid; }
+  .title { font-weight: 700; color: ${NAVY}; font-size: 14px; margin: 6px 0; }
+  .meta { color: #9ca3af; font-size: 11px; font-weight: 600; }
+  .howto { background: #f0f9ff; border: 1px solid #bae6fd; border-radius: 8px; padding: 8px 12px; color: #0369a1; margin-top: 8px; }
+  .keep { background: #f0fdf4; border-color: #6ee7b7; }
+  .keep .title { color: #065f46; }
+  .watch { background: #fffbeb; border-color: #fcd34d; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 6px; break-inside: avoid; }
+  th, td { padding: 5px 10px; border-bottom: 1px solid #f3f4f6; text-align: right; }
+  th { color: #6b7280; font-size: 11px; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #e5e9f0; }
+  th:first-child, td:first-child { text-align: left; }
+  .kpis { display: grid; grid-template-columns: 1fr 1fr; gap: 0 24px; }
+  footer { text-align: center; color: #9ca3af; font-size: 11px; padding: 16px 0; }
+`;
+
+function htmlAction(a) {
+  const color = PRIORITY[a.priority];
+  return `<div class="card">
+    <span class="badge" style="color:${color};border-color:${color}33">${escapeHtml(a.priority)}</span>
+    <span class="meta">Do by: ${escapeHtml(a.doBy)}</span>
+    <p class="title">${escapeHtml(a.action)}</p>
+    <p><strong>Why:</strong> ${escapeHtml(a.why)}</p>
+    <p><strong>Expected outcome:</strong> ${escapeHtml(a.expectedOutcome)}</p>
+    <div class="howto"><strong>How to:</strong> ${escapeHtml(a.howTo)}</div>
+  </div>`;
+}
+
+function htmlInsight(ins) {
+  return `<div class="card">
+    <span class="meta">${escapeHtml(ins.source)} · Impact ${escapeHtml(ins.impact)} · Effort ${escapeHtml(ins.effort)} · Confidence ${escapeHtml(ins.confidence)}</span>
+    <p class="title">${escapeHtml(ins.observation)}</p>
+    <p><strong>Meaning:</strong> ${escapeHtml(ins.meaning)}</p>
+    <p><strong>Why:</strong> ${escapeHtml(ins.hypothesis)}</p>
+    <div class="howto"><strong>→ Action:</strong> ${escapeHtml(ins.recommendation)}</div>
+  </div>`;
+}
+
+export function renderHtml(report, { company = 'Duct Tape Marketing' } = {}) {
+  const funnel = STAGES.map(stage => {
+    const h = report.funnelHealth?.[stage];
+    if (!h) return '';
+    return `<div class="stage" style="background:${statusBg(h.status)};border:1.5px solid ${statusBorder(h.status)}">
+      <b style="color:${statusColor(h.status)}">${STATUS_EMOJI[h.status] ?? ''} ${escapeHtml(stage)}</b>${escapeHtml(h.summary)}
+    </div>`;
+  }).join('\n');
+
+  const kpis = keyKpis(report.rawData).map(g => `<div>
+    <h3>${escapeHtml(g.name)}</h3>
+    <table>
+      <tr><th>Metric</th><th>This week</th><th>vs last week</th></tr>
+      ${g.kpis.map(k => `<tr><td>${escapeHtml(k.label)}</td><td><strong>${escapeHtml(k.value)}</strong></td><td>${htmlDelta(k.delta, k.invert)}</td></tr>`).join('\n      ')}
+    </table>
+  </div>`).join('\n');
+
+  const actions  = sortedActions(report);
+  const insights = sortedInsights(report);
+  const notice   = report.analysis === 'rules'
+    ? `<div class="notice">⚠️ Automated rules-based report — no AI analysis this week.${report.fallbackReason ? ` ${escapeHtml(report.fallbackReason)}` : ''}</div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(company)} — Weekly Brief, ${escapeHtml(fmtDate(report.weekOf))}</title>
+<link href="https://fonts.googleapis.com/css2?family=Lora:wght@400;700&family=Inter:wght@400;600;700&display=swap" rel="stylesheet">
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <div><div class="brand">${escapeHtml(company)}</div><div class="sub">Weekly Intelligence Brief</div></div>
+  <div><div class="week-label">Week of</div><div class="week">${escapeHtml(fmtDate(report.weekOf))}</div></div>
+</header>
+<main>
+${notice}
+<h2>Verdict</h2>
+<div class="verdict">${escapeHtml(report.weeklyVerdict)}</div>
+
+<h2>Funnel Health</h2>
+<div class="funnel">
+${funnel}
+</div>
+
+<h2>Urgent Actions (${actions.length})</h2>
+${actions.map(htmlAction).join('\n')}
+
+<h2>Insights (${insights.length})</h2>
+${insights.map(htmlInsight).join('\n')}
+
+<h2>🔒 Do Not Touch</h2>
+${(report.doNotTouch ?? []).map(d => `<div class="card keep">
+  <p class="title">${escapeHtml(d.thing)}</p>
+  <p>${escapeHtml(d.reason)}</p>
+  <p><strong style="color:#065f46">${escapeHtml(d.metric)}</strong></p>
+</div>`).join('\n')}
+
+<h2>👀 Watch Next Week</h2>
+${(report.watchNextWeek ?? []).map(w => `<div class="card watch">
+  <p class="title">${escapeHtml(w.metric)}</p>
+  <p>${escapeHtml(w.because)}</p>
+  <p><strong style="color:${AMBER}">Act if:</strong> ${escapeHtml(w.threshold)}</p>
+</div>`).join('\n')}
+${kpis ? `
+<h2>Key Numbers</h2>
+<div class="kpis">
+${kpis}
+</div>` : ''}
+</main>
+<footer>${escapeHtml(company)} · Weekly Intelligence Brief · Generated ${escapeHtml(fmtDate(report.generatedAt))}</footer>
+</body>
+</html>
+`;
+}
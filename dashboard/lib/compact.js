@@ -0,0 +1,150 @@
+// lib/compact.js
+// Shrinks each source's data to a token budget before it goes into the
+// prompt. Nested objects flatten to dotted `key: value` lines, lists of
+// records become pipe-separated tables, and when a source is over budget
+// its longest tables lose their lowest-ranked rows first — the fetchers
+// already sort by importance. List tables carry a # column with each
+// row's index, so the model can cite a row as e.g. videos[2]. Lists the fetchers flag (underperformers,
+// problem pages, falling queries) are trimmed last.
+//
+// Per-source budgets are set with "tokenBudget" in config/sources.json.
+
+export const DEFAULT_TOKEN_BUDGET = 1500;
+
+const MIN_ROWS  = 3;    // Never trim a table below this
+const MAX_CELL  = 80;   // Characters per text cell
+
+// Noise the model never needs, and the normalized metric records
+// (lib/metrics.js), which repeat the payload's own figures
+const OMIT_KEYS = new Set(['fetchedAt', 'dateRange', 'uri', 'link', 'pictures', 'thumbnail', 'metrics']);
+
+// Tables that repeat the first rows of another table, per source —
+// skipped when that fuller table is present
+const DUPLICATE_TABLES = {
+  kit:   { recentBroadcasts: 'allBroadcasts' },
+  gsc:   { topPages:         'pageClicks' },
+  vimeo: { topVideos:        'videos' },
+};
+
+// Outlier lists computed by the fetchers — the last thing to cut
+const FLAGGED_TABLES = new Set([
+  'underperforming', 'problemPages', 'lowFinishRateVideos',
+  'risingQueries', 'fallingQueries', 'opportunities', 'cannibalization',
+  'decayingPages', 'activeABTests',
+]);
+
+// Rough count for sizing the prompt — Claude averages about 4 characters
+// per token on English and JSON. Good enough to budget, not to bill.
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj ?? {})) {
+    if (OMIT_KEYS.has(key) || value === undefined) continue;
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) flatten(value, name, out);
+    else out[name] = value;
+  }
+  return out;
+}
+
+function cell(value) {
+  if (value == null) return '-';
+  // Two decimals, or two significant figures below 1 (conversions per dollar)
+  if (typeof value === 'number') return String(Math.abs(value) < 1 ? Number(value.toPrecision(2)) : Math.round(value * 100) / 100);
+  // Nested lists (A/B variants) stay whole, just without the quotes
+  if (typeof value !== 'string') return JSON.stringify(value).replace(/"/g, '').replace(/\|/g, '/');
+  const flat = value.replace(/[|\n]/g, ' ');
+  return flat.length > MAX_CELL ? `${flat.slice(0, MAX_CELL - 1)}…` : flat;
+}
+
+// Objects keyed by name whose values are all records (GA4 channels,
+// this_week/last_week pairs) read better as a table with a name column
+function isKeyedRecords(value) {
+  const entries = Object.values(value);
+  return entries.length > 1 && entries.every(isPlainObject);
+}
+
+// keyed: rows come from an object keyed by name rather than a list, so
+// they are cited by name and get no # column
+function toTable(name, records, keyed = false) {
+  const rows    = records.map(r => (isPlainObject(r) ? flatten(r) : { value: r }));
+  const columns = [...new Set(rows.flatMap(r => Object.keys(r)))]
+    .filter(col => rows.some(r => r[col] != null));
+  return { name, columns, rows, total: rows.length, keyed, flagged: FLAGGED_TABLES.has(name) };
+}
+
+function digest(id, data) {
+  const skip   = new Set(Object.entries(DUPLICATE_TABLES[id] ?? {})
+    .filter(([, fuller]) => data[fuller]?.length > 0)
+    .map(([table]) => table));
+  const facts  = {};
+  const tables = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (OMIT_KEYS.has(key) || skip.has(key) || value == null) continue;
+    if (Array.isArray(value)) {
+      if (value.length === 0) continue;
+      if (value.every(isPlainObject)) tables.push(toTable(key, value));
+      else facts[key] = value.map(cell).join(', ');
+    } else if (isPlainObject(value) && isKeyedRecords(value)) {
+      tables.push(toTable(key, Object.entries(value).map(([name, record]) => ({ name, ...record })), true));
+    } else if (isPlainObject(value)) {
+      Object.assign(facts, flatten(value, key));
+    } else {
+      facts[key] = value;
+    }
+  }
+  return { facts, tables };
+}
+
+function render({ facts, tables }) {
+  const lines = Object.entries(facts).map(([key, value]) => `${key}: ${cell(value)}`);
+  for (const t of tables) {
+    const shown = t.rows.length < t.total ? `top ${t.rows.length} of ${t.total}` : `${t.total} rows`;
+    const index = t.keyed ? [] : ['#'];
+    lines.push('', `### ${t.name} (${shown})`, [...index, ...t.columns].join('|'));
+    t.rows.forEach((row, i) => {
+      lines.push([...(t.keyed ? [] : [i]), ...t.columns.map(col => cell(row[col]))].join('|'));
+    });
+  }
+  return lines.join('\n');
+}
+
+// Returns { text, tokens, fullTokens, trimmed: [{ table, kept, total }] },
+// where fullTokens is the size of the pretty-printed JSON this replaces
+export function compactSource(id, data, budget = DEFAULT_TOKEN_BUDGET) {
+  if (!data)      return { text: 'No data.', tokens: 2, fullTokens: 2, trimmed: [] };
+  if (data.error) {
+    const text = `Fetch failed this week: ${data.error}`;
+    return { text, tokens: estimateTokens(text), fullTokens: estimateTokens(text), trimmed: [] };
+  }
+
+  const digested   = digest(id, data);
+  let text         = render(digested);
+  const fullTokens = estimateTokens(JSON.stringify(data, null, 2));
+
+  while (estimateTokens(text) > budget) {
+    // Unflagged tables before flagged ones, longest first
+    const [target] = digested.tables
+      .filter(t => t.rows.length > MIN_ROWS)
+      .sort((a, b) => (a.flagged - b.flagged) || (b.rows.length - a.rows.length));
+    if (!target) break;
+    target.rows = target.rows.slice(0, -1);
+    text = render(digested);
+  }
+
+  return {
+    text,
+    tokens:  estimateTokens(text),
+    fullTokens,
+    trimmed: digested.tables
+      .filter(t => t.rows.length < t.total)
+      .map(t => ({ table: t.name, kept: t.rows.length, total: t.total })),
+  };
+}
@@ -0,0 +1,79 @@
+// lib/config.js
+// Loads config/business.json — company description, this quarter's goals
+// and per-channel KPIs. The dashboard imports the same file directly, so
+// a goal or target change is one reviewed edit, not a code change.
+
+import fs from 'fs';
+
+export const BUSINESS_CONFIG_PATH = './dashboard/config/business.json';
+
+// A channel KPI can take its target from a quarter goal ("goal": "<id>")
+// rather than repeating it, so the number is only ever edited in one place
+export function kpiTarget(config, kpi) {
+  if (kpi.goal == null) return kpi.target;
+  const goal = (config.goals ?? []).find(g => g.id === kpi.goal);
+  if (!goal) throw new Error(`KPI "${kpi.label}" refers to unknown goal "${kpi.goal}"`);
+  return goal.target;
+}
+
+// KPI targets come back resolved, so callers read kpi.target either way
+export function loadBusinessConfig(configPath = BUSINESS_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) throw new Error(`Business config not found at ${configPath}`);
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  for (const channel of Object.values(config.channels ?? {})) {
+    for (const [id, kpi] of Object.entries(channel.kpis ?? {})) {
+      channel.kpis[id] = { ...kpi, target: kpiTarget(config, kpi) };
+    }
+  }
+  return config;
+}
+
+// A channel's flagging thresholds. The fetchers and the dashboard both
+// read them from here, so a flagged page or video is the same everywhere.
+export function channelThresholds(config, channel) {
+  const thresholds = config.channels?.[channel]?.thresholds;
+  if (!thresholds) throw new Error(`No channels.${channel}.thresholds in ${BUSINESS_CONFIG_PATH}`);
+  return thresholds;
+}
+
+export function formatValue(value, unit) {
+  if (value == null) return 'n/a';
+  if (unit === 'usd')     return `$${value.toLocaleString('en-US')}`;
+  if (unit === 'percent') return `${value}%`;
+  if (unit === 'seconds') return `${value.toLocaleString('en-US')}s`;
+  return value.toLocaleString('en-US');
+}
+
+function describeGoal(goal) {
+  const target = formatValue(goal.target, goal.unit);
+  const aim    = goal.aggregate === 'sum'
+    ? `by ${target}`
+    : `to ${target} or ${goal.direction === 'down' ? 'lower' : 'higher'}`;
+  const note   = goal.note ? ` ${goal.note}` : '';
+  return `${goal.label} ${aim} by ${goal.deadline}${note}.`;
+}
+
+// The "who we are / what we're trying to do" block at the top of the prompt
+export function renderBusinessContext(config) {
+  const { company, quarter, goals = [], channels = {} } = config;
+
+  const goalLines = goals.map(g => {
+    const rank = g.priority ? `${g.priority[0].toUpperCase()}${g.priority.slice(1)} goal` : 'Goal';
+    return `- ${rank}: ${describeGoal(g)}`;
+  });
+
+  const kpiLines = Object.entries(channels).flatMap(([channel, c]) =>
+    Object.values(c.kpis ?? {}).map(k =>
+      `- ${c.label ?? channel}: ${k.label} target ${formatValue(k.target, k.unit)} (${k.direction === 'down' ? 'lower' : 'higher'} is better)`
+    )
+  );
+
+  return `
+We are ${company.name}. ${company.description}
+
+This quarter (${quarter.label}, ${quarter.start} to ${quarter.end}):
+${goalLines.join('\n')}
+${kpiLines.length ? `\nChannel KPI targets:\n${kpiLines.join('\n')}\n` : ''}
+Key context: ${company.context}
+`;
+}
@@ -0,0 +1,109 @@
+// lib/decay.js
+// Flags content decay: pages whose Search Console clicks have slid over
+// the last 12 weeks. Each page's weekly clicks come from the archived
+// gsc.pageClicks (every page with clicks that week, up to TRACKED_PAGES),
+// so a page missing from a week's list had no clicks. When the list was
+// cut at TRACKED_PAGES, or an older report only kept topPages, a missing
+// page is unknown rather than zero.
+//
+// A page decays when its last RECENT_WEEKS average sits DECAY_DROP or
+// more below its average over the weeks before, and the straight-line
+// trend through all of them points down.
+
+import { listReports, loadReport } from './archive.js';
+import { pct, round } from './metrics.js';
+import { addDays } from './window.js';
+
+export const TRACKED_PAGES = 500;   // Pages fetchers/gsc.js keeps in pageClicks
+
+const HISTORY_WEEKS = 12;   // Including this week
+const MIN_WEEKS     = 6;    // Known weeks a page needs before it can decay
+const RECENT_WEEKS  = 4;    // Weeks averaged as its current level
+const DECAY_DROP    = 30;   // % below the earlier average that counts
+const MIN_CLICKS    = 10;   // Earlier weekly average below this is too small to call
+const MAX_PAGES     = 10;
+
+// ── History ───────────────────────────────────────────────────────────────────
+// Up to HISTORY_WEEKS - 1 archived weeks before weekOf, oldest first
+export function loadPageHistory(weekOf) {
+  return listReports({ before: weekOf })
+    .filter(w => w >= addDays(weekOf, -7 * (HISTORY_WEEKS - 1)))
+    .slice(0, HISTORY_WEEKS - 1)
+    .reverse()
+    .map(w => ({ weekOf: w, gsc: loadReport(w)?.rawData?.gsc ?? null }));
+}
+
+// { clicks: { [page]: clicks }, complete } for one week's GSC payload,
+// or null when GSC failed or was off that week
+function readWeek(gsc) {
+  if (!gsc || gsc.error) return null;
+  const tracked  = Array.isArray(gsc.pageClicks);
+  const rows     = tracked ? gsc.pageClicks : gsc.topPages ?? [];
+  const complete = tracked && rows.length < TRACKED_PAGES;
+  return { clicks: Object.fromEntries(rows.map(p => [p.key, p.clicks])), complete };
+}
+
+function clicksIn(week, page) {
+  if (!week) return null;
+  return week.clicks[page] ?? (week.complete ? 0 : null);
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Least-squares slope over the known weeks, in clicks per week
+function slopeOf(points) {
+  const meanX = mean(points.map(p => p.x));
+  const meanY = mean(points.map(p => p.y));
+  let num = 0;
+  let den = 0;
+  for (const { x, y } of points) {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  }
+  return den ? num / den : 0;
+}
+
+// ── Detection ─────────────────────────────────────────────────────────────────
+// history: loadPageHistory() result; gsc: this week's GSC payload.
+// Returns { weeks, minWeeks, decayingPages } — decayingPages most clicks
+// lost first, each with its weekly clicks oldest first (null = unknown).
+export function findDecayingPages({ history, gsc }) {
+  const weeks = [...history.map(w => readWeek(w.gsc)), readWeek(gsc)];
+  const known = weeks.filter(Boolean).length;
+  if (!weeks[weeks.length - 1] || known < MIN_WEEKS) return { weeks: known, minWeeks: MIN_WEEKS, decayingPages: [] };
+
+  const pages = new Set(weeks.flatMap(w => Object.keys(w?.clicks ?? {})));
+  const out   = [];
+  for (const page of pages) {
+    const trend  = weeks.map(w => clicksIn(w, page));
+    const points = trend.map((y, x) => ({ x, y })).filter(p => p.y != null);
+    if (points.length < MIN_WEEKS || trend[trend.length - 1] == null) continue;
+
+    const recent  = mean(points.slice(-RECENT_WEEKS).map(p => p.y));
+    const earlier = mean(points.slice(0, -RECENT_WEEKS).map(p => p.y));
+    const change  = pct(recent, earlier);
+    const slope   = slopeOf(points);
+    if (earlier < MIN_CLICKS || change == null || change > -DECAY_DROP || slope >= 0) continue;
+
+    out.push({
+      key:           page,
+      clicks:        trend[trend.length - 1],
+      earlierClicks: round(earlier),    // weekly average before the last RECENT_WEEKS
+      recentClicks:  round(recent),     // weekly average over the last RECENT_WEEKS
+      clicksChange:  change,            // %
+      slope:         round(slope),      // clicks per week
+      peakClicks:    Math.max(...points.map(p => p.y)),
+      trend,
+    });
+  }
+
+  return {
+    weeks:         known,
+    minWeeks:      MIN_WEEKS,
+    decayingPages: out
+      .sort((a, b) => (b.earlierClicks - b.recentClicks) - (a.earlierClicks - a.recentClicks))
+      .slice(0, MAX_PAGES),
+  };
+}
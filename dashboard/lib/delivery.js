@@ -0,0 +1,278 @@
+// lib/delivery.js
+// Tells people a new brief exists. Every enabled recipient list in
+// config/delivery.json gets a Slack Block Kit post (verdict, funnel traffic
+// lights, high-priority actions, dashboard link) in its channel and an HTML
+// email digest at its addresses. Where the messages go is up to the sink:
+//
+//   live   → Slack Web API (SLACK_BOT_TOKEN) and SMTP (SMTP_HOST, SMTP_PORT,
+//            SMTP_USER, SMTP_PASS, optional SMTP_FROM)
+//   file   → one file per message under dashboard/deliveries/<weekOf>/
+//   stdout → printed, for a quick look
+//
+// so the whole step can be exercised without a Slack workspace or mail server.
+
+import fs   from 'fs';
+import path from 'path';
+import { createClient } from './http.js';
+import { escapeHtml } from './brief.js';
+import { NAVY, CYAN, AMBER, RED, GREEN, statusColor, statusBg, fmtDate } from './format.js';
+
+export const DELIVERY_CONFIG_PATH = './dashboard/config/delivery.json';
+export const DELIVERY_DIR         = './dashboard/deliveries';
+export const SINKS                = ['live', 'file', 'stdout'];
+
+const STAGES          = ['awareness', 'consideration', 'conversion', 'retention'];
+const STATUS_EMOJI    = { green: '🟢', amber: '🟠', red: '🔴' };
+const PRIORITY        = { high: RED, medium: AMBER, low: GREEN };
+const RANK            = { high: 0, medium: 1, low: 2 };
+const SLACK_TEXT_MAX  = 3000;   // Block Kit limit per section text
+const DIGEST_INSIGHTS = 3;      // Insights in the email; the rest are a click away
+
+// { dashboardUrl, emailFrom, lists: { [id]: { enabled, slackChannel, email: [] } } }.
+// DASHBOARD_URL overrides the configured link, e.g. for a staging deploy.
+export function loadDeliveryConfig(configPath = DELIVERY_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) throw new Error(`Delivery config not found at ${configPath}`);
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { ...config, dashboardUrl: process.env.DASHBOARD_URL || config.dashboardUrl };
+}
+
+// Enabled lists as [{ id, slackChannel, email }]; lists default to enabled
+export function deliveryLists(config) {
+  return Object.entries(config.lists ?? {})
+    .filter(([, list]) => list.enabled !== false)
+    .map(([id, list]) => ({ id, slackChannel: list.slackChannel ?? null, email: list.email ?? [] }));
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function actionsByPriority(report) {
+  return [...(report.urgentActions ?? [])].sort((a, b) => RANK[a.priority] - RANK[b.priority]);
+}
+
+// ── Slack ─────────────────────────────────────────────────────────────────────
+// Slack mrkdwn only needs &, < and > escaped
+function slackEscape(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function buildSlackMessage(report, { dashboardUrl }) {
+  const week   = fmtDate(report.weekOf);
+  const urgent = actionsByPriority(report).filter(a => a.priority === 'high');
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: `📊 Weekly Intelligence Brief — week of ${week}` } },
+  ];
+
+  if (report.analysis === 'rules') {
+    blocks.push({ type: 'context', elements: [
+      { type: 'mrkdwn', text: '⚠️ Automated rules-based report — no AI analysis this week.' },
+    ] });
+  }
+
+  blocks.push(
+    { type: 'section', text: { type: 'mrkdwn', text: clip(slackEscape(report.weeklyVerdict), SLACK_TEXT_MAX) } },
+    { type: 'section', fields: STAGES.map(stage => {
+      const h = report.funnelHealth?.[stage];
+      return { type: 'mrkdwn', text: `${STATUS_EMOJI[h?.status] ?? '⚪'} *${capitalize(stage)}*\n${clip(slackEscape(h?.summary ?? 'No data'), 1900)}` };
+    }) },
+    { type: 'divider' },
+    { type: 'section', text: { type: 'mrkdwn', text: clip(urgent.length > 0
+      ? `*🚨 High-priority actions (${urgent.length})*\n${urgent.map(a => `• *${slackEscape(a.action)}* — _do by ${a.doBy}_`).join('\n')}`
+      : '*No high-priority actions this week.*', SLACK_TEXT_MAX) } },
+  );
+
+  if (dashboardUrl) {
+    blocks.push({ type: 'actions', elements: [
+      { type: 'button', text: { type: 'plain_text', text: 'Open the full brief' }, url: dashboardUrl, style: 'primary' },
+    ] });
+  }
+
+  // text is the notification and screen-reader fallback
+  return { text: `Weekly brief for ${week}: ${report.weeklyVerdict}`, blocks };
+}
+
+function headers() {
+  const token = process.env.SLACK_BOT_TOKEN;
+  if (!token) throw new Error('SLACK_BOT_TOKEN env var is missing');
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type':  'application/json; charset=utf-8',
+  };
+}
+
+// Not idempotent: a retried post after a slow response could announce the brief twice
+const slack = createClient({ platform: 'Slack', baseUrl: 'https://slack.com/api', headers, concurrency: 1, idempotent: false });
+
+// The Web API answers 200 even on failure, with { ok: false, error }
+async function postToSlack(channel, message) {
+  const res = await slack.post('/chat.postMessage', { body: JSON.stringify({ channel, ...message }) });
+  if (!res?.ok) throw new Error(`Slack refused the post to ${channel}: ${res?.error ?? 'unknown error'}`);
+}
+
+// ── Email ─────────────────────────────────────────────────────────────────────
+// Tables and inline styles only — mail clients ignore most <style> rules
+export function buildEmail(report, { dashboardUrl, company }) {
+  const week     = fmtDate(report.weekOf);
+  const actions  = actionsByPriority(report);
+  const insights = [...(report.insights ?? [])]
+    .sort((a, b) => RANK[a.impact] - RANK[b.impact])
+    .slice(0, DIGEST_INSIGHTS);
+  const font     = "font-family:Inter,Segoe UI,Helvetica,Arial,sans-serif";
+
+  const funnel = STAGES.map(stage => {
+    const h = report.funnelHealth?.[stage];
+    return `<td width="25%" valign="top" style="padding:10px;background:${statusBg(h?.status)};border-top:3px solid ${statusColor(h?.status)}">
+      <div style="font-size:11px;font-weight:700;letter-spacing:1px;text-transform:uppercase;color:${statusColor(h?.status)}">${escapeHtml(stage)}</div>
+      <div style="font-size:12px;color:#374151;margin-top:4px">${escapeHtml(h?.summary ?? 'No data')}</div>
+    </td>`;
+  }).join('\n');
+
+  const actionRows = actions.map(a => `<tr><td style="padding:10px 0;border-bottom:1px solid #f3f4f6">
+      <span style="font-size:11px;font-weight:700;text-transform:uppercase;color:${PRIORITY[a.priority]}">${escapeHtml(a.priority)}</span>
+      <span style="font-size:11px;color:#9ca3af"> · do by ${escapeHtml(a.doBy)}</span>
+      <div style="font-size:14px;font-weight:700;color:${NAVY};margin:4px 0">${escapeHtml(a.action)}</div>
+      <div style="font-size:13px;color:#374151"><strong>How to:</strong> ${escapeHtml(a.howTo)}</div>
+    </td></tr>`).join('\n');
+
+  const insightRows = insights.map(ins => `<tr><td style="padding:10px 0;border-bottom:1px solid #f3f4f6">
+      <div style="font-size:11px;color:#9ca3af;font-weight:600">${escapeHtml(ins.source)} · impact ${escapeHtml(ins.impact)}</div>
+      <div style="font-size:14px;font-weight:700;color:${NAVY};margin:4px 0">${escapeHtml(ins.observation)}</div>
+      <div style="font-size:13px;color:#0369a1">→ ${escapeHtml(ins.recommendation)}</div>
+    </td></tr>`).join('\n');
+
+  const heading = title => `<h2 style="font-family:Lora,Georgia,serif;font-size:16px;color:${NAVY};margin:24px 0 8px">${title}</h2>`;
+  const notice  = report.analysis === 'rules'
+    ? `<p style="background:#fffbeb;border:1px solid #fcd34d;border-radius:6px;padding:8px 12px;color:#92400e;font-size:13px">⚠️ Automated rules-based report — no AI analysis this week.</p>`
+    : '';
+  const button  = dashboardUrl
+    ? `<p style="margin:28px 0 8px;text-align:center"><a href="${escapeHtml(dashboardUrl)}" style="background:${CYAN};color:${NAVY};font-weight:700;text-decoration:none;padding:12px 24px;border-radius:8px;display:inline-block">Open the full brief →</a></p>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html><body style="margin:0;background:#f1f5f9;${font}">
+<table width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px 12px">
+<table width="640" cellpadding="0" cellspacing="0" style="background:#fff;border-radius:10px;overflow:hidden">
+<tr><td style="background:${NAVY};border-bottom:4px solid ${CYAN};padding:20px 28px">
+  <div style="color:#fff;font-family:Lora,Georgia,serif;font-size:20px;font-weight:700">${escapeHtml(company)}</div>
+  <div style="color:${CYAN};font-size:12px;font-weight:600;letter-spacing:1px">WEEKLY INTELLIGENCE BRIEF · WEEK OF ${escapeHtml(week.toUpperCase())}</div>
+</td></tr>
+<tr><td style="padding:8px 28px 24px">
+${notice}
+${heading('Verdict')}
+<p style="font-family:Lora,Georgia,serif;font-size:15px;line-height:1.6;color:${NAVY};margin:0">${escapeHtml(report.weeklyVerdict)}</p>
+${heading('Funnel Health')}
+<table width="100%" cellpadding="0" cellspacing="4"><tr>
+${funnel}
+</tr></table>
+${heading(`Urgent Actions (${actions.length})`)}
+<table width="100%" cellpadding="0" cellspacing="0">
+${actionRows || '<tr><td style="font-size:13px;color:#6b7280">No urgent actions this week.</td></tr>'}
+</table>
+${insights.length > 0 ? `${heading('Top Insights')}
+<table width="100%" cellpadding="0" cellspacing="0">
+${insightRows}
+</table>` : ''}
+${button}
+</td></tr>
+</table>
+</td></tr></table>
+</body></html>
+`;
+
+  const text = [
+    `${company} — Weekly Intelligence Brief, week of ${week}`,
+    '',
+    report.weeklyVerdict,
+    '',
+    'Funnel health:',
+    ...STAGES.map(stage => `  ${capitalize(stage)}: ${report.funnelHealth?.[stage]?.status ?? 'n/a'} — ${report.funnelHealth?.[stage]?.summary ?? ''}`),
+    '',
+    `Urgent actions (${actions.length}):`,
+    ...actions.map(a => `  [${a.priority.toUpperCase()}] ${a.action} (do by ${a.doBy})\n    How to: ${a.howTo}`),
+    ...(dashboardUrl ? ['', `Full brief: ${dashboardUrl}`] : []),
+  ].join('\n');
+
+  return { subject: `${company} weekly brief — week of ${week}`, html, text };
+}
+
+// nodemailer is only loaded for live email, so the file and stdout sinks
+// work without it installed
+async function sendEmail(to, email) {
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+  const missing = Object.entries({ SMTP_HOST, SMTP_USER, SMTP_PASS }).filter(([, v]) => !v).map(([k]) => k);
+  if (missing.length > 0) throw new Error(`${missing.join(', ')} env var(s) missing`);
+
+  const { default: nodemailer } = await import('nodemailer');
+  const port      = Number(SMTP_PORT || 587);
+  const transport = nodemailer.createTransport({
+    host:   SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth:   { user: SMTP_USER, pass: SMTP_PASS },
+  });
+  await transport.sendMail({ ...email, from: SMTP_FROM || email.from, to: to.join(', ') });
+}
+
+// ── Sinks ─────────────────────────────────────────────────────────────────────
+// Each sink is { slack(listId, channel, message), email(listId, to, email) }
+export function createSink(kind, { weekOf, dir = DELIVERY_DIR }) {
+  if (kind === 'live') {
+    return {
+      slack: (listId, channel, message) => postToSlack(channel, message),
+      email: (listId, to, email) => sendEmail(to, email),
+    };
+  }
+
+  if (kind === 'file') {
+    const outDir = path.join(dir, weekOf);
+    const write  = (file, content) => {
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(path.join(outDir, file), content);
+      return path.join(outDir, file);
+    };
+    return {
+      slack: async (listId, channel, message) => write(`slack-${listId}.json`, JSON.stringify({ channel, ...message }, null, 2)),
+      email: async (listId, to, email) => {
+        write(`email-${listId}.txt`, `To: ${to.join(', ')}\nSubject: ${email.subject}\n\n${email.text}\n`);
+        return write(`email-${listId}.html`, email.html);
+      },
+    };
+  }
+
+  if (kind === 'stdout') {
+    return {
+      slack: async (listId, channel, message) => console.log(`\n── Slack → ${channel} (${listId}) ──\n${JSON.stringify(message, null, 2)}`),
+      email: async (listId, to, email) => console.log(`\n── Email → ${to.join(', ')} (${listId}) ──\nSubject: ${email.subject}\n\n${email.text}`),
+    };
+  }
+
+  throw new Error(`Unknown delivery sink "${kind}" — expected one of: ${SINKS.join(', ')}`);
+}
+
+// Sends to every list and never stops at the first failure.
+// → [{ list, channel: 'slack' | 'email', target, status: 'sent' | 'failed', detail }]
+export async function deliver(report, { config, sink, company }) {
+  const slackMessage = buildSlackMessage(report, config);
+  const email        = { from: config.emailFrom, ...buildEmail(report, { ...config, company }) };
+
+  const jobs = deliveryLists(config).flatMap(list => [
+    ...(list.slackChannel ? [{ list: list.id, channel: 'slack', target: list.slackChannel, send: () => sink.slack(list.id, list.slackChannel, slackMessage) }] : []),
+    ...(list.email.length > 0 ? [{ list: list.id, channel: 'email', target: list.email.join(', '), send: () => sink.email(list.id, list.email, email) }] : []),
+  ]);
+
+  const results = [];
+  for (const { send, ...job } of jobs) {
+    try {
+      const detail = await send();
+      results.push({ ...job, status: 'sent', detail: typeof detail === 'string' ? detail : null });
+    } catch (err) {
+      results.push({ ...job, status: 'failed', detail: err.message });
+    }
+  }
+  return results;
+}
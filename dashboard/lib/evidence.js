@@ -0,0 +1,105 @@
+// lib/evidence.js
+// Evidence references tie an urgent action, insight or do-not-touch item
+// to the raw figures behind it, as { path, value }. The path starts with
+// the source id and follows rawData from there:
+//
+//   vimeo.videos[2].engagement.biggestDropSeconds
+//   ga4.channels.Organic Search.this_week.sessions
+//   ga4.channels["Organic Search"].this_week.sessions   (same thing)
+//
+// The generator checks every reference resolves and carries the value
+// actually in the data before a report is archived; the dashboard uses
+// them to highlight the cited figures in each source's panel.
+
+export const EVIDENCE_SECTIONS = ['urgentActions', 'insights', 'doNotTouch'];
+
+const SEGMENT = /\[(\d+)\]|\["([^"]*)"\]|\.?([^.[\]]+)/g;
+
+// "vimeo.videos[2].title" → ['vimeo', 'videos', 2, 'title'], or null if
+// the path doesn't parse
+export function parsePath(path) {
+  if (typeof path !== 'string' || !path) return null;
+  const keys = [];
+  let consumed = 0;
+  for (const m of path.matchAll(SEGMENT)) {
+    if (m.index !== consumed) return null;
+    if (m[3] != null && consumed > 0 && !m[0].startsWith('.')) return null;
+    keys.push(m[1] != null ? Number(m[1]) : m[2] ?? m[3].trim());
+    consumed += m[0].length;
+  }
+  return consumed === path.length ? keys : null;
+}
+
+// → { found, value }
+export function resolvePath(data, path) {
+  const keys = parsePath(path);
+  if (!keys) return { found: false };
+  let node = data;
+  for (const key of keys) {
+    if (node == null || typeof node !== 'object' || !(key in node)) return { found: false };
+    node = node[key];
+  }
+  return { found: true, value: node };
+}
+
+// The prompt shows numbers rounded to 2 places and long text cut short
+// with an ellipsis, so a citation copied from it still has to match
+function sameValue(cited, actual) {
+  if (typeof actual === 'number') {
+    const n = typeof cited === 'string' ? Number(cited.replace(/[,%$]/g, '')) : cited;
+    return typeof n === 'number' && Math.abs(n - actual) <= 0.01 + Math.abs(actual) * 0.001;
+  }
+  if (typeof actual === 'string' && typeof cited === 'string') {
+    const a = actual.replace(/\s+/g, ' ').trim();
+    const c = cited.replace(/\s+/g, ' ').trim();
+    return c.endsWith('…') ? a.startsWith(c.slice(0, -1)) : a === c;
+  }
+  return cited === actual;
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Problems in the same style as lib/schema.js formatErrors, so they can go
+// straight back to the model in a repair round. required: false skips the
+// at-least-one check, for the rules report — it can't cite a goal whose
+// source failed this week.
+export function evidenceProblems(report, data, { required = true } = {}) {
+  const problems = [];
+  for (const section of EVIDENCE_SECTIONS) {
+    // Wrong shapes (a string section, a null item or ref) are schema
+    // errors already — skip them rather than throw on a malformed reply
+    if (!Array.isArray(report[section])) continue;
+    report[section].forEach((item, i) => {
+      if (!isRecord(item)) return;
+      const at   = `${section}[${i}].evidence`;
+      const refs = Array.isArray(item.evidence) ? item.evidence : [];
+      if (required && refs.length === 0) {
+        problems.push(`${at} must cite at least one figure from the data`);
+        return;
+      }
+      refs.forEach((ref, j) => {
+        if (!isRecord(ref)) return;
+        const { found, value } = resolvePath(data, ref.path);
+        if (!found) {
+          problems.push(`${at}[${j}].path "${ref.path}" does not exist in the data`);
+        } else if (value !== null && typeof value === 'object') {
+          problems.push(`${at}[${j}].path "${ref.path}" is a whole record — cite a single figure inside it`);
+        } else if (!sameValue(ref.value, value)) {
+          problems.push(`${at}[${j}].value is ${JSON.stringify(ref.value)} but ${ref.path} is ${JSON.stringify(value)}`);
+        }
+      });
+    });
+  }
+  return problems;
+}
+
+// The refs that point into one source, each with its parsed keys below
+// the source id — what a dashboard panel needs to highlight its figures
+export function citedIn(refs, sourceId) {
+  return refs.flatMap(ref => {
+    const [source, ...keys] = parsePath(ref.path) ?? [];
+    return source === sourceId ? [{ ...ref, keys }] : [];
+  });
+}
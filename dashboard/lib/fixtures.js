@@ -0,0 +1,133 @@
+// lib/fixtures.js
+// Record-and-replay for every platform call. In record mode each response
+// (or error) is saved under FIXTURE_DIR/<platform>/<hash>.json; in replay
+// mode the same calls are served from disk so a run needs no network and
+// no credentials. Request keys never include access tokens, but responses
+// and model prompts are saved as-is — real business data — so the default
+// dashboard/fixtures/ is git-ignored. Keep recordings out of the repo.
+//
+// Enable with FIXTURE_MODE=record|replay and FIXTURE_DIR=<dir>, or with
+// generate-report.js --record <dir> / --replay <dir>.
+
+import crypto from 'crypto';
+import fs     from 'fs';
+import path   from 'path';
+
+export const DEFAULT_FIXTURE_DIR = './dashboard/fixtures';
+
+// Account identifiers that appear in request paths. They're swapped for a
+// placeholder in fixture keys so a replay works without the real values.
+const IDENTIFIER_ENV = ['META_AD_ACCOUNT_ID', 'GA4_PROPERTY_ID', 'GSC_SITE_URL'];
+
+const state = {
+  mode:     process.env.FIXTURE_MODE || null,   // null = live
+  dir:      process.env.FIXTURE_DIR  || DEFAULT_FIXTURE_DIR,
+  counters: {},
+};
+
+export function configureFixtures({ mode = null, dir = DEFAULT_FIXTURE_DIR } = {}) {
+  if (mode && mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Unknown fixture mode "${mode}" — use record or replay`);
+  }
+  state.mode     = mode;
+  state.dir      = dir;
+  state.counters = {};
+}
+
+export function isRecording() { return state.mode === 'record'; }
+export function isReplaying() { return state.mode === 'replay'; }
+export function fixtureDir()  { return state.dir; }
+
+// JSON.stringify with sorted object keys so equivalent requests hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function redact(text) {
+  let out = text;
+  for (const name of IDENTIFIER_ENV) {
+    const value = process.env[name];
+    if (value) out = out.split(value).join(`{${name}}`);
+  }
+  return out;
+}
+
+function fixturePath(platform, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return path.join(state.dir, platform, `${hash}.json`);
+}
+
+// Wraps one platform call. `request` is anything that identifies the call
+// (path + params, SDK method + request body); `fn` performs it live.
+export async function withFixture(platform, request, fn) {
+  if (!state.mode) return fn();
+
+  const key  = redact(stableStringify(request));
+  const file = fixturePath(platform, key);
+
+  if (state.mode === 'replay') {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No ${platform} fixture recorded for ${key} (looked in ${state.dir})`);
+    }
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (fixture.error) throw new Error(fixture.error);
+    return fixture.response;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const save = (body) => fs.writeFileSync(file, JSON.stringify({
+    platform, key, recordedAt: new Date().toISOString(), ...body,
+  }, null, 2));
+
+  try {
+    const response = await fn();
+    save({ response });
+    return response;
+  } catch (err) {
+    save({ error: err.message });
+    throw err;
+  }
+}
+
+// Calls whose request can't be keyed by content (the model prompt embeds
+// fetch timestamps) are keyed by call order instead: 1st, 2nd, … per label.
+export function withSequencedFixture(platform, label, fn) {
+  const n = (state.counters[`${platform}:${label}`] ?? 0) + 1;
+  state.counters[`${platform}:${label}`] = n;
+  return withFixture(platform, { call: label, sequence: n }, fn);
+}
+
+// ── Manifest ──────────────────────────────────────────────────────────────────
+// Lists the reporting windows a fixture set was captured for — every
+// request key embeds its dates, so a replay has to use the same window.
+function manifestPath() {
+  return path.join(state.dir, 'manifest.json');
+}
+
+export function readManifest() {
+  if (!fs.existsSync(manifestPath())) return { windows: [] };
+  return JSON.parse(fs.readFileSync(manifestPath(), 'utf8'));
+}
+
+export function recordWindow(window) {
+  const windows = readManifest().windows.filter(w => w.weekOf !== window.weekOf);
+  fs.mkdirSync(state.dir, { recursive: true });
+  fs.writeFileSync(manifestPath(), JSON.stringify({
+    updatedAt: new Date().toISOString(),
+    windows:   [...windows, window].sort((a, b) => b.weekOf.localeCompare(a.weekOf)),
+  }, null, 2));
+}
+
+// Replays don't need credentials, but fetchers still read their env vars
+// up front. Fill any missing ones with placeholders — identifiers get the
+// same {NAME} placeholder the fixture keys were redacted to.
+export function fillReplayEnv(names) {
+  for (const name of names) {
+    if (process.env[name]) continue;
+    process.env[name] = name === 'GOOGLE_SERVICE_ACCOUNT' ? '{}' : `{${name}}`;
+  }
+}
@@ -0,0 +1,79 @@
+// lib/followups.js
+// Carries last week's calls into this week's run. The previous archived
+// report's urgent actions and watch items are numbered and put in the
+// prompt, and the model returns a followUps entry for each one saying
+// whether this week's data shows improvement, regression or no change.
+// The call text itself is copied from the archive, never from the model.
+
+import { listReports, loadReport } from './archive.js';
+
+const NOT_ASSESSED = 'Not assessed — rules-based report, no AI analysis.';
+
+// The most recent archived report before weekOf, as
+// { weekOf, calls: [{ id, kind, call, detail, threshold? }] }, or null
+// if there is none or it made no calls
+export function loadPreviousCalls(weekOf) {
+  const [previous] = listReports({ before: weekOf });
+  const report     = previous ? loadReport(previous) : null;
+  if (!report) return null;
+
+  const calls = [
+    ...(report.urgentActions ?? []).map((a, i) => ({
+      id: `action-${i + 1}`, kind: 'action', call: a.action, detail: a.expectedOutcome,
+    })),
+    ...(report.watchNextWeek ?? []).map((w, i) => ({
+      id: `watch-${i + 1}`, kind: 'watch', call: w.metric, detail: w.because, threshold: w.threshold,
+    })),
+  ];
+  return calls.length > 0 ? { weekOf: report.weekOf, calls } : null;
+}
+
+// ── Prompt ────────────────────────────────────────────────────────────────────
+export function renderPreviousCalls(previous) {
+  if (!previous) return 'No earlier report in the archive — nothing to follow up this week.';
+  return previous.calls.map(c => c.kind === 'action'
+    ? `- ${c.id} (action): ${c.call}. Expected outcome: ${c.detail}`
+    : `- ${c.id} (watch): ${c.call}. Why: ${c.detail} Act if: ${c.threshold}`
+  ).join('\n');
+}
+
+// ── Checking the model's answer ───────────────────────────────────────────────
+// Problems in the same style as lib/schema.js formatErrors, so they can go
+// straight back to the model in a repair round
+export function followUpProblems(followUps, previous) {
+  if (!previous) return [];
+  if (!Array.isArray(followUps)) return [`followUps is required — one entry per call from ${previous.weekOf}`];
+
+  // A non-object entry is a schema error already — skip it, don't throw
+  const entries  = followUps.map((f, i) => ({ f, i })).filter(({ f }) => f !== null && typeof f === 'object');
+  const problems = [];
+  const ids      = new Set(previous.calls.map(c => c.id));
+  const answered = new Set(entries.map(({ f }) => f.id));
+  for (const c of previous.calls) {
+    if (!answered.has(c.id)) problems.push(`followUps is missing an entry for ${c.id}`);
+  }
+  entries.forEach(({ f, i }) => {
+    if (!ids.has(f.id)) problems.push(`followUps[${i}].id must be one of last week's calls (got "${f.id}")`);
+    else if (f.id.startsWith('watch-') && typeof f.thresholdCrossed !== 'boolean') {
+      problems.push(`followUps[${i}].thresholdCrossed must be true or false for watch items`);
+    }
+  });
+  return problems;
+}
+
+// Archived calls joined with the model's verdicts, in the original order
+export function mergeFollowUps(previous, followUps) {
+  const byId = Object.fromEntries((followUps ?? []).map(f => [f.id, f]));
+  return previous.calls.map(({ detail, ...c }) => ({
+    ...c,
+    outcome:  byId[c.id]?.outcome ?? 'no-data',
+    evidence: byId[c.id]?.evidence ?? 'No follow-up returned.',
+    ...(c.kind === 'watch' ? { thresholdCrossed: byId[c.id]?.thresholdCrossed ?? null } : {}),
+  }));
+}
+
+// The rules report can't judge whether a call worked, but still lists
+// the calls so they don't drop off the dashboard
+export function unassessedFollowUps(previous) {
+  return mergeFollowUps(previous, previous.calls.map(c => ({ id: c.id, outcome: 'no-data', evidence: NOT_ASSESSED })));
+}
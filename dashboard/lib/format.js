@@ -0,0 +1,53 @@
+// lib/format.js
+// Brand colours and display formatting shared by the dashboard and the
+// exporters (lib/brief.js), so the emailed and printed brief reads the
+// same as the dashboard. No Node or React imports — both sides load it.
+
+// ── Brand ─────────────────────────────────────────────────────────────────────
+export const NAVY  = '#1a2854';
+export const CYAN  = '#00bce5';
+export const GREEN = '#059669';
+export const AMBER = '#d97706';
+export const RED   = '#dc2626';
+
+// ── Funnel status ─────────────────────────────────────────────────────────────
+export function statusColor(s)  { return s === 'green' ? GREEN : s === 'amber' ? AMBER : RED; }
+export function statusBg(s)     { return s === 'green' ? '#ecfdf5' : s === 'amber' ? '#fffbeb' : '#fef2f2'; }
+export function statusBorder(s) { return s === 'green' ? '#6ee7b7' : s === 'amber' ? '#fcd34d' : '#fca5a5'; }
+export function statusIcon(s)   { return s === 'green' ? '●' : s === 'amber' ? '◐' : '●'; }
+
+// ── Numbers ───────────────────────────────────────────────────────────────────
+export function fmt(n, prefix = '', suffix = '') {
+  if (n == null) return '—';
+  return `${prefix}${typeof n === 'number' ? n.toLocaleString() : n}${suffix}`;
+}
+
+// A week-over-week % change as an arrow, or null if there is none.
+// invert: true for metrics where down is good (bounce rate, CPL)
+export function deltaParts(n, invert = false) {
+  if (n == null) return null;
+  const up   = n >= 0;
+  const good = invert ? !up : up;
+  return { text: `${up ? '▲' : '▼'} ${Math.abs(n)}%`, good, color: good ? GREEN : RED };
+}
+
+// A value in a metric unit (see UNITS in lib/metrics.js)
+export function fmtUnit(v, unit) {
+  if (v == null) return '—';
+  if (unit === 'usd')     return Number.isInteger(v) ? fmt(v, '$') : `$${v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  if (unit === 'percent') return fmt(v, '', '%');
+  if (unit === 'seconds') return fmtDuration(v);
+  return fmt(v);
+}
+
+export function fmtDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+export function fmtDuration(secs) {
+  if (!secs) return '—';
+  const m = Math.floor(secs / 60);
+  const s = Math.floor(secs % 60);
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,134 @@
+// lib/goals.js
+// Quarterly goal tracking. Pulls each goal's weekly metric out of the
+// archived reports for the quarter, then works out progress to date, the
+// weekly run-rate still needed, and where the current pace lands us.
+//
+// Goals come from config/business.json. `aggregate` decides how weekly
+// values combine: "sum" (e.g. new subscribers add up towards +500) or
+// "latest" (e.g. CPL — only the current level matters).
+
+import { listReports, loadReport } from './archive.js';
+import { formatValue } from './config.js';
+import { round } from './metrics.js';
+import { addDays } from './window.js';
+
+function getPath(obj, path) {
+  return path.split('.').reduce((node, key) => node?.[key], obj);
+}
+
+function weeksUntil(from, to) {
+  const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000;
+  return Math.max(0, Math.ceil(days / 7));
+}
+
+// Least-squares slope of values over their index — change per week
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return null;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return num / den;
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+// Archived reports in the quarter before weekOf, oldest first, as
+// { weekOf, rawData } — the current run's data is appended by the caller.
+export function loadQuarterHistory(quarter, weekOf) {
+  return listReports({ before: weekOf })
+    .filter(w => w > quarter.start && w <= addDays(quarter.end, 7))
+    .reverse()
+    .map(w => ({ weekOf: w, rawData: loadReport(w)?.rawData ?? {} }));
+}
+
+// ── Tracking ──────────────────────────────────────────────────────────────────
+function trackGoal(goal, weeks, asOf) {
+  const points = weeks
+    .map(w => ({ weekOf: w.weekOf, value: getPath(w.rawData, goal.metric) }))
+    .filter(p => typeof p.value === 'number' && !isNaN(p.value));
+
+  const weeksRemaining = weeksUntil(asOf, goal.deadline);
+  const base = {
+    id:        goal.id,
+    label:     goal.label,
+    metric:    goal.metric,
+    priority:  goal.priority ?? null,
+    unit:      goal.unit,
+    direction: goal.direction,
+    aggregate: goal.aggregate,
+    target:    goal.target,
+    deadline:  goal.deadline,
+    weeksTracked: points.length,
+    weeksRemaining,
+    history:   points,
+  };
+
+  if (points.length === 0) return { ...base, status: 'no-data' };
+
+  const values = points.map(p => p.value);
+  const beats  = v => (goal.direction === 'down' ? v <= goal.target : v >= goal.target);
+
+  if (goal.aggregate === 'sum') {
+    const toDate    = values.reduce((a, b) => a + b, 0);
+    const pace      = toDate / values.length;
+    const projected = toDate + pace * weeksRemaining;
+    const remaining = goal.target - toDate;
+    return {
+      ...base,
+      current:         round(toDate),
+      progressPct:     round((toDate / goal.target) * 100),
+      currentRunRate:  round(pace),
+      requiredRunRate: weeksRemaining > 0 ? round(Math.max(0, remaining) / weeksRemaining) : null,
+      projected:       round(projected),
+      status:          beats(projected) ? 'on-track' : 'off-track',
+    };
+  }
+
+  // "latest": progress is how far we've moved from the quarter's first
+  // reading towards the target; pace is the fitted weekly trend
+  const start     = values[0];
+  const current   = values[values.length - 1];
+  const trend     = slope(values);
+  const projected = trend == null ? current : current + trend * weeksRemaining;
+  const gap       = start - goal.target;
+  return {
+    ...base,
+    start:           round(start, 2),
+    current:         round(current, 2),
+    progressPct:     gap !== 0 ? round(((start - current) / gap) * 100) : (beats(current) ? 100 : 0),
+    currentRunRate:  trend == null ? null : round(trend, 2),
+    requiredRunRate: weeksRemaining > 0 ? round((goal.target - current) / weeksRemaining, 2) : null,
+    projected:       round(projected, 2),
+    status:          beats(projected) ? 'on-track' : 'off-track',
+  };
+}
+
+// weeks: [{ weekOf, rawData }] oldest first, ending with the current week
+export function trackGoals(config, weeks) {
+  const asOf = weeks[weeks.length - 1]?.weekOf;
+  return (config.goals ?? []).map(goal => trackGoal(goal, weeks, asOf));
+}
+
+// ── Prompt ────────────────────────────────────────────────────────────────────
+export function renderGoalProgress(goals) {
+  if (goals.length === 0) return 'No quarterly goals configured.';
+  return goals.map(g => {
+    const fv = v => formatValue(v, g.unit);
+    const head = `- ${g.label} (target ${fv(g.target)} by ${g.deadline})`;
+    if (g.status === 'no-data') return `${head}: no data yet this quarter.`;
+
+    const perWeek = g.aggregate === 'sum' ? '/week' : ' change/week';
+    const parts = g.aggregate === 'sum'
+      ? [`${fv(g.current)} so far (${g.progressPct}% of target) over ${g.weeksTracked} week(s)`]
+      : [`now ${fv(g.current)}, started the quarter at ${fv(g.start)}`];
+    if (g.currentRunRate != null)  parts.push(`current pace ${g.currentRunRate}${perWeek}`);
+    if (g.requiredRunRate != null) parts.push(`needs ${g.requiredRunRate}${perWeek} for the remaining ${g.weeksRemaining} week(s)`);
+    parts.push(`projected ${fv(g.projected)} → ${g.status === 'on-track' ? 'ON TRACK' : 'OFF TRACK'}`);
+    return `${head}: ${parts.join('; ')}.`;
+  }).join('\n');
+}
@@ -0,0 +1,75 @@
+// lib/health.js
+// Builds the runHealth block stored in every report: per-source status,
+// timing, record counts and partial failures, plus model usage. The
+// dashboard reads it to say exactly which sections are missing and why.
+//
+// Source status is one of ok | partial | failed | disabled.
+
+// Keep the useful fields of an HttpError (lib/http.js) or plain Error
+export function describeError(err) {
+  if (!err) return { message: 'Unknown error' };
+  const detail = { message: err.message ?? String(err) };
+  for (const key of ['platform', 'endpoint', 'status', 'retryable', 'attempts']) {
+    if (err[key] != null) detail[key] = err[key];
+  }
+  return detail;
+}
+
+// One enabled source's outcome. result is a Promise.allSettled entry;
+// durationMs is null when the data came from a saved bundle.
+export function sourceHealth(source, result, durationMs = null) {
+  const base = { name: source.name, durationMs };
+  if (result.status === 'rejected') {
+    return { ...base, status: 'failed', error: describeError(result.reason) };
+  }
+
+  let summary;
+  try {
+    summary = source.health?.(result.value) ?? {};
+  } catch (err) {
+    summary = { warnings: [`Couldn't summarise the data: ${err.message}`] };
+  }
+  const warnings = summary.warnings ?? [];
+  return {
+    ...base,
+    status:  warnings.length > 0 ? 'partial' : 'ok',
+    records: summary.records ?? {},
+    warnings,
+  };
+}
+
+// Health for data loaded from a saved bundle, where only the stored
+// { error } survives from a failed fetch
+export function healthFromData(allSources, sources, data) {
+  return Object.fromEntries(allSources.map(source => {
+    if (!sources.includes(source)) return [source.id, { name: source.name, status: 'disabled' }];
+    const d = data[source.id];
+    const result = d?.error
+      ? { status: 'rejected', reason: { message: d.error } }
+      : { status: 'fulfilled', value: d };
+    return [source.id, sourceHealth(source, result)];
+  }));
+}
+
+export function createModelUsage(model) {
+  return { model, calls: 0, inputTokens: 0, outputTokens: 0, truncations: 0, repairs: 0 };
+}
+
+export function recordUsage(usage, message) {
+  usage.calls++;
+  usage.inputTokens  += message.usage?.input_tokens  ?? 0;
+  usage.outputTokens += message.usage?.output_tokens ?? 0;
+  if (message.stop_reason === 'max_tokens') usage.truncations++;
+}
+
+export function buildRunHealth({ startedAt, mode, sources, usage, analysis, fallbackReason }) {
+  const finishedAt = new Date();
+  return {
+    startedAt:  startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    mode,
+    sources,
+    model: { ...usage, analysis, ...(fallbackReason ? { fallbackReason } : {}) },
+  };
+}
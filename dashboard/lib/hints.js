@@ -0,0 +1,11 @@
+// lib/hints.js
+// Turns an integration error into the fixes listed in its registry entry,
+// so the standalone fetcher tests, the report run and scripts/doctor.js
+// all give the same advice for the same failure.
+
+// source.hints: [{ match: RegExp, fix: string }], tested against the
+// error message
+export function fixesFor(source, err) {
+  const message = err?.message ?? String(err);
+  return (source.hints ?? []).filter(h => h.match.test(message)).map(h => h.fix);
+}
@@ -0,0 +1,164 @@
+// lib/http.js
+// Shared HTTP client for the REST fetchers (Kit, Meta, Unbounce, Vimeo).
+// Caps concurrent requests per host, times out hung requests, retries
+// 429s, 5xxs and network failures with exponential backoff (honouring
+// Retry-After), and throws HttpError with the platform, endpoint and
+// status instead of a pasted-together message. The Google fetchers go
+// through their SDKs, which retry on their own.
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT_MS  = 30_000;
+const MAX_RETRIES         = 3;
+const BASE_DELAY_MS       = 500;
+const MAX_DELAY_MS        = 30_000;
+const MAX_RETRY_AFTER_MS  = 60_000;   // Cap on a server-requested wait
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+export class HttpError extends Error {
+  constructor({ platform, endpoint, status = null, retryable = false, detail, attempts = 1 }) {
+    super(`${platform} ${status ?? 'request failed'} on ${endpoint}: ${detail}`);
+    this.name      = 'HttpError';
+    this.platform  = platform;
+    this.endpoint  = endpoint;
+    this.status    = status;
+    this.retryable = retryable;
+    this.detail    = detail;
+    this.attempts  = attempts;
+  }
+}
+
+// ── Per-host concurrency ──────────────────────────────────────────────────────
+const hosts = new Map();   // host → { limit, active, queue }
+
+function hostSlot(host, limit) {
+  if (!hosts.has(host)) hosts.set(host, { limit, active: 0, queue: [] });
+  return hosts.get(host);
+}
+
+async function acquire(slot) {
+  if (slot.active < slot.limit) {
+    slot.active++;
+    return;
+  }
+  await new Promise(resolve => slot.queue.push(resolve));
+}
+
+function release(slot) {
+  const next = slot.queue.shift();
+  if (next) next();         // Hand the slot straight to the next waiter
+  else slot.active--;
+}
+
+// ── Retries ───────────────────────────────────────────────────────────────────
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(res) {
+  const header = res?.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  const exp = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(MAX_DELAY_MS, exp + Math.random() * exp * 0.25);
+}
+
+// Pull a readable message out of whatever error body the platform sent
+function describeBody(body) {
+  if (body && typeof body === 'object') {
+    const message = body.error?.message ?? body.error_description ?? body.message ?? body.error;
+    return typeof message === 'string' ? message : JSON.stringify(body).slice(0, 300);
+  }
+  return String(body ?? '').slice(0, 300) || 'no response body';
+}
+
+async function readBody(res) {
+  const text = await res.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return text;
+  }
+}
+
+// ── Client ────────────────────────────────────────────────────────────────────
+// platform:    name used in errors, e.g. 'Kit'
+// baseUrl:     prefix for every path
+// headers:     object or function returning one (read lazily, so env vars
+//              are only required once a request is made)
+// concurrency: max in-flight requests to this host
+// isRetryable: (status, body) → boolean, for platforms that signal rate
+//              limits in the body rather than the status (Meta)
+// idempotent:  false where a repeat has side effects (a Slack post) — then
+//              only 429s, which the server refused outright, are retried,
+//              never a timeout or 5xx that may already have gone through
+export function createClient({
+  platform,
+  baseUrl,
+  headers     = {},
+  concurrency = DEFAULT_CONCURRENCY,
+  timeoutMs   = DEFAULT_TIMEOUT_MS,
+  isRetryable = () => false,
+  idempotent  = true,
+}) {
+  const slot = hostSlot(new URL(baseUrl).host, concurrency);
+
+  async function request(method, path, { params = {}, body, headers: extra = {} } = {}) {
+    const url = new URL(`${baseUrl}${path}`);
+    for (const [k, v] of Object.entries(params)) {
+      url.searchParams.set(k, typeof v === 'object' ? JSON.stringify(v) : v);
+    }
+    // Never put the query string in errors — some platforms take tokens there
+    const endpoint = `${method} ${url.pathname}`;
+    const allHeaders = { ...(typeof headers === 'function' ? headers() : headers), ...extra };
+
+    for (let attempt = 0; ; attempt++) {
+      let res  = null;
+      let data = null;
+      let failure;
+
+      await acquire(slot);
+      try {
+        res  = await fetch(url, {
+          method,
+          headers: allHeaders,
+          body,
+          signal:  AbortSignal.timeout(timeoutMs),
+        });
+        data = await readBody(res);
+        if (res.ok) return data;
+        failure = {
+          status:    res.status,
+          retryable: (idempotent ? RETRYABLE_STATUS.has(res.status) : res.status === 429) || isRetryable(res.status, data),
+          detail:    describeBody(data),
+        };
+      } catch (err) {
+        const timedOut = err.name === 'TimeoutError';
+        failure = {
+          status:    null,
+          retryable: idempotent,
+          detail:    timedOut ? `timed out after ${timeoutMs / 1000}s` : err.cause?.message ?? err.message,
+        };
+      } finally {
+        release(slot);
+      }
+
+      if (!failure.retryable || attempt >= MAX_RETRIES) {
+        throw new HttpError({ platform, endpoint, ...failure, attempts: attempt + 1 });
+      }
+      const wait = Math.min(MAX_RETRY_AFTER_MS, retryAfterMs(res) ?? backoffMs(attempt));
+      console.warn(`  ↻ ${platform} ${failure.status ?? failure.detail} on ${endpoint} — retrying in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait);
+    }
+  }
+
+  return {
+    get:  (path, options) => request('GET', path, options),
+    post: (path, options) => request('POST', path, options),
+  };
+}
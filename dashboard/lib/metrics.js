@@ -0,0 +1,182 @@
+// lib/metrics.js
+// Shared calculations and the normalized metric record. Every fetcher
+// rounds and compares with the helpers here, and emits its numbers a
+// second time as `metrics` — one record per metric, in one shape:
+//
+//   { id, source, label, unit, period, value, previous, delta, entity? }
+//
+// value and previous are in the record's unit (GA4's bounce-rate fraction
+// becomes a percent), delta is the % change from previous, and entity
+// names the campaign, page, video or query for per-entity series. The
+// catalog below is the only place a metric's path, unit and good direction
+// are defined; the dashboard, anomaly checks and exports read records
+// rather than re-deriving units per source.
+//
+// No Node imports — the dashboard loads it too.
+
+// ── Calculations ──────────────────────────────────────────────────────────────
+// % change, one decimal. null when there's nothing to compare with.
+export function pct(current, previous) {
+  if (current == null || !previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+export function round(val, decimals = 1) {
+  if (val == null || isNaN(val)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(val * factor) / factor;
+}
+
+function numbers(values) {
+  return values.filter(v => typeof v === 'number' && !isNaN(v));
+}
+
+// Mean of the numeric values, ignoring null and NaN; null if there are none
+export function avg(values) {
+  const valid = numbers(values);
+  return valid.length ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+}
+
+// Sum of fn(item), ignoring items where it is null or NaN
+export function sum(items, fn = v => v) {
+  return numbers(items.map(fn)).reduce((a, b) => a + b, 0);
+}
+
+// ── Catalog ───────────────────────────────────────────────────────────────────
+// count | percent | usd | seconds | minutes | position
+export const UNITS = ['count', 'percent', 'usd', 'seconds', 'minutes', 'position'];
+
+// Headline metrics. path / previous point into the source's payload (or
+// are functions of it); scale converts into unit; decimals (default 2)
+// is the rounding; better is which way is good news (null = neither).
+export const METRICS = [
+  { id: 'ga4.sessions',              label: 'Sessions',             unit: 'count',   better: 'up',   path: 'overview.this_week.sessions',               previous: 'overview.last_week.sessions' },
+  { id: 'ga4.engagedSessions',       label: 'Engaged sessions',     unit: 'count',   better: 'up',   path: 'overview.this_week.engagedSessions',        previous: 'overview.last_week.engagedSessions' },
+  { id: 'ga4.totalUsers',            label: 'Total users',          unit: 'count',   better: 'up',   path: 'overview.this_week.totalUsers',             previous: 'overview.last_week.totalUsers' },
+  { id: 'ga4.newUsers',              label: 'New users',            unit: 'count',   better: 'up',   path: 'overview.this_week.newUsers',               previous: 'overview.last_week.newUsers' },
+  { id: 'ga4.bounceRate',            label: 'Bounce rate',          unit: 'percent', better: 'down', path: 'overview.this_week.bounceRate',             previous: 'overview.last_week.bounceRate', scale: 100 },
+  { id: 'ga4.avgSessionDuration',    label: 'Avg session duration', unit: 'seconds', better: 'up',   path: 'overview.this_week.averageSessionDuration', previous: 'overview.last_week.averageSessionDuration' },
+  { id: 'ga4.conversions',           label: 'Conversions',          unit: 'count',   better: 'up',   path: 'conversions.this_week.conversions',         previous: 'conversions.last_week.conversions' },
+  { id: 'ga4.conversionRate',        label: 'Conversion rate',      unit: 'percent', better: 'up',   path: 'conversions.this_week.conversionRate',      previous: 'conversions.last_week.conversionRate' },
+  { id: 'youtube.views',             label: 'Views',                unit: 'count',   better: 'up',   path: 'thisWeek.views',                            previous: 'lastWeek.views' },
+  { id: 'youtube.watchMinutes',      label: 'Watch minutes',        unit: 'minutes', better: 'up',   path: 'thisWeek.estimatedMinutesWatched',          previous: 'lastWeek.estimatedMinutesWatched' },
+  { id: 'youtube.avgViewDuration',   label: 'Avg view duration',    unit: 'seconds', better: 'up',   path: 'thisWeek.averageViewDuration',              previous: 'lastWeek.averageViewDuration' },
+  { id: 'youtube.subscribersGained', label: 'Subscribers gained',   unit: 'count',   better: 'up',   path: 'thisWeek.subscribersGained',                previous: 'lastWeek.subscribersGained' },
+  { id: 'youtube.subscribersLost',   label: 'Subscribers lost',     unit: 'count',   better: 'down', path: 'thisWeek.subscribersLost',                  previous: 'lastWeek.subscribersLost' },
+  { id: 'meta.spend',                label: 'Spend',                unit: 'usd',     better: null,   path: 'thisWeek.spend',                            previous: 'lastWeek.spend' },
+  { id: 'meta.impressions',          label: 'Impressions',          unit: 'count',   better: 'up',   path: 'thisWeek.impressions',                      previous: 'lastWeek.impressions' },
+  { id: 'meta.leads',                label: 'Leads',                unit: 'count',   better: 'up',   path: 'thisWeek.leads',                            previous: 'lastWeek.leads' },
+  { id: 'meta.costPerLead',          label: 'Cost per lead',        unit: 'usd',     better: 'down', path: 'thisWeek.costPerLead',                      previous: 'lastWeek.costPerLead' },
+  { id: 'meta.ctr',                  label: 'CTR',                  unit: 'percent', better: 'up',   path: 'thisWeek.ctr',                              previous: 'lastWeek.ctr' },
+  { id: 'meta.cpm',                  label: 'CPM',                  unit: 'usd',     better: 'down', path: 'thisWeek.cpm',                              previous: 'lastWeek.cpm' },
+  { id: 'meta.cpc',                  label: 'CPC',                  unit: 'usd',     better: 'down', path: 'thisWeek.cpc',                              previous: 'lastWeek.cpc' },
+  { id: 'kit.activeSubscribers',     label: 'Active subscribers',   unit: 'count',   better: 'up',   path: 'subscribers.active' },
+  { id: 'kit.newSubscribers',        label: 'New subscribers',      unit: 'count',   better: 'up',   path: 'subscribers.newThisWeek' },
+  { id: 'kit.openRate',              label: 'Open rate',            unit: 'percent', better: 'up',   path: 'averages.openRate' },
+  { id: 'kit.clickRate',             label: 'Click rate',           unit: 'percent', better: 'up',   path: 'averages.clickRate' },
+  { id: 'kit.unsubscribeRate',       label: 'Unsubscribe rate',     unit: 'percent', better: 'down', path: 'averages.unsubscribeRate' },
+  { id: 'unbounce.conversionRate',   label: 'Avg conversion rate',  unit: 'percent', better: 'up',   path: 'averageConversionRate' },
+  { id: 'vimeo.plays',               label: 'Plays',                unit: 'count',   better: 'up',   path: 'totals.totalPlays' },
+  { id: 'vimeo.watchMinutes',        label: 'Watch minutes',        unit: 'minutes', better: 'up',   path: 'totals.totalWatchMinutes' },
+  { id: 'vimeo.finishRate',          label: 'Avg finish rate',      unit: 'percent', better: 'up',   path: 'totals.avgFinishRate' },
+];
+
+// Per-entity series. lists are tried in order; each is an array of rows
+// named by `key`, or (key: null) an object keyed by name.
+export const ENTITY_METRICS = [
+  { id: 'ga4.channel.sessions',               label: 'sessions',               unit: 'count',    better: 'up',   lists: ['channels'],             key: null,           path: 'this_week.sessions',      previous: 'last_week.sessions' },
+  { id: 'ga4.channel.conversions',            label: 'conversions',            unit: 'count',    better: 'up',   lists: ['conversionsByChannel'], key: 'channel',      path: 'thisWeek.conversions',    previous: 'lastWeek.conversions' },
+  { id: 'ga4.channel.conversionRate',         label: 'conversion rate',        unit: 'percent',  better: 'up',   lists: ['conversionsByChannel'], key: 'channel',      path: 'thisWeek.conversionRate', previous: 'lastWeek.conversionRate' },
+  { id: 'ga4.funnel.conversionRate',          label: 'funnel conversion rate', unit: 'percent',  better: 'up',   lists: ['funnels'],              key: 'name',         path: 'thisWeek.conversionRate', previous: 'lastWeek.conversionRate' },
+  { id: 'ga4.page.sessions',                  label: 'sessions',               unit: 'count',    better: 'up',   lists: ['topPages'],             key: 'path',         path: 'sessions',                previous: 'lastWeek.sessions' },
+  { id: 'ga4.page.engagementRate',            label: 'engagement rate',        unit: 'percent',  better: 'up',   lists: ['topPages'],             key: 'path',         path: 'engagementRate',          previous: 'lastWeek.engagementRate' },
+  { id: 'ga4.device.sessions',                label: 'sessions',               unit: 'count',    better: 'up',   lists: ['devices'],              key: 'device',       path: 'thisWeek.sessions',       previous: 'lastWeek.sessions' },
+  { id: 'ga4.device.engagementRate',          label: 'engagement rate',        unit: 'percent',  better: 'up',   lists: ['devices'],              key: 'device',       path: 'thisWeek.engagementRate', previous: 'lastWeek.engagementRate' },
+  { id: 'ga4.country.sessions',               label: 'sessions',               unit: 'count',    better: 'up',   lists: ['countries'],            key: 'country',      path: 'thisWeek.sessions',       previous: 'lastWeek.sessions' },
+  { id: 'gsc.query.clicks',                   label: 'clicks',                 unit: 'count',    better: 'up',   lists: ['topQueries'],           key: 'key',          path: 'clicks',                  previous: q => (q.clicksDelta == null ? null : q.clicks - q.clicksDelta) },
+  { id: 'gsc.query.position',                 label: 'position',               unit: 'position', better: 'down', lists: ['topQueries'],           key: 'key',          path: 'position',                previous: 'positionLastWeek' },
+  { id: 'gsc.page.clicks',                    label: 'clicks',                 unit: 'count',    better: 'up',   lists: ['topPages'],             key: 'key',          path: 'clicks' },
+  { id: 'meta.campaign.leads',                label: 'leads',                  unit: 'count',    better: 'up',   lists: ['campaigns'],            key: 'campaignName', path: 'leads' },
+  { id: 'meta.campaign.costPerLead',          label: 'cost per lead',          unit: 'usd',      better: 'down', lists: ['campaigns'],            key: 'campaignName', path: 'costPerLead' },
+  { id: 'meta.campaign.engagedSessionRate',   label: 'engaged-session rate',   unit: 'percent',  better: 'up',   lists: ['postClickCampaigns'],   key: 'campaignName', path: 'engagedSessionRate' },
+  { id: 'meta.campaign.conversionsPerDollar', label: 'conversions per dollar', unit: 'count',    better: 'up',   lists: ['postClickCampaigns'],   key: 'campaignName', path: 'conversionsPerDollar', decimals: 4 },
+  { id: 'unbounce.page.visitors',             label: 'visitors',               unit: 'count',    better: 'up',   lists: ['topPages'],             key: 'pageName',     path: 'thisWeek.visitors',       previous: 'lastWeek.visitors' },
+  { id: 'unbounce.page.conversionRate',       label: 'conversion rate',        unit: 'percent',  better: 'up',   lists: ['topPages'],             key: 'pageName',     path: 'thisWeek.conversionRate', previous: 'lastWeek.conversionRate' },
+  { id: 'vimeo.video.plays',                  label: 'plays',                  unit: 'count',    better: 'up',   lists: ['videos', 'topVideos'],  key: 'title',        path: 'thisWeek.plays',          previous: 'lastWeek.plays' },
+  { id: 'vimeo.video.finishRate',             label: 'finish rate',            unit: 'percent',  better: 'up',   lists: ['videos', 'topVideos'],  key: 'title',        path: 'thisWeek.finishRate',     previous: 'lastWeek.finishRate' },
+];
+
+const DEFS = Object.fromEntries([...METRICS, ...ENTITY_METRICS].map(def => [def.id, def]));
+
+// Catalog entry for a record or metric id
+export function metricDef(id) {
+  return DEFS[id] ?? null;
+}
+
+function sourceOf(id) {
+  return id.split('.')[0];
+}
+
+function read(obj, spec) {
+  if (spec == null) return null;
+  const raw = typeof spec === 'function' ? spec(obj) : spec.split('.').reduce((node, key) => node?.[key], obj);
+  return typeof raw === 'number' && !isNaN(raw) ? raw : null;
+}
+
+function record(def, row, period, entity = null) {
+  const scale    = def.scale ?? 1;
+  const decimals = def.decimals ?? 2;
+  const value    = read(row, def.path);
+  const previous = read(row, def.previous);
+  if (value == null) return null;
+  return {
+    id:       def.id,
+    source:   sourceOf(def.id),
+    label:    def.label,
+    unit:     def.unit,
+    period,
+    value:    round(value * scale, decimals),
+    previous: previous == null ? null : round(previous * scale, decimals),
+    delta:    pct(value, previous),
+    ...(entity != null ? { entity: String(entity) } : {}),
+  };
+}
+
+// ── Records ───────────────────────────────────────────────────────────────────
+// Normalized records for one source's payload. period: { start, end } of
+// the week measured, or null when it isn't known (archived payloads).
+export function toMetrics(source, data, period = null) {
+  if (!data || data.error) return [];
+  const out = [];
+  for (const def of METRICS.filter(d => sourceOf(d.id) === source)) {
+    const r = record(def, data, period);
+    if (r) out.push(r);
+  }
+  for (const def of ENTITY_METRICS.filter(d => sourceOf(d.id) === source)) {
+    const name = def.lists.find(l => data[l] != null);
+    if (!name) continue;
+    const rows = Array.isArray(data[name])
+      ? data[name].map(row => [row[def.key], row])
+      : Object.entries(data[name]);
+    for (const [entity, row] of rows) {
+      if (entity == null) continue;
+      const r = record(def, row, period, entity);
+      if (r) out.push(r);
+    }
+  }
+  return out;
+}
+
+// Every record in a week's rawData — the fetchers' own where they emitted
+// them, normalized from the payload for reports archived before they did
+export function metricsFor(rawData = {}) {
+  return Object.entries(rawData).flatMap(([source, data]) => {
+    if (!data || data.error) return [];
+    return Array.isArray(data.metrics) ? data.metrics : toMetrics(source, data);
+  });
+}
+
+// The headline record with this id, or undefined
+export function findMetric(records, id) {
+  return records.find(r => r.id === id && r.entity == null);
+}
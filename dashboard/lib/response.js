@@ -0,0 +1,47 @@
+// lib/response.js
+// Checks the model's reply before anything is archived: the JSON parses,
+// matches schema/report.schema.json, answers last week's calls and cites
+// figures that are really in the data. Every problem comes back as a line
+// for the repair prompt — malformed output never throws, so a bad reply
+// always gets a repair round or the rules report, not a crashed run.
+
+import fs from 'fs';
+
+import { validate, formatErrors } from './schema.js';
+import { followUpProblems } from './followups.js';
+import { evidenceProblems } from './evidence.js';
+
+export const REPORT_SCHEMA = JSON.parse(
+  fs.readFileSync(new URL('../schema/report.schema.json', import.meta.url), 'utf8')
+);
+
+// Parse JSON (stripping any accidental markdown fences) and validate it,
+// including that every evidence reference matches the data it cites.
+// Returns the parsed value plus a list of human-readable problems.
+export function checkResponse(text, { previous, data }) {
+  const cleaned = text
+    .replace(/^```json\s*/i, '')
+    .replace(/\s*```$/,      '')
+    .trim();
+
+  let value;
+  try {
+    value = JSON.parse(cleaned);
+  } catch (err) {
+    return { value: null, problems: [`response is not valid JSON (${err.message})`] };
+  }
+  const problems = formatErrors(validate(REPORT_SCHEMA, value));
+  if (value && typeof value === 'object') {
+    problems.push(...followUpProblems(value.followUps, previous));
+    problems.push(...evidenceProblems(value, data));
+  }
+  return { value, problems };
+}
+
+export function repairPrompt(problems) {
+  return `Your response did not match the required schema. Fix exactly these problems:
+
+${problems.map(p => `- ${p}`).join('\n')}
+
+Return ONLY the complete corrected JSON object with no markdown, no backticks, no commentary. Start your response with { and end with }.`;
+}
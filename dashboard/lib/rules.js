@@ -0,0 +1,395 @@
+// lib/rules.js
+// Deterministic rules-based report. Builds a schema-valid report from
+// rawData alone — funnel statuses from thresholds, actions from the flags
+// the fetchers already compute — for weeks when Claude is unavailable,
+// and as a baseline to compare the model's judgement against.
+//
+// Thresholds come from config/business.json (funnelRules, channel KPIs
+// and channel thresholds).
+
+import { formatValue } from './config.js';
+import { resolvePath } from './evidence.js';
+import { avg } from './metrics.js';
+
+const NOT_ASSESSED = 'Not assessed — rules-based report, no AI analysis.';
+const RANK         = { high: 0, medium: 1, low: 2 };
+
+// Week-over-week moves worth an insight when they pass funnelRules.notableDelta
+const NOTABLE_MOVES = [
+  { id: 'ga4',     path: 'weekOverWeek.sessionsDelta',    label: 'sessions',      better: 'up' },
+  { id: 'ga4',     path: 'weekOverWeek.newUsersDelta',    label: 'new users',     better: 'up' },
+  { id: 'ga4',     path: 'weekOverWeek.conversionsDelta', label: 'conversions',   better: 'up' },
+  { id: 'youtube', path: 'weekOverWeek.viewsDelta',       label: 'views',         better: 'up' },
+  { id: 'youtube', path: 'weekOverWeek.watchTimeDelta',   label: 'watch time',    better: 'up' },
+  { id: 'meta',    path: 'weekOverWeek.leadsDelta',       label: 'leads',         better: 'up' },
+  { id: 'meta',    path: 'weekOverWeek.costPerLeadDelta', label: 'cost per lead', better: 'down' },
+];
+
+function getPath(obj, path) {
+  return path.split('.').reduce((node, key) => node?.[key], obj);
+}
+
+// A source's data, or null if it failed or is disabled
+function usable(data, id) {
+  const d = data[id];
+  return d && !d.error ? d : null;
+}
+
+// An evidence reference to a figure in rawData — see lib/evidence.js
+function cite(data, path) {
+  return { path, value: resolvePath(data, path).value ?? null };
+}
+
+function signed(val) {
+  if (val == null) return 'n/a';
+  return `${val > 0 ? '+' : ''}${val}%`;
+}
+
+function usd(val) {
+  return formatValue(val, 'usd');
+}
+
+// ── Funnel health ─────────────────────────────────────────────────────────────
+// Each stage scores the average of its "higher is better" deltas, then
+// stage-specific flags can push it a step worse
+function statusFromDeltas(deltas, rules) {
+  const known = deltas.filter(v => typeof v === 'number');
+  if (known.length === 0) return null;
+  const mean = avg(known);
+  if (mean >= rules.greenDeltaAtLeast) return 'green';
+  if (mean <  rules.redDeltaBelow)     return 'red';
+  return 'amber';
+}
+
+function worsen(status) {
+  return status === 'green' ? 'amber' : 'red';
+}
+
+function stage(status, parts, missing) {
+  if (!status) return { status: 'amber', summary: `No data to judge this stage — ${missing} unavailable.` };
+  return { status, summary: `${parts.join(', ')}.` };
+}
+
+function funnelHealth(data, business) {
+  const rules = business.funnelRules;
+  const ga4   = usable(data, 'ga4');
+  const yt    = usable(data, 'youtube');
+  const meta  = usable(data, 'meta');
+  const ub    = usable(data, 'unbounce');
+  const kit   = usable(data, 'kit');
+
+  // Awareness: traffic and reach
+  const awareParts = [];
+  if (ga4) awareParts.push(`GA4 sessions ${signed(ga4.weekOverWeek?.sessionsDelta)}`);
+  if (yt)  awareParts.push(`YouTube views ${signed(yt.weekOverWeek?.viewsDelta)}`);
+  const awareness = stage(
+    statusFromDeltas([ga4?.weekOverWeek?.sessionsDelta, yt?.weekOverWeek?.viewsDelta], rules),
+    awareParts, 'GA4 and YouTube',
+  );
+
+  // Consideration: are visitors and viewers engaging? A rising bounce rate counts against
+  const considerParts = [];
+  if (ga4) considerParts.push(`GA4 engaged sessions ${signed(ga4.weekOverWeek?.engagementDelta)}`, `bounce rate ${signed(ga4.weekOverWeek?.bounceRateDelta)}`);
+  if (yt)  considerParts.push(`YouTube average view duration ${signed(yt.weekOverWeek?.avgDurationDelta)}`);
+  const consideration = stage(
+    statusFromDeltas([
+      ga4?.weekOverWeek?.engagementDelta,
+      ga4?.weekOverWeek?.bounceRateDelta == null ? null : -ga4.weekOverWeek.bounceRateDelta,
+      yt?.weekOverWeek?.avgDurationDelta,
+    ], rules),
+    considerParts, 'GA4 and YouTube',
+  );
+
+  // Conversion: lead volume and cost plus on-site key events, knocked down
+  // a step for a CPL over target or any flagged campaign / landing page
+  const cplTarget = business.channels?.meta?.kpis?.costPerLead?.target;
+  let convStatus  = statusFromDeltas([
+    ga4?.weekOverWeek?.conversionsDelta,
+    meta?.weekOverWeek?.leadsDelta,
+    meta?.weekOverWeek?.costPerLeadDelta == null ? null : -meta.weekOverWeek.costPerLeadDelta,
+  ], rules);
+  const convParts = [];
+  if (ga4?.weekOverWeek?.conversionsDelta != null) convParts.push(`GA4 conversions ${signed(ga4.weekOverWeek.conversionsDelta)}`);
+  if (meta) {
+    convParts.push(`Meta leads ${signed(meta.weekOverWeek?.leadsDelta)}`);
+    convParts.push(`CPL ${usd(meta.thisWeek.costPerLead)}${cplTarget != null ? ` vs ${usd(cplTarget)} target` : ''}`);
+    if (meta.underperforming?.length) convParts.push(`${meta.underperforming.length} underperforming campaign(s)`);
+  }
+  if (ub) {
+    convParts.push(`Unbounce average conversion ${ub.averageConversionRate}%`);
+    if (ub.problemPages?.length) convParts.push(`${ub.problemPages.length} problem page(s)`);
+  }
+  if (!convStatus && ub) convStatus = 'green';
+  if (convStatus) {
+    const overTarget = meta && cplTarget != null && meta.thisWeek.costPerLead > cplTarget;
+    if (overTarget || meta?.underperforming?.length || ub?.problemPages?.length) convStatus = worsen(convStatus);
+  }
+  const conversion = stage(convStatus, convParts, 'GA4 conversions, Meta and Unbounce');
+
+  // Retention: email engagement against the Kit thresholds
+  const kitRules = business.channels?.kit?.thresholds;
+  let retStatus  = null;
+  const retParts = [];
+  if (kit && kitRules) {
+    const { openRate, unsubscribeRate } = kit.averages;
+    retStatus = openRate >= kitRules.openRateGood ? 'green'
+      : openRate >= kitRules.openRateWarn ? 'amber'
+      : 'red';
+    if (unsubscribeRate > kitRules.unsubscribeRateMax) retStatus = worsen(retStatus);
+    retParts.push(`Kit open rate ${openRate}%`, `unsubscribes ${unsubscribeRate}%`, `${kit.subscribers.newThisWeek} new subscribers`);
+  }
+  const retention = stage(retStatus, retParts, 'Kit');
+
+  return { awareness, consideration, conversion, retention };
+}
+
+// ── Urgent actions ────────────────────────────────────────────────────────────
+function urgentActions(data, goals) {
+  const actions = [];
+  const meta    = usable(data, 'meta');
+  const ub      = usable(data, 'unbounce');
+  const vimeo   = usable(data, 'vimeo');
+  const gsc     = usable(data, 'gsc');
+
+  for (const g of goals.filter(g => g.status === 'off-track')) {
+    actions.push({
+      priority:        'high',
+      action:          `Close the gap on "${g.label}"`,
+      why:             `Projected ${formatValue(g.projected, g.unit)} against a ${formatValue(g.target, g.unit)} target by ${g.deadline}.`,
+      howTo:           'Review the channel behind this goal in this report and agree one change that moves it this week.',
+      expectedOutcome: 'The goal back on pace before the quarter runs out.',
+      doBy:            'this week',
+      // A goal can be off track on earlier weeks while its source failed this one
+      ...(resolvePath(data, g.metric).found ? { evidence: [cite(data, g.metric)] } : {}),
+    });
+  }
+
+  (meta?.underperforming ?? []).slice(0, 3).forEach((c, i) => {
+    const at = `meta.underperforming[${i}]`;
+    actions.push({
+      priority:        'high',
+      action:          `Review Meta campaign "${c.campaignName}"`,
+      why:             `${usd(c.spend)} spent for ${c.leads} lead(s) — CPL ${c.costPerLead != null ? usd(c.costPerLead) : 'n/a'} vs ${usd(meta.thisWeek.costPerLead)} account average, CTR ${c.ctr}%.`,
+      howTo:           'In Ads Manager, pause its weakest ad sets or move budget to the lowest-CPL campaign, then check creative and audience.',
+      expectedOutcome: 'Lower blended cost per lead without losing lead volume.',
+      doBy:            'this week',
+      evidence:        [cite(data, `${at}.spend`), cite(data, `${at}.leads`), cite(data, `${at}.costPerLead`), cite(data, 'meta.thisWeek.costPerLead')],
+    });
+  });
+
+  (ub?.problemPages ?? []).slice(0, 3).forEach((p, i) => {
+    const at = `unbounce.problemPages[${i}]`;
+    actions.push({
+      priority:        'high',
+      action:          `Fix conversion on landing page "${p.pageName}"`,
+      why:             `${p.thisWeek.visitors} visitors converted at ${p.thisWeek.conversionRate}% vs ${ub.averageConversionRate}% across published pages.`,
+      howTo:           'Check the page loads and the form submits, confirm the ads pointing at it still match its offer, then test a new headline.',
+      expectedOutcome: 'Conversion rate back towards the account average.',
+      doBy:            'this week',
+      evidence:        [cite(data, `${at}.thisWeek.visitors`), cite(data, `${at}.thisWeek.conversionRate`), cite(data, 'unbounce.averageConversionRate')],
+    });
+  });
+
+  (vimeo?.lowFinishRateVideos ?? []).slice(0, 3).forEach((v, i) => {
+    const at   = `vimeo.lowFinishRateVideos[${i}]`;
+    const drop = v.engagement?.biggestDropSeconds;
+    actions.push({
+      priority:        'medium',
+      action:          `Rework the opening of "${v.title}"`,
+      why:             `Finish rate ${v.thisWeek.finishRate}% on ${v.thisWeek.plays} plays vs ${vimeo.totals.avgFinishRate}% average${drop != null ? `; biggest drop-off at ${drop}s` : ''}.`,
+      howTo:           'Watch the video up to the biggest drop-off point and tighten or re-cut that section.',
+      expectedOutcome: 'More viewers reach the call to action.',
+      doBy:            'before next report',
+      evidence:        [
+        cite(data, `${at}.thisWeek.finishRate`),
+        cite(data, `${at}.thisWeek.plays`),
+        ...(drop != null ? [cite(data, `${at}.engagement.biggestDropSeconds`)] : []),
+      ],
+    });
+  });
+
+  const falling = (gsc?.fallingQueries ?? [])
+    .map((q, i) => ({ q, at: `gsc.fallingQueries[${i}]` }))
+    .sort((a, b) => b.q.clicks - a.q.clicks)
+    .slice(0, 3);
+  for (const { q, at } of falling) {
+    actions.push({
+      priority:        'medium',
+      action:          `Refresh the page ranking for "${q.key}"`,
+      why:             `Dropped ${Math.abs(q.positionDelta)} positions to ${q.position} (${q.clicks} clicks this week).`,
+      howTo:           'Find the ranking page in Search Console, update its content and internal links, and request re-indexing.',
+      expectedOutcome: 'Position recovered before the click loss compounds.',
+      doBy:            'before next report',
+      evidence:        [cite(data, `${at}.position`), cite(data, `${at}.positionDelta`), cite(data, `${at}.clicks`)],
+    });
+  }
+
+  return actions.sort((a, b) => RANK[a.priority] - RANK[b.priority]);
+}
+
+// ── Insights ──────────────────────────────────────────────────────────────────
+// The rules can say what moved but not why — hypotheses are left unassessed
+function insights(data, business, names) {
+  const threshold = business.funnelRules.notableDelta;
+  return NOTABLE_MOVES.flatMap(m => {
+    const delta = getPath(usable(data, m.id), m.path);
+    if (typeof delta !== 'number' || Math.abs(delta) < threshold) return [];
+    const good = (delta > 0) === (m.better === 'up');
+    return [{
+      source:         names[m.id],
+      observation:    `${names[m.id]} ${m.label} ${signed(delta)} week over week.`,
+      meaning:        good ? `A move of this size in the right direction — worth understanding so it can be repeated.` : `A move of this size in the wrong direction — worth checking before it becomes a trend.`,
+      hypothesis:     NOT_ASSESSED,
+      recommendation: good ? 'Identify what changed this week and keep it running.' : 'Check what changed this week on this channel and fix or roll it back.',
+      confidence:     'medium',
+      effort:         'low',
+      impact:         Math.abs(delta) >= threshold * 2.5 ? 'high' : 'medium',
+      evidence:       [cite(data, `${m.id}.${m.path}`)],
+    }];
+  });
+}
+
+// ── Do not touch ──────────────────────────────────────────────────────────────
+function doNotTouch(data, business) {
+  const items = [];
+  const meta  = usable(data, 'meta');
+  const ub    = usable(data, 'unbounce');
+  const kit   = usable(data, 'kit');
+  const gsc   = usable(data, 'gsc');
+  const yt    = usable(data, 'youtube');
+  const vimeo = usable(data, 'vimeo');
+
+  const flagged      = new Set((meta?.underperforming ?? []).map(c => c.campaignName));
+  const campaigns    = meta?.campaigns ?? [];
+  const [bestCampaign] = campaigns
+    .filter(c => c.leads > 0 && c.costPerLead != null && !flagged.has(c.campaignName))
+    .sort((a, b) => a.costPerLead - b.costPerLead);
+  if (bestCampaign) {
+    const at = `meta.campaigns[${campaigns.indexOf(bestCampaign)}]`;
+    items.push({
+      thing:    `Meta campaign "${bestCampaign.campaignName}"`,
+      reason:   'Lowest cost per lead in the account this week — leave its budget, audience and creative alone.',
+      metric:   `${usd(bestCampaign.costPerLead)} CPL on ${bestCampaign.leads} leads`,
+      evidence: [cite(data, `${at}.costPerLead`), cite(data, `${at}.leads`)],
+    });
+  }
+
+  const problem = new Set((ub?.problemPages ?? []).map(p => p.pageName));
+  const bestPage = ub?.bestPages?.findIndex(p => p.thisWeek?.conversionRate > 0 && !problem.has(p.pageName)) ?? -1;
+  if (bestPage >= 0) {
+    const page = ub.bestPages[bestPage];
+    const at   = `unbounce.bestPages[${bestPage}].thisWeek`;
+    items.push({
+      thing:    `Landing page "${page.pageName}"`,
+      reason:   'Highest conversion rate of our published pages — don\'t change it without an A/B test.',
+      metric:   `${page.thisWeek.conversionRate}% conversion on ${page.thisWeek.visitors} visitors`,
+      evidence: [cite(data, `${at}.conversionRate`), cite(data, `${at}.visitors`)],
+    });
+  }
+
+  if (kit?.bestBroadcast) items.push({
+    thing:    `Email "${kit.bestBroadcast.subject}"`,
+    reason:   'Best open rate of our recent broadcasts — reuse its subject line style.',
+    metric:   `${kit.bestBroadcast.openRate}% open rate`,
+    evidence: [cite(data, 'kit.bestBroadcast.openRate')],
+  });
+
+  const risingQueries = gsc?.risingQueries ?? [];
+  const [rising] = [...risingQueries].sort((a, b) => b.clicks - a.clicks);
+  if (rising) {
+    const at = `gsc.risingQueries[${risingQueries.indexOf(rising)}]`;
+    items.push({
+      thing:    `The page ranking for "${rising.key}"`,
+      reason:   'Climbing in search — avoid rewriting or moving it while it gains ground.',
+      metric:   `position ${rising.position} (up ${rising.positionDelta}), ${rising.clicks} clicks`,
+      evidence: [cite(data, `${at}.position`), cite(data, `${at}.positionDelta`), cite(data, `${at}.clicks`)],
+    });
+  }
+
+  const topVideo = yt?.topVideos?.[0];
+  if (topVideo) items.push({
+    thing:    `YouTube video "${topVideo.title}"`,
+    reason:   'Our most-watched video this week.',
+    metric:   `${topVideo.views.toLocaleString('en-US')} views, ${topVideo.avgViewPercentage}% average viewed`,
+    evidence: [cite(data, 'youtube.topVideos[0].views'), cite(data, 'youtube.topVideos[0].avgViewPercentage')],
+  });
+
+  const retentionGood = business.channels?.vimeo?.thresholds?.retentionGood;
+  const vsls      = vimeo?.topVideos ?? [];
+  const [bestVsl] = vsls
+    .filter(v => v.thisWeek?.plays > 10 && retentionGood != null && v.thisWeek.finishRate >= retentionGood)
+    .sort((a, b) => b.thisWeek.finishRate - a.thisWeek.finishRate);
+  if (bestVsl) {
+    const at = `vimeo.topVideos[${vsls.indexOf(bestVsl)}].thisWeek`;
+    items.push({
+      thing:    `Vimeo video "${bestVsl.title}"`,
+      reason:   'Holding viewers to the end — leave the edit as it is.',
+      metric:   `${bestVsl.thisWeek.finishRate}% finish rate on ${bestVsl.thisWeek.plays} plays`,
+      evidence: [cite(data, `${at}.finishRate`), cite(data, `${at}.plays`)],
+    });
+  }
+
+  return items;
+}
+
+// ── Watch next week ───────────────────────────────────────────────────────────
+function watchNextWeek(data, business, names) {
+  const items = [];
+  const meta  = usable(data, 'meta');
+  const gsc   = usable(data, 'gsc');
+
+  const cpl = business.channels?.meta?.kpis?.costPerLead;
+  if (meta && cpl) items.push({
+    metric:    'Meta cost per lead',
+    because:   `${usd(meta.thisWeek.costPerLead)} this week (${signed(meta.weekOverWeek?.costPerLeadDelta)}) against a ${usd(cpl.target)} target.`,
+    threshold: `Act if it is above ${usd(cpl.target)} for a second week running.`,
+  });
+
+  const [opportunity] = gsc?.opportunities ?? [];
+  if (opportunity) items.push({
+    metric:    `Search click-through for "${opportunity.key}"`,
+    because:   `${opportunity.impressions} impressions at ${opportunity.ctr}% CTR from position ${opportunity.position}.`,
+    threshold: 'Rewrite the title and meta description if CTR stays under 3%.',
+  });
+
+  for (const [id, d] of Object.entries(data)) {
+    if (!d?.error) continue;
+    items.push({
+      metric:    `${names[id] ?? id} data`,
+      because:   `The fetch failed this week: ${d.error}`,
+      threshold: 'Fix it before next Monday\'s run or the report stays partial.',
+    });
+  }
+
+  return items;
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+// sources: registry entries (for display names); goals: trackGoals() output
+export function buildRulesReport({ data, window, business, goals = [], sources = [] }) {
+  const names  = Object.fromEntries(sources.map(s => [s.id, s.name]));
+  const health = funnelHealth(data, business);
+  const urgent = urgentActions(data, goals);
+
+  const stages = Object.entries(health).map(([name, h]) => `${name} ${h.status}`).join(', ');
+  const lead   = urgent.length > 0
+    ? `${urgent.length} rule-triggered action(s), led by: ${urgent[0].action}.`
+    : 'No rule-triggered actions this week.';
+
+  return {
+    weekOf:        window.weekOf,
+    weeklyVerdict: `Automated rules-based report — no AI analysis this week. Funnel: ${stages}. ${lead}`,
+    funnelHealth:  health,
+    urgentActions: urgent,
+    insights:      insights(data, business, names),
+    doNotTouch:    doNotTouch(data, business),
+    watchNextWeek: watchNextWeek(data, business, names),
+  };
+}
+
+// Funnel stages where the model and the rules disagree
+export function funnelDisagreements(report, baseline) {
+  return Object.keys(baseline.funnelHealth).filter(stage =>
+    report.funnelHealth?.[stage]?.status !== baseline.funnelHealth[stage].status
+  );
+}
@@ -0,0 +1,80 @@
+// lib/schema.js
+// Small JSON Schema validator for schema/report.schema.json. Covers the
+// keywords that schema uses (type, enum, required, properties, items,
+// minLength, pattern, $ref into $defs) and nothing more. No Node APIs,
+// so the dashboard imports it too.
+
+function typeOf(value) {
+  if (value === null)          return 'null';
+  if (Array.isArray(value))    return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref "${ref}"`);
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, root, errors) {
+  if (schema.$ref) return check(resolveRef(root, schema.$ref), value, path, root, errors);
+
+  const at = path || '(root)';
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern} (got ${JSON.stringify(value)})` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, join(path, i), root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push({ path: join(path, key), message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (value[key] !== undefined) check(sub, value[key], join(path, key), root, errors);
+    }
+  }
+}
+
+// Returns a list of { path, message } violations — empty means valid
+export function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '', schema, errors);
+  return errors;
+}
+
+export function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`);
+}
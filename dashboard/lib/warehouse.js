@@ -0,0 +1,406 @@
+// lib/warehouse.js
+// Local SQLite warehouse of every week's fetcher output, so the numbers
+// outlive the single-week JSON: one table per list the fetchers return
+// (GA4 daily sessions, pages, devices and countries, conversions and
+// funnel steps, GSC queries and pages, YouTube videos, Meta campaigns and
+// ads, Kit broadcasts and subscriber counts, Unbounce pages, Vimeo videos)
+// plus the normalized metric records from lib/metrics.js, keyed by date
+// or week and entity id. generate-report.js loads each archived week;
+// scripts/warehouse.js imports the existing archive and runs ad hoc SQL.
+//
+// The database is derived from the report archive and can always be
+// rebuilt from it. better-sqlite3 is only loaded when the warehouse is
+// opened, so report generation works without it installed.
+
+import fs   from 'fs';
+import path from 'path';
+
+import { toMetrics } from './metrics.js';
+
+export const WAREHOUSE_PATH = './dashboard/data/warehouse.db';
+
+// GA4 reports days as YYYYMMDD
+function isoDay(yyyymmdd) {
+  const d = String(yyyymmdd);
+  return /^\d{8}$/.test(d) ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}` : d;
+}
+
+// Rows from several lists, first occurrence of each id wins
+function uniqueBy(lists, id) {
+  const seen = new Map();
+  for (const row of lists.flat()) {
+    const key = id(row);
+    if (key != null && !seen.has(key)) seen.set(key, row);
+  }
+  return [...seen.values()];
+}
+
+// ── Tables ────────────────────────────────────────────────────────────────────
+// key: the primary key. Tables keyed by week_of are replaced for the week
+// on every load, so entities that drop out of a re-run week go too; the
+// rest (GA4 days, Kit broadcasts, whose stats mature) are upserted — the
+// latest run wins. rows(data, sourceId) maps one source's payload; source
+// null means every source, with a source column to tell them apart.
+const TABLES = [
+  {
+    name: 'ga4_daily_sessions', source: 'ga4', key: ['date'],
+    columns: { date: 'TEXT', sessions: 'INTEGER', engaged_sessions: 'INTEGER' },
+    rows: d => (d.daily ?? []).map(r => ({
+      date:             isoDay(r.date),
+      sessions:         r.sessions,
+      engaged_sessions: r.engagedSessions,
+    })),
+  },
+  {
+    name: 'ga4_pages', source: 'ga4', key: ['week_of', 'path'],
+    columns: {
+      path: 'TEXT', title: 'TEXT', sessions: 'INTEGER', engaged_sessions: 'INTEGER', engagement_rate: 'REAL',
+      bounce_rate: 'REAL', avg_duration: 'REAL', sessions_last_week: 'INTEGER', engagement_rate_last_week: 'REAL',
+    },
+    rows: d => (d.topPages ?? []).map(p => ({
+      path:                      p.path,
+      title:                     p.title,
+      sessions:                  p.sessions,
+      engaged_sessions:          p.engagedSessions,
+      engagement_rate:           p.engagementRate,
+      bounce_rate:               p.bounceRate,
+      avg_duration:              p.avgDuration,
+      sessions_last_week:        p.lastWeek?.sessions,
+      engagement_rate_last_week: p.lastWeek?.engagementRate,
+    })),
+  },
+  {
+    name: 'ga4_segments', source: 'ga4', key: ['week_of', 'dimension', 'name'],
+    columns: {
+      dimension: 'TEXT', name: 'TEXT', sessions: 'INTEGER', engaged_sessions: 'INTEGER', engagement_rate: 'REAL',
+      sessions_last_week: 'INTEGER', engagement_rate_last_week: 'REAL',
+    },
+    rows: d => [
+      ...(d.devices ?? []).map(r => ({ dimension: 'device', name: r.device, r })),
+      ...(d.countries ?? []).map(r => ({ dimension: 'country', name: r.country, r })),
+    ].map(({ dimension, name, r }) => ({
+      dimension,
+      name,
+      sessions:                  r.thisWeek.sessions,
+      engaged_sessions:          r.thisWeek.engagedSessions,
+      engagement_rate:           r.thisWeek.engagementRate,
+      sessions_last_week:        r.lastWeek?.sessions,
+      engagement_rate_last_week: r.lastWeek?.engagementRate,
+    })),
+  },
+  {
+    name: 'ga4_conversions', source: 'ga4', key: ['week_of', 'breakdown', 'name'],
+    columns: {
+      breakdown: 'TEXT', name: 'TEXT', sessions: 'INTEGER', conversions: 'REAL', conversion_rate: 'REAL',
+      sessions_last_week: 'INTEGER', conversions_last_week: 'REAL', conversion_rate_last_week: 'REAL',
+    },
+    rows: d => [
+      ...(d.conversionsByChannel ?? []).map(r => ({ breakdown: 'channel', name: r.channel, r })),
+      ...(d.conversionsBySourceMedium ?? []).map(r => ({ breakdown: 'source_medium', name: r.sourceMedium, r })),
+      ...(d.conversionsByLandingPage ?? []).map(r => ({ breakdown: 'landing_page', name: r.landingPage, r })),
+    ].map(({ breakdown, name, r }) => ({
+      breakdown,
+      name,
+      sessions:                  r.thisWeek.sessions,
+      conversions:               r.thisWeek.conversions,
+      conversion_rate:           r.thisWeek.conversionRate,
+      sessions_last_week:        r.lastWeek?.sessions,
+      conversions_last_week:     r.lastWeek?.conversions,
+      conversion_rate_last_week: r.lastWeek?.conversionRate,
+    })),
+  },
+  {
+    name: 'ga4_funnel_steps', source: 'ga4', key: ['week_of', 'funnel', 'position'],
+    columns: {
+      funnel: 'TEXT', position: 'INTEGER', step: 'TEXT', users: 'INTEGER', completion_rate: 'REAL',
+      users_last_week: 'INTEGER', completion_rate_last_week: 'REAL',
+    },
+    rows: d => (d.funnelSteps ?? []).map(s => ({
+      funnel:                    s.funnel,
+      position:                  s.position,
+      step:                      s.step,
+      users:                     s.thisWeek.users,
+      completion_rate:           s.thisWeek.completionRate,
+      users_last_week:           s.lastWeek?.users,
+      completion_rate_last_week: s.lastWeek?.completionRate,
+    })),
+  },
+  {
+    name: 'gsc_query_positions', source: 'gsc', key: ['week_of', 'query'],
+    columns: {
+      query: 'TEXT', start_date: 'TEXT', end_date: 'TEXT', clicks: 'INTEGER', impressions: 'INTEGER',
+      ctr: 'REAL', position: 'REAL', position_last_week: 'REAL', clicks_delta: 'INTEGER',
+    },
+    rows: d => uniqueBy([d.topQueries ?? [], d.risingQueries ?? [], d.fallingQueries ?? [], d.opportunities ?? []], q => q.key)
+      .map(q => ({
+        query:              q.key,
+        start_date:         d.thisWeek?.startDate,
+        end_date:           d.thisWeek?.endDate,
+        clicks:             q.clicks,
+        impressions:        q.impressions,
+        ctr:                q.ctr,
+        position:           q.position,
+        position_last_week: q.positionLastWeek,
+        clicks_delta:       q.clicksDelta,
+      })),
+  },
+  {
+    name: 'gsc_pages', source: 'gsc', key: ['week_of', 'page'],
+    columns: {
+      page: 'TEXT', start_date: 'TEXT', end_date: 'TEXT', clicks: 'INTEGER', impressions: 'INTEGER',
+      ctr: 'REAL', position: 'REAL',
+    },
+    rows: d => (d.pageClicks ?? d.topPages ?? []).map(p => ({
+      page:        p.key,
+      start_date:  d.thisWeek?.startDate,
+      end_date:    d.thisWeek?.endDate,
+      clicks:      p.clicks,
+      impressions: p.impressions,
+      ctr:         p.ctr,
+      position:    p.position,
+    })),
+  },
+  {
+    name: 'youtube_videos', source: 'youtube', key: ['week_of', 'video_id'],
+    columns: {
+      video_id: 'TEXT', title: 'TEXT', views: 'INTEGER', watch_minutes: 'REAL',
+      avg_view_duration: 'REAL', avg_view_percentage: 'REAL',
+    },
+    rows: d => (d.topVideos ?? []).map(v => ({
+      video_id:            v.videoId,
+      title:               v.title,
+      views:               v.views,
+      watch_minutes:       v.watchMinutes,
+      avg_view_duration:   v.avgViewDuration,
+      avg_view_percentage: v.avgViewPercentage,
+    })),
+  },
+  {
+    name: 'meta_campaigns', source: 'meta', key: ['week_of', 'campaign'],
+    columns: {
+      campaign: 'TEXT', spend: 'REAL', impressions: 'INTEGER', reach: 'INTEGER', clicks: 'INTEGER',
+      ctr: 'REAL', cpm: 'REAL', cpc: 'REAL', leads: 'INTEGER', cost_per_lead: 'REAL', link_clicks: 'INTEGER',
+    },
+    rows: d => (d.campaigns ?? []).map(c => ({
+      campaign:      c.campaignName,
+      spend:         c.spend,
+      impressions:   c.impressions,
+      reach:         c.reach,
+      clicks:        c.clicks,
+      ctr:           c.ctr,
+      cpm:           c.cpm,
+      cpc:           c.cpc,
+      leads:         c.leads,
+      cost_per_lead: c.costPerLead,
+      link_clicks:   c.linkClicks,
+    })),
+  },
+  {
+    name: 'meta_ads', source: 'meta', key: ['week_of', 'campaign', 'ad'],
+    columns: {
+      ad: 'TEXT', campaign: 'TEXT', spend: 'REAL', impressions: 'INTEGER', clicks: 'INTEGER',
+      ctr: 'REAL', leads: 'INTEGER', cost_per_lead: 'REAL',
+    },
+    rows: d => (d.topAds ?? []).map(a => ({
+      ad:            a.adName,
+      campaign:      a.campaignName ?? '',
+      spend:         a.spend,
+      impressions:   a.impressions,
+      clicks:        a.clicks,
+      ctr:           a.ctr,
+      leads:         a.leads,
+      cost_per_lead: a.costPerLead,
+    })),
+  },
+  {
+    name: 'kit_broadcasts', source: 'kit', key: ['broadcast_id'],
+    columns: {
+      broadcast_id: 'TEXT', subject: 'TEXT', published_at: 'TEXT', recipients: 'INTEGER',
+      open_rate: 'REAL', click_rate: 'REAL', unsubscribe_rate: 'REAL',
+      opens: 'INTEGER', clicks: 'INTEGER', unsubscribes: 'INTEGER',
+    },
+    rows: d => (d.allBroadcasts ?? d.recentBroadcasts ?? []).map(b => ({
+      broadcast_id:     String(b.id),
+      subject:          b.subject,
+      published_at:     b.publishedAt,
+      recipients:       b.recipientCount,
+      open_rate:        b.openRate,
+      click_rate:       b.clickRate,
+      unsubscribe_rate: b.unsubscribeRate,
+      opens:            b.opens,
+      clicks:           b.clicks,
+      unsubscribes:     b.unsubscribes,
+    })),
+  },
+  {
+    name: 'kit_subscribers', source: 'kit', key: ['week_of'],
+    columns: { active: 'INTEGER', total: 'INTEGER', new_this_week: 'INTEGER' },
+    rows: d => (d.subscribers ? [{
+      active:        d.subscribers.active,
+      total:         d.subscribers.total,
+      new_this_week: d.subscribers.newThisWeek,
+    }] : []),
+  },
+  {
+    // Older payloads have no pageId — the page name stands in
+    name: 'unbounce_pages', source: 'unbounce', key: ['week_of', 'page_id'],
+    columns: {
+      page_id: 'TEXT', page_name: 'TEXT', url: 'TEXT', visitors: 'INTEGER', conversions: 'INTEGER',
+      conversion_rate: 'REAL', visitors_last_week: 'INTEGER', conversion_rate_last_week: 'REAL',
+    },
+    rows: d => uniqueBy([d.topPages ?? [], d.bestPages ?? [], d.problemPages ?? []], p => p.pageId ?? p.pageName)
+      .map(p => ({
+        page_id:                   String(p.pageId ?? p.pageName),
+        page_name:                 p.pageName,
+        url:                       p.url,
+        visitors:                  p.thisWeek?.visitors,
+        conversions:               p.thisWeek?.conversions,
+        conversion_rate:           p.thisWeek?.conversionRate,
+        visitors_last_week:        p.lastWeek?.visitors,
+        conversion_rate_last_week: p.lastWeek?.conversionRate,
+      })),
+  },
+  {
+    name: 'vimeo_videos', source: 'vimeo', key: ['week_of', 'video_id'],
+    columns: {
+      video_id: 'TEXT', title: 'TEXT', duration: 'INTEGER', plays: 'INTEGER', finishes: 'INTEGER',
+      impressions: 'INTEGER', watch_minutes: 'REAL', play_rate: 'REAL', finish_rate: 'REAL',
+    },
+    rows: d => (d.videos ?? d.topVideos ?? []).map(v => ({
+      video_id:      String(v.id),
+      title:         v.title,
+      duration:      v.duration,
+      plays:         v.thisWeek?.plays,
+      finishes:      v.thisWeek?.finishes,
+      impressions:   v.thisWeek?.impressions,
+      watch_minutes: v.thisWeek?.watchMinutes,
+      play_rate:     v.thisWeek?.playRate,
+      finish_rate:   v.thisWeek?.finishRate,
+    })),
+  },
+  {
+    // Headline metrics have entity '' — NULL can't be part of the key
+    name: 'metrics', source: null, key: ['week_of', 'metric_id', 'entity'],
+    columns: {
+      metric_id: 'TEXT', entity: 'TEXT', source: 'TEXT', unit: 'TEXT',
+      value: 'REAL', previous: 'REAL', delta: 'REAL',
+    },
+    rows: (d, id) => (Array.isArray(d.metrics) ? d.metrics : toMetrics(id, d)).map(m => ({
+      metric_id: m.id,
+      entity:    m.entity ?? '',
+      source:    m.source,
+      unit:      m.unit,
+      value:     m.value,
+      previous:  m.previous,
+      delta:     m.delta,
+    })),
+  },
+];
+
+const WEEKS_TABLE = `CREATE TABLE IF NOT EXISTS weeks (
+  week_of      TEXT PRIMARY KEY,
+  period_start TEXT,
+  period_end   TEXT,
+  generated_at TEXT,
+  analysis     TEXT,
+  loaded_at    TEXT NOT NULL
+)`;
+
+function columnsOf(table) {
+  return ['week_of', ...Object.keys(table.columns).filter(c => c !== 'week_of')];
+}
+
+function createStatement(table) {
+  const columns = columnsOf(table).map(c => `  ${c} ${c === 'week_of' ? 'TEXT NOT NULL' : table.columns[c]}`);
+  return `CREATE TABLE IF NOT EXISTS ${table.name} (\n${columns.join(',\n')},\n  PRIMARY KEY (${table.key.join(', ')})\n)`;
+}
+
+function upsertStatement(table) {
+  const columns = columnsOf(table);
+  const updates = columns.filter(c => !table.key.includes(c)).map(c => `${c} = excluded.${c}`);
+  return `INSERT INTO ${table.name} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})
+    ON CONFLICT (${table.key.join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`;
+}
+
+// ── Opening ───────────────────────────────────────────────────────────────────
+// Opens (creating if needed) the warehouse and makes sure every table exists
+export async function openWarehouse(file = WAREHOUSE_PATH) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND') throw err;
+    throw new Error('better-sqlite3 is not installed — run npm install better-sqlite3 to use the warehouse');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(WEEKS_TABLE);
+  for (const table of TABLES) db.exec(createStatement(table));
+  return db;
+}
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+// Loads one archived report (or generate-report.js output) in a single
+// transaction. Sources that failed that week are skipped, so their rows
+// from an earlier run of the week are kept. → { [table]: rows written }
+export function loadWeek(db, report) {
+  if (!report.weekOf) throw new Error('Cannot load a report without weekOf into the warehouse');
+  const rawData = report.rawData ?? {};
+  const counts  = {};
+
+  const load = db.transaction(() => {
+    db.prepare(`INSERT INTO weeks (week_of, period_start, period_end, generated_at, analysis, loaded_at)
+      VALUES (@week_of, @period_start, @period_end, @generated_at, @analysis, @loaded_at)
+      ON CONFLICT (week_of) DO UPDATE SET period_start = excluded.period_start, period_end = excluded.period_end,
+        generated_at = excluded.generated_at, analysis = excluded.analysis, loaded_at = excluded.loaded_at`)
+      .run({
+        week_of:      report.weekOf,
+        period_start: report.period?.thisWeek?.start ?? null,
+        period_end:   report.period?.thisWeek?.end ?? null,
+        generated_at: report.generatedAt ?? null,
+        analysis:     report.analysis ?? null,
+        loaded_at:    new Date().toISOString(),
+      });
+
+    for (const table of TABLES) {
+      const columns = columnsOf(table);
+      const upsert  = db.prepare(upsertStatement(table));
+      const clear   = table.source
+        ? db.prepare(`DELETE FROM ${table.name} WHERE week_of = ?`)
+        : db.prepare(`DELETE FROM ${table.name} WHERE week_of = ? AND source = ?`);
+      const sources = table.source ? [table.source] : Object.keys(rawData);
+
+      for (const id of sources) {
+        const data = rawData[id];
+        if (!data || data.error) continue;
+        const rows = table.rows(data, id).map(row => Object.fromEntries(
+          columns.map(c => [c, c === 'week_of' ? report.weekOf : row[c] ?? null])
+        ));
+        if (table.key.includes('week_of')) clear.run(...(table.source ? [report.weekOf] : [report.weekOf, id]));
+        for (const row of rows) upsert.run(row);
+        counts[table.name] = (counts[table.name] ?? 0) + rows.length;
+      }
+    }
+  });
+
+  load();
+  return counts;
+}
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+// Row counts for every table, and the weeks loaded
+export function warehouseSummary(db) {
+  const weeks = db.prepare('SELECT week_of FROM weeks ORDER BY week_of').pluck().all();
+  const rows  = Object.fromEntries(
+    TABLES.map(t => [t.name, db.prepare(`SELECT COUNT(*) FROM ${t.name}`).pluck().get()])
+  );
+  return { weeks, rows };
+}
+
+// Runs one read-only statement and returns its rows
+export function query(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  if (!statement.reader) throw new Error('Only queries that return rows (SELECT, WITH …) can be run here');
+  return statement.all(...params);
+}
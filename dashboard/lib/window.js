@@ -0,0 +1,68 @@
+// lib/window.js
+// The reporting window shared by every fetcher. A report dated weekOf
+// covers the seven days before it ("this week") and the seven days
+// before that ("last week"), so any past week can be regenerated.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns YYYY-MM-DD for an ISO date shifted by n days (UTC, no DST drift)
+export function addDays(isoDate, n) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+export function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+}
+
+function assertDate(value, flag) {
+  if (!ISO_DATE.test(value) || isNaN(Date.parse(value))) {
+    throw new Error(`${flag} must be a date in YYYY-MM-DD format (got "${value}")`);
+  }
+}
+
+// Build a window from either a report date (weekOf) or an explicit
+// from/to range. With from/to, last week is the same-length period
+// immediately before it and the report is dated the day after `to`.
+export function reportingWindow({ weekOf, from, to } = {}) {
+  if (from || to) {
+    if (!from || !to) throw new Error('--from and --to must be used together');
+    assertDate(from, '--from');
+    assertDate(to, '--to');
+    const length = daysBetween(from, to) + 1;
+    if (length < 1) throw new Error('--from must be on or before --to');
+    return {
+      weekOf:   addDays(to, 1),
+      thisWeek: { start: from, end: to },
+      lastWeek: { start: addDays(from, -length), end: addDays(from, -1) },
+    };
+  }
+
+  const anchor = weekOf ?? today();
+  assertDate(anchor, '--week-of');
+  return {
+    weekOf:   anchor,
+    thisWeek: { start: addDays(anchor, -7),  end: addDays(anchor, -1) },
+    lastWeek: { start: addDays(anchor, -14), end: addDays(anchor, -8) },
+  };
+}
+
+// Same window moved n days — used by sources with a reporting lag (GSC)
+export function shiftWindow(window, n) {
+  const shift = range => ({ start: addDays(range.start, n), end: addDays(range.end, n) });
+  return {
+    ...window,
+    thisWeek: shift(window.thisWeek),
+    lastWeek: shift(window.lastWeek),
+  };
+}
+
+// Report dates for the last n weeks, newest first, ending at weekOf
+export function previousWeeks(n, weekOf = today()) {
+  return Array.from({ length: n }, (_, i) => addDays(weekOf, -7 * i));
+}
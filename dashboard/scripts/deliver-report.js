@@ -0,0 +1,75 @@
+// scripts/deliver-report.js
+// Delivery step after generate-report.js: posts the brief to Slack and
+// emails the digest to every recipient list in config/delivery.json.
+//
+// Usage:
+//   node scripts/deliver-report.js                  → latest archived week, live
+//   node scripts/deliver-report.js 2025-02-10       → that week
+//   node scripts/deliver-report.js --sink file      → write messages to dashboard/deliveries/
+//   node scripts/deliver-report.js --sink stdout    → print them instead
+//   node scripts/deliver-report.js --list leadership → just these lists (repeatable)
+//
+// Exits 1 if any delivery fails; the others are still attempted.
+
+import { parseArgs } from 'util';
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+import { listReports, loadReport } from '../lib/archive.js';
+import { loadBusinessConfig } from '../lib/config.js';
+import { loadDeliveryConfig, deliveryLists, createSink, deliver, SINKS } from '../lib/delivery.js';
+
+const ICONS = { sent: '✅', failed: '❌' };
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      sink: { type: 'string', default: 'live' },
+      list: { type: 'string', multiple: true },
+    },
+    allowPositionals: true,
+  });
+  if (!SINKS.includes(args.sink)) throw new Error(`Unknown --sink "${args.sink}" — expected one of: ${SINKS.join(', ')}`);
+
+  const weekOf = positionals[0] ?? listReports()[0];
+  if (!weekOf) throw new Error('The report archive is empty — run generate-report.js first');
+  const report = loadReport(weekOf);
+  if (!report) throw new Error(`No archived report for the week of ${weekOf}`);
+
+  const config = loadDeliveryConfig();
+  if (args.list) {
+    const known   = Object.keys(config.lists ?? {});
+    const unknown = args.list.filter(id => !known.includes(id));
+    if (unknown.length > 0) throw new Error(`Unknown list(s) ${unknown.join(', ')} — expected one of: ${known.join(', ')}`);
+    config.lists = Object.fromEntries(Object.entries(config.lists).filter(([id]) => args.list.includes(id)));
+  }
+
+  const lists = deliveryLists(config);
+  if (lists.length === 0) {
+    console.log('📭 No enabled recipient lists in config/delivery.json — nothing to deliver');
+    return;
+  }
+
+  console.log(`📬 Delivering the ${weekOf} brief to ${lists.length} list(s) via ${args.sink}...\n`);
+  const { company } = loadBusinessConfig();
+  const results = await deliver(report, {
+    config,
+    sink:    createSink(args.sink, { weekOf }),
+    company: company.name,
+  });
+
+  for (const r of results) {
+    const detail = r.detail ? ` — ${r.detail}` : '';
+    console.log(`  ${ICONS[r.status]} ${r.list.padEnd(12)} ${r.channel.padEnd(6)} ${r.target}${detail}`);
+  }
+
+  const failed = results.filter(r => r.status === 'failed').length;
+  console.log(`\n${results.length - failed} sent, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('❌ Delivery failed:', err.message);
+  process.exit(1);
+});
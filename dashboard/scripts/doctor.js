@@ -0,0 +1,125 @@
+// scripts/doctor.js
+// Checks every integration before the weekly run finds out the hard way:
+// required env vars, one cheap authenticated call per platform, token
+// expiry where the API exposes it, and the fix for anything that's wrong.
+// Calls are always live — fixtures are never read or written.
+//
+// Usage:
+//   node scripts/doctor.js              → every enabled source + the Anthropic key
+//   node scripts/doctor.js meta vimeo   → just these, even if disabled
+//   node scripts/doctor.js --all        → disabled sources too
+//
+// Exits 1 if any check fails; warnings alone don't fail it.
+
+import Anthropic from '@anthropic-ai/sdk';
+import { parseArgs } from 'util';
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+import { SOURCES, enabledSources, getSource, missingEnv } from '../fetchers/index.js';
+import { fixesFor } from '../lib/hints.js';
+
+const EXPIRY_WARN_DAYS = 14;
+
+// Not a data source, but its key goes stale the same way
+const ANTHROPIC = {
+  id:      'anthropic',
+  name:    'Anthropic',
+  envVars: ['ANTHROPIC_API_KEY'],
+  check:   async () => {
+    await new Anthropic().models.list({ limit: 1 });
+    return { summary: 'API key accepted' };
+  },
+  hints: [
+    { match: /401|authentication/i, fix: 'Create a new key at console.anthropic.com → API keys and update ANTHROPIC_API_KEY' },
+  ],
+};
+
+function daysUntil(iso) {
+  return Math.floor((Date.parse(iso) - Date.now()) / 86400000);
+}
+
+// → { status: ok | warn | fail, message, warnings, fixes, durationMs }
+async function runCheck(source) {
+  const missing = missingEnv(source);
+  if (missing.length > 0) {
+    return {
+      status:   'fail',
+      message:  `Missing env var(s): ${missing.join(', ')}`,
+      warnings: [],
+      fixes:    [`Set ${missing.join(', ')} in .env, and as repository secrets passed in weekly-report.yml`],
+    };
+  }
+
+  const started = Date.now();
+  try {
+    const result   = await source.check();
+    const warnings = [...(result.warnings ?? [])];
+    let message    = result.summary;
+    if (result.expiresAt) {
+      const days = daysUntil(result.expiresAt);
+      message += ` — token expires ${result.expiresAt.slice(0, 10)} (${days} day(s))`;
+      if (days <= EXPIRY_WARN_DAYS) warnings.push(`Token expires within ${EXPIRY_WARN_DAYS} days`);
+    }
+    return {
+      status:     warnings.length > 0 ? 'warn' : 'ok',
+      message,
+      warnings,
+      fixes:      [...new Set(warnings.flatMap(w => fixesFor(source, { message: w })))],
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    return {
+      status:     'fail',
+      message:    err.message,
+      warnings:   [],
+      fixes:      fixesFor(source, err),
+      durationMs: Date.now() - started,
+    };
+  }
+}
+
+const ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+
+function printResult(source, r) {
+  const took = r.durationMs != null ? ` (${(r.durationMs / 1000).toFixed(1)}s)` : '';
+  console.log(`  ${ICONS[r.status]} ${source.name.padEnd(10)} ${r.message}${took}`);
+  r.warnings.forEach(w => console.log(`     ⚠️  ${w}`));
+  r.fixes.forEach(fix => console.log(`     💡 ${fix}`));
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options:          { all: { type: 'boolean', default: false } },
+    allowPositionals: true,
+  });
+
+  let targets;
+  if (positionals.length > 0) {
+    targets = positionals.map(id => {
+      if (id === ANTHROPIC.id) return ANTHROPIC;
+      const source = getSource(id);
+      if (!source) throw new Error(`Unknown source "${id}" — expected one of: ${[...SOURCES.map(s => s.id), ANTHROPIC.id].join(', ')}`);
+      return source;
+    });
+  } else {
+    targets = [...(args.all ? SOURCES : enabledSources()), ANTHROPIC];
+  }
+  const skipped = positionals.length > 0 ? [] : SOURCES.filter(s => !targets.includes(s));
+
+  console.log(`🩺 Checking ${targets.length} integration(s) with live calls...\n`);
+  const results = await Promise.all(targets.map(runCheck));
+  targets.forEach((source, i) => printResult(source, results[i]));
+  skipped.forEach(s => console.log(`  ⏸️  ${s.name.padEnd(10)} disabled in config/sources.json — run with --all to check`));
+
+  const count  = status => results.filter(r => r.status === status).length;
+  const failed = count('fail');
+  console.log(`\n${count('ok')} ok, ${count('warn')} with warnings, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('❌ Doctor failed:', err.message);
+  process.exit(1);
+});
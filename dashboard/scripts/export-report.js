@@ -0,0 +1,106 @@
+// scripts/export-report.js
+// Exports an archived report as a Markdown brief and a print-ready HTML
+// page for the people who read it in email rather than the dashboard.
+// With --pdf the HTML is also printed to PDF by a local Chrome/Chromium.
+//
+// Usage:
+//   node scripts/export-report.js                    → latest archived week
+//   node scripts/export-report.js 2025-02-10         → that week
+//   node scripts/export-report.js --file report.json → any report file
+//   node scripts/export-report.js --pdf              → also brief-<week>.pdf
+//   node scripts/export-report.js --out ./briefs     → somewhere other than exports/
+//
+// Chrome is looked up as CHROME_PATH, then google-chrome, chromium and
+// chromium-browser on the PATH.
+
+import fs   from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+
+import { listReports, loadReport } from '../lib/archive.js';
+import { loadBusinessConfig } from '../lib/config.js';
+import { validate, formatErrors } from '../lib/schema.js';
+import { renderMarkdown, renderHtml } from '../lib/brief.js';
+
+const EXPORT_DIR      = './dashboard/exports';
+const CHROME_BINARIES = ['google-chrome', 'chromium', 'chromium-browser'];
+
+const REPORT_SCHEMA = JSON.parse(
+  fs.readFileSync(new URL('../schema/report.schema.json', import.meta.url), 'utf8')
+);
+
+function findChrome() {
+  const candidates = process.env.CHROME_PATH ? [process.env.CHROME_PATH] : CHROME_BINARIES;
+  for (const bin of candidates) {
+    try {
+      execFileSync(bin, ['--version'], { stdio: 'ignore' });
+      return bin;
+    } catch {
+      // Not installed under this name — try the next
+    }
+  }
+  return null;
+}
+
+function printPdf(htmlFile, pdfFile) {
+  const chrome = findChrome();
+  if (!chrome) {
+    throw new Error(`No Chrome or Chromium found — set CHROME_PATH, or open ${htmlFile} and print it to PDF`);
+  }
+  execFileSync(chrome, [
+    '--headless', '--disable-gpu', '--no-pdf-header-footer',
+    `--print-to-pdf=${path.resolve(pdfFile)}`,
+    pathToFileURL(path.resolve(htmlFile)).href,
+  ], { stdio: 'ignore', timeout: 60_000 });
+}
+
+function loadTarget(weekOf, file) {
+  if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  const week = weekOf ?? listReports()[0];
+  if (!week) throw new Error('The report archive is empty — run generate-report.js first');
+  const report = loadReport(week);
+  if (!report) throw new Error(`No archived report for the week of ${week} — have: ${listReports().join(', ')}`);
+  return report;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      out:  { type: 'string', default: EXPORT_DIR },
+      pdf:  { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+  });
+
+  const report   = loadTarget(positionals[0], args.file);
+  const problems = formatErrors(validate(REPORT_SCHEMA, report));
+  if (problems.length > 0) {
+    console.warn(`⚠️  Report for ${report.weekOf} has ${problems.length} schema problem(s) — exporting anyway:`);
+    problems.slice(0, 5).forEach(p => console.warn(`   • ${p}`));
+  }
+
+  const { company } = loadBusinessConfig();
+  const base = path.join(args.out, `brief-${report.weekOf}`);
+  fs.mkdirSync(args.out, { recursive: true });
+  fs.writeFileSync(`${base}.md`,   renderMarkdown(report, { company: company.name }));
+  fs.writeFileSync(`${base}.html`, renderHtml(report, { company: company.name }));
+  console.log(`📝 Brief for the week of ${report.weekOf}:`);
+  console.log(`   ${base}.md`);
+  console.log(`   ${base}.html`);
+
+  if (args.pdf) {
+    printPdf(`${base}.html`, `${base}.pdf`);
+    console.log(`   ${base}.pdf`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ Export failed:', err.message);
+  process.exit(1);
+}
@@ -1,47 +1,104 @@
 // scripts/generate-report.js
-// Main weekly script. Runs all 7 fetchers in parallel,
+// Main weekly script. Runs every enabled fetcher in parallel,
 // sends the combined data to Claude for analysis,
-// and writes insights.json to dashboard/public/.
+// and archives the report (dashboard/public/reports/) and insights.json,
+// then loads the week into the metrics warehouse (lib/warehouse.js).
+// If the Claude call fails, a rules-based report (lib/rules.js) is
+// published instead, clearly marked as having no AI analysis.
+//
+// Usage:
+//   node scripts/generate-report.js                         → week ending yesterday
+//   node scripts/generate-report.js --week-of 2025-02-10    → re-run a past week
+//   node scripts/generate-report.js --from 2025-02-03 --to 2025-02-09
+//   node scripts/generate-report.js --backfill 8 [--force]  → seed the last 8 weeks
+//   node scripts/generate-report.js --record fixtures/feb10 → save every API response
+//   node scripts/generate-report.js --replay fixtures/feb10 → re-run offline from them
+//   node scripts/generate-report.js --rules-only            → skip Claude, rules-based report
+//   node scripts/generate-report.js --dry-run               → fetch + save the prompt, no Claude call
+//   node scripts/generate-report.js --analyze-only dry-run/data-2025-02-10.json
+//                                                           → re-run only the analysis on saved data
 
 import Anthropic from '@anthropic-ai/sdk';
-import fs        from 'fs';
-import path      from 'path';
+import fs            from 'fs';
+import path          from 'path';
+import { parseArgs } from 'util';
 import * as dotenv from 'dotenv';
 dotenv.config();
 
-import { fetchGA4Data }      from '../fetchers/ga4.js';
-import { fetchGSCData }      from '../fetchers/gsc.js';
-import { fetchYouTubeData }  from '../fetchers/youtube.js';
-import { fetchKitData }      from '../fetchers/kit.js';
-import { fetchMetaData }     from '../fetchers/meta.js';
-import { fetchUnbounceData } from '../fetchers/unbounce.js';
-import { fetchVimeoData }    from '../fetchers/vimeo.js';
+import { SOURCES, enabledSources, missingEnv, sourceEnv, loadSourcesConfig } from '../fetchers/index.js';
+import { fixesFor } from '../lib/hints.js';
+import {
+  configureFixtures, isRecording, isReplaying, fixtureDir,
+  withSequencedFixture, recordWindow, readManifest, fillReplayEnv,
+} from '../lib/fixtures.js';
+import { writeReport, loadReport } from '../lib/archive.js';
+import { reportingWindow, previousWeeks } from '../lib/window.js';
+import { validate, formatErrors } from '../lib/schema.js';
+import { loadBusinessConfig, renderBusinessContext } from '../lib/config.js';
+import { loadQuarterHistory, trackGoals, renderGoalProgress } from '../lib/goals.js';
+import { buildRulesReport, funnelDisagreements } from '../lib/rules.js';
+import { loadMetricHistory, findAnomalies, renderAnomalies } from '../lib/anomalies.js';
+import {
+  loadPreviousCalls, renderPreviousCalls, mergeFollowUps, unassessedFollowUps,
+} from '../lib/followups.js';
+import { evidenceProblems } from '../lib/evidence.js';
+import { REPORT_SCHEMA, checkResponse, repairPrompt } from '../lib/response.js';
+import { joinMetaCampaigns } from '../lib/attribution.js';
+import { loadPageHistory, findDecayingPages } from '../lib/decay.js';
+import { toMetrics } from '../lib/metrics.js';
+import { openWarehouse, loadWeek } from '../lib/warehouse.js';
+import { compactSource, estimateTokens, DEFAULT_TOKEN_BUDGET } from '../lib/compact.js';
+import {
+  sourceHealth, healthFromData, createModelUsage, recordUsage, buildRunHealth,
+} from '../lib/health.js';
 
 // ── Config ────────────────────────────────────────────────────────────────────
-const OUTPUT_PATH = './dashboard/public/insights.json';
+// Company description, quarter goals and KPI targets live in config/business.json
 const MODEL       = 'claude-opus-4-5-20251101'; // Use Opus for best analysis quality
+const MAX_REPAIRS = 2;                          // Correction rounds before giving up
+const MAX_TOKENS  = 4096;                       // Response budget per call…
+const MAX_TOKENS_CEILING = 16384;               // …doubled up to this if a response is cut off
+const DRY_RUN_DIR = './dashboard/dry-run';      // --dry-run / --analyze-only output
 
-// ── Business context — EDIT THIS to match your situation ─────────────────────
-const BUSINESS_CONTEXT = `
-We are Duct Tape Marketing. We sell marketing consulting, training, and done-for-you
-services to small business owners and marketing consultants. Our primary products are
-the Duct Tape Marketing Consultant Network (DTMCN) membership and our Marketing
-System consulting engagements.
-
-This quarter's primary goal: Reduce our cost-per-lead from Meta Ads while maintaining
-or growing total lead volume. Secondary goal: grow the email list by 500 new subscribers.
+// ── Prompt ────────────────────────────────────────────────────────────────────
+// compacted: { [sourceId]: compactSource() result } — see lib/compact.js
+// previous:  last week's calls from lib/followups.js, or null
+// anomalies: findAnomalies() result — see lib/anomalies.js
+function buildPrompt({ compacted, window, sources, business, goals, previous, anomalies }) {
+  const sourceNames = [...sources.map(s => s.name), 'Cross-channel'].join('|');
+  const names       = Object.fromEntries(sources.map(s => [s.id, s.name]));
+  const sections    = sources.map(s => `## ${s.heading} (source id: ${s.id})
+${s.description}
+${compacted[s.id].text}`).join('\n\n');
+
+  const anomalyRule = anomalies.weeks >= anomalies.minWeeks ? `
+- The anomalies above are the real signal. A week-over-week move that isn't listed there is probably noise — don't build an insight on it alone unless it bears on a quarter goal.` : '';
+  const followUpRule = previous ? `
+- Follow up every one of last week's calls in followUps, one entry per id. Judge by this week's numbers: improved, regressed or no-change — no-data only when the data can't speak to it. For watch items set thresholdCrossed; a crossed threshold also belongs in urgentActions.` : '';
+  const followUpShape = previous ? `
+  "followUps": [
+    {
+      "id": "the call's id from last week, e.g. action-1 or watch-2",
+      "outcome": "improved|regressed|no-change|no-data",
+      "evidence": "the numbers from this week's data that show it",
+      "thresholdCrossed": false
+    }
+  ],` : '';
+  const followUpSection = previous ? `
 
-Key context: Our YouTube channel drives top-of-funnel awareness. Our VSLs on Vimeo
-sit on Unbounce landing pages and are the primary conversion mechanism. Kit broadcasts
-are our main nurture tool. Meta Ads is our only paid channel right now.
-`;
+## Last week's calls (report for the week of ${previous.weekOf})
+Check each one against this week's data above and report on it in followUps.
+${renderPreviousCalls(previous)}` : '';
 
-// ── Prompt ────────────────────────────────────────────────────────────────────
-function buildPrompt(data) {
   return `
-You are a senior marketing strategist briefing the Duct Tape Marketing team every Monday morning.
+You are a senior marketing strategist briefing the ${business.company.name} team every Monday morning.
+
+${renderBusinessContext(business)}
+Quarter goal progress so far (computed from our report archive, including this week — use these numbers rather than recomputing them):
+${renderGoalProgress(goals)}
 
-${BUSINESS_CONTEXT}
+Unusual movement this week — each metric against its own recent history (trend-adjusted, and seasonally adjusted where the archive has last year's week):
+${renderAnomalies(anomalies, names)}
 
 Your job is NOT to describe numbers — the team can read numbers. For every insight you surface, you must answer all three of:
 1. WHAT does this mean for our business?
@@ -53,13 +110,17 @@ Rules:
 - Never flag a problem without recommending a specific action.
 - Always look for cross-channel connections (e.g. YouTube video → GA4 spike, GSC keyword gap → Meta opportunity, Unbounce problem page + Meta spend = money burning).
 - If the data supports a strong conclusion, say it clearly. Don't hedge.
-- Rank everything by business impact, not by data source.
+- Rank everything by business impact, not by data source.${anomalyRule}
 - "Do Not Touch" means it's working — flag it so the team doesn't accidentally break it.
+- If a quarter goal is off track, say so in the verdict and make at least one urgent action about closing the gap.
+- Back every urgent action, insight and do-not-touch item with evidence: the figures it rests on, copied from the data below. Each path starts with the source id, then follows the data — headline keys as written (ga4.weekOverWeek.sessionsDelta), table rows by their # (vimeo.videos[2].engagement.biggestDropSeconds), and tables with a name column by that name (ga4.channels.Organic Search.this_week.sessions). Every reference is checked; one that doesn't match the data is rejected.${followUpRule}
+
+Reporting period: ${window.thisWeek.start} to ${window.thisWeek.end}, compared with ${window.lastWeek.start} to ${window.lastWeek.end}.
 
 Respond ONLY with valid JSON matching this exact schema. No preamble, no markdown, just the JSON object:
 
 {
-  "weekOf": "YYYY-MM-DD",
+  "weekOf": "${window.weekOf}",
   "weeklyVerdict": "2-3 sentence executive summary. What was the overall story this week?",
   "funnelHealth": {
     "awareness":     { "status": "green|amber|red", "summary": "one sentence" },
@@ -74,26 +135,29 @@ Respond ONLY with valid JSON matching this exact schema. No preamble, no markdow
       "why": "why this matters / what the data shows",
       "howTo": "exact steps to take it",
       "expectedOutcome": "what should happen if we do this",
-      "doBy": "today|this week|before next report"
+      "doBy": "today|this week|before next report",
+      "evidence": [{ "path": "source.path.to[0].figure", "value": 0 }]
     }
   ],
   "insights": [
     {
-      "source": "GA4|GSC|YouTube|Meta|Kit|Unbounce|Vimeo|Cross-channel",
+      "source": "${sourceNames}",
       "observation": "what the data shows",
       "meaning": "what it means for the business",
       "hypothesis": "why this is probably happening",
       "recommendation": "specific next action",
       "confidence": "high|medium|low",
       "effort": "low|medium|high",
-      "impact": "low|medium|high"
+      "impact": "low|medium|high",
+      "evidence": [{ "path": "source.path.to[0].figure", "value": 0 }]
     }
   ],
   "doNotTouch": [
     {
       "thing": "what is working",
       "reason": "why it's working and why we should leave it alone",
-      "metric": "the number that proves it"
+      "metric": "the number that proves it",
+      "evidence": [{ "path": "source.path.to[0].figure", "value": 0 }]
     }
   ],
   "watchNextWeek": [
@@ -102,135 +166,347 @@ Respond ONLY with valid JSON matching this exact schema. No preamble, no markdow
       "because": "why we're watching before acting",
       "threshold": "at what point do we act?"
     }
-  ],
+  ],${followUpShape}
   "rawData": {}
 }
 
-Here is this week's data across all 7 platforms:
-
-## GA4 — Website Analytics
-${JSON.stringify(data.ga4, null, 2)}
+Here is this week's data across all ${sources.length} platforms. Headline numbers are "key: value" lines (nested fields use dotted keys); lists are pipe-separated tables with a header row — # is the row's index in the full list — and "top N of M" means only the N most important rows are shown.
 
-## Google Search Console — Organic Search
-${JSON.stringify(data.gsc, null, 2)}
-
-## YouTube — Video Analytics
-${JSON.stringify(data.youtube, null, 2)}
-
-## Meta Ads — Paid Social
-${JSON.stringify(data.meta, null, 2)}
+${sections}${followUpSection}
+`;
+}
 
-## Kit (ConvertKit) — Email Newsletter
-${JSON.stringify(data.kit, null, 2)}
+// Model calls go through the fixture layer too, so a replay is fully offline
+function createMessage(anthropic, window, params) {
+  return withSequencedFixture('anthropic', `messages.create ${window.weekOf}`, async () => {
+    const { content, stop_reason, usage, model } = await anthropic.messages.create(params);
+    return { content, stop_reason, usage, model };
+  });
+}
 
-## Unbounce — Landing Pages
-${JSON.stringify(data.unbounce, null, 2)}
+// A response cut off at max_tokens is never valid JSON, so rather than
+// spending a repair round on it, ask again with double the room.
+// startTokens: the budget the previous round needed, so repairs don't
+// start again from one already shown to be too small
+async function completeMessage(anthropic, window, messages, usage, startTokens = MAX_TOKENS) {
+  for (let maxTokens = startTokens; ; maxTokens *= 2) {
+    const message = await createMessage(anthropic, window, { model: MODEL, max_tokens: maxTokens, messages });
+    recordUsage(usage, message);
+    if (message.stop_reason !== 'max_tokens' || maxTokens * 2 > MAX_TOKENS_CEILING) {
+      return { message, maxTokens };
+    }
+    console.warn(`  ✂️  Response cut off at ${maxTokens} tokens — retrying with ${maxTokens * 2}`);
+  }
+}
 
-## Vimeo — Video Sales Letters
-${JSON.stringify(data.vimeo, null, 2)}
-`;
+// ── Dry runs and saved data ───────────────────────────────────────────────────
+// A dry run saves the rendered prompt and the data bundle behind it. The
+// bundle has the same weekOf/period/rawData shape as an archived report,
+// so either can be fed back in with --analyze-only.
+function writeDryRun({ window, prompt, data, compacted, dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const promptFile      = path.join(dir, `prompt-${window.weekOf}.txt`);
+  const dataFile        = path.join(dir, `data-${window.weekOf}.json`);
+  const estimatedTokens = estimateTokens(prompt);
+  const perSource       = Object.fromEntries(Object.entries(compacted).map(([id, c]) => [
+    id, { tokens: c.tokens, fullTokens: c.fullTokens, trimmed: c.trimmed },
+  ]));
+
+  fs.writeFileSync(promptFile, prompt);
+  fs.writeFileSync(dataFile, JSON.stringify({
+    weekOf:      window.weekOf,
+    period:      { thisWeek: window.thisWeek, lastWeek: window.lastWeek },
+    generatedAt: new Date().toISOString(),
+    prompt:      { file: promptFile, model: MODEL, chars: prompt.length, estimatedTokens, maxOutputTokens: MAX_TOKENS, sources: perSource },
+    rawData:     data,
+  }, null, 2));
+
+  console.log(`\n📝 Dry run — prompt is ${prompt.length.toLocaleString('en-US')} chars, ~${estimatedTokens.toLocaleString('en-US')} tokens`);
+  console.log(`   Prompt saved to ${promptFile}`);
+  console.log(`   Data saved to ${dataFile}`);
+  console.log('   Claude was not called and nothing was archived.');
 }
 
-// ── Main ──────────────────────────────────────────────────────────────────────
-async function main() {
-  console.log('🚀 Starting weekly marketing report generation...');
-  console.log(`📅 ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}\n`);
-
-  // ── Step 1: Run all fetchers in parallel ───────────────────────────────────
-  console.log('📊 Fetching data from all platforms...');
-
-  const results = await Promise.allSettled([
-    fetchGA4Data().then(d => { console.log('  ✅ GA4');       return d; }),
-    fetchGSCData().then(d => { console.log('  ✅ GSC');       return d; }),
-    fetchYouTubeData().then(d => { console.log('  ✅ YouTube'); return d; }),
-    fetchKitData().then(d => { console.log('  ✅ Kit');       return d; }),
-    fetchMetaData().then(d => { console.log('  ✅ Meta Ads'); return d; }),
-    fetchUnbounceData().then(d => { console.log('  ✅ Unbounce'); return d; }),
-    fetchVimeoData().then(d => { console.log('  ✅ Vimeo');   return d; }),
-  ]);
+function loadBundle(file) {
+  if (!fs.existsSync(file)) throw new Error(`Data bundle not found at ${file}`);
+  const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!bundle.rawData || typeof bundle.rawData !== 'object') {
+    throw new Error(`${file} has no rawData — pass a --dry-run data bundle or an archived report`);
+  }
+  // Reports archived before the period field existed only have weekOf
+  const window = bundle.period
+    ? { weekOf: bundle.weekOf, ...bundle.period }
+    : reportingWindow({ weekOf: bundle.weekOf });
+  return {
+    window,
+    data:    bundle.rawData,
+    sources: SOURCES.filter(s => s.id in bundle.rawData),
+  };
+}
 
-  const [ga4Result, gscResult, youtubeResult, kitResult, metaResult, unbounceResult, vimeoResult] = results;
+// ── Step 1: Run all enabled fetchers in parallel ──────────────────────────────
+async function fetchAll(window) {
+  const config  = loadSourcesConfig();
+  const sources = enabledSources(config);
+  console.log(`📊 Fetching data from ${sources.length} platforms${isReplaying() ? ` (replaying ${fixtureDir()})` : ''}...`);
+  if (isRecording()) recordWindow(window);
+
+  const durations = [];
+  const results   = await Promise.allSettled(sources.map(async (source, i) => {
+    const started = Date.now();
+    try {
+      const missing = missingEnv(source);
+      if (missing.length > 0) throw new Error(`Missing env var(s): ${missing.join(', ')}`);
+      const d = await source.fetch(window, config[source.id] ?? {});
+      console.log(`  ✅ ${source.name}`);
+      return d;
+    } finally {
+      durations[i] = Date.now() - started;
+    }
+  }));
 
   // Warn on failures but continue — partial data is better than no report
   const failures = results.filter(r => r.status === 'rejected');
   if (failures.length > 0) {
     console.warn(`\n⚠️  ${failures.length} fetcher(s) failed — report will use available data:`);
     results.forEach((r, i) => {
-      const names = ['GA4', 'GSC', 'YouTube', 'Kit', 'Meta', 'Unbounce', 'Vimeo'];
-      if (r.status === 'rejected') console.warn(`  ❌ ${names[i]}: ${r.reason?.message}`);
+      if (r.status !== 'rejected') return;
+      console.warn(`  ❌ ${sources[i].name}: ${r.reason?.message}`);
+      fixesFor(sources[i], r.reason).forEach(fix => console.warn(`     💡 ${fix}`));
     });
   }
 
-  const data = {
-    ga4:      ga4Result.status      === 'fulfilled' ? ga4Result.value      : { error: ga4Result.reason?.message },
-    gsc:      gscResult.status      === 'fulfilled' ? gscResult.value      : { error: gscResult.reason?.message },
-    youtube:  youtubeResult.status  === 'fulfilled' ? youtubeResult.value  : { error: youtubeResult.reason?.message },
-    kit:      kitResult.status      === 'fulfilled' ? kitResult.value      : { error: kitResult.reason?.message },
-    meta:     metaResult.status     === 'fulfilled' ? metaResult.value     : { error: metaResult.reason?.message },
-    unbounce: unbounceResult.status === 'fulfilled' ? unbounceResult.value : { error: unbounceResult.reason?.message },
-    vimeo:    vimeoResult.status    === 'fulfilled' ? vimeoResult.value    : { error: vimeoResult.reason?.message },
-  };
+  const data = Object.fromEntries(sources.map((source, i) => [
+    source.id,
+    results[i].status === 'fulfilled' ? results[i].value : { error: results[i].reason?.message },
+  ]));
+
+  // Disabled sources are listed too, so the dashboard can tell "off" from "broken"
+  const health = Object.fromEntries(SOURCES.map(source => {
+    const i = sources.indexOf(source);
+    return [source.id, i === -1
+      ? { name: source.name, status: 'disabled' }
+      : sourceHealth(source, results[i], durations[i])];
+  }));
+
+  const partial = Object.values(health).filter(h => h.status === 'partial');
+  if (partial.length > 0) {
+    console.warn(`\n⚠️  ${partial.length} source(s) returned partial data:`);
+    partial.forEach(h => h.warnings.forEach(w => console.warn(`  ◐ ${h.name}: ${w}`)));
+  }
 
-  // ── Step 2: Send to Claude for analysis ───────────────────────────────────
-  console.log('\n🧠 Sending to Claude for analysis...');
-  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  return { sources, data, health };
+}
 
-  let insights;
-  let rawResponse;
+// ── Warehouse ─────────────────────────────────────────────────────────────────
+// The warehouse is rebuilt from the archive, so failing to update it is
+// reported but never fails the run — scripts/warehouse.js import catches up
+async function updateWarehouse(report) {
+  let db = null;
+  try {
+    db = await openWarehouse();
+    const rows = Object.values(loadWeek(db, report)).reduce((a, b) => a + b, 0);
+    console.log(`   …and loaded into the metrics warehouse (${rows} rows)`);
+  } catch (err) {
+    console.warn(`⚠️  Metrics warehouse not updated: ${err.message}`);
+    console.warn('   Run node scripts/warehouse.js import to catch up');
+  } finally {
+    db?.close();
+  }
+}
+
+// ── Report for one window ─────────────────────────────────────────────────────
+// bundle: saved { sources, data } to analyse instead of fetching (--analyze-only)
+async function generateReport(window, { rulesOnly = false, dryRun = false, bundle = null, outDir = DRY_RUN_DIR } = {}) {
+  const startedAt = new Date();
+  console.log('🚀 Starting weekly marketing report generation...');
+  console.log(`📅 Week of ${window.weekOf} (${window.thisWeek.start} → ${window.thisWeek.end})\n`);
+
+  // ── Step 1: Fetch (or load saved) data ─────────────────────────────────────
+  if (bundle) console.log(`📂 Using saved data for ${bundle.sources.map(s => s.name).join(', ')}`);
+  const { sources, data, health } = bundle
+    ? { ...bundle, health: healthFromData(SOURCES, bundle.sources, bundle.data) }
+    : await fetchAll(window);
+
+  // ── Step 1a: Meta campaigns joined to their GA4 UTM traffic ────────────────
+  // Merged into the Meta payload so the prompt, evidence paths and
+  // dashboard see post-click quality beside spend and leads
+  const sourcesConfig = loadSourcesConfig();
+  const postClick     = joinMetaCampaigns(data, sourcesConfig.meta?.utmNames);
+  if (postClick) {
+    Object.assign(data.meta, postClick);
+    data.meta.metrics = toMetrics('meta', data.meta, window.thisWeek);
+    const joined = postClick.postClickCampaigns.filter(c => c.sessions != null).length;
+    console.log(`  🔗 ${joined} of ${postClick.postClickCampaigns.length} Meta campaign(s) matched to GA4 UTM traffic`);
+    if (postClick.unmatchedUtmCampaigns.length > 0) {
+      console.log(`     No Meta campaign for UTM campaign(s) ${postClick.unmatchedUtmCampaigns.join(', ')} — map them under meta.utmNames in config/sources.json`);
+    }
+  }
 
+  // ── Step 1b: Goals, last week's calls, anomalies and page decay ────────────
+  const business = loadBusinessConfig();
+  const goals    = trackGoals(business, [
+    ...loadQuarterHistory(business.quarter, window.weekOf),
+    { weekOf: window.weekOf, rawData: data },
+  ]);
+  goals.forEach(g => console.log(`  🎯 ${g.label}: ${g.status}`));
+
+  const previous = loadPreviousCalls(window.weekOf);
+  if (previous) console.log(`  🔁 Following up ${previous.calls.length} call(s) from the ${previous.weekOf} report`);
+
+  const anomalies = findAnomalies({ history: loadMetricHistory(business, window.weekOf), data, business });
+  console.log(anomalies.weeks < anomalies.minWeeks
+    ? `  📈 Anomaly detection needs ${anomalies.minWeeks} archived weeks (${anomalies.weeks} so far)`
+    : `  📈 ${anomalies.anomalies.length} anomal${anomalies.anomalies.length === 1 ? 'y' : 'ies'} against ${anomalies.weeks}-week baselines`);
+
+  // Merged into the GSC payload beside cannibalization, like the Meta join
+  if (data.gsc && !data.gsc.error) {
+    const decay = findDecayingPages({ history: loadPageHistory(window.weekOf), gsc: data.gsc });
+    data.gsc.decayingPages = decay.decayingPages;
+    console.log(decay.weeks < decay.minWeeks
+      ? `  📉 Content decay needs ${decay.minWeeks} weeks of GSC pages (${decay.weeks} so far)`
+      : `  📉 ${decay.decayingPages.length} decaying page(s) over ${decay.weeks} weeks of GSC clicks`);
+  }
+
+  // ── Step 1c: Rules-based baseline ──────────────────────────────────────────
+  // Same data, deterministic read — the fallback if Claude is unavailable,
+  // and a second opinion on the model's funnel calls when it isn't. A bug
+  // here only costs the fallback — it never blocks the model path.
+  let baseline      = null;
+  let baselineError = null;
   try {
-    const message = await anthropic.messages.create({
-      model:      MODEL,
-      max_tokens: 4096,
-      messages:   [{ role: 'user', content: buildPrompt(data) }],
-    });
+    baseline = buildRulesReport({ data, window, business, goals, sources });
+  } catch (err) {
+    baselineError = err;
+    console.warn(`  ⚠️  Rules baseline failed (${err.message}) — continuing without it`);
+  }
 
-    rawResponse = message.content[0].text;
+  // ── Step 1d: Compact each source to its token budget ───────────────────────
+  const compacted = Object.fromEntries(sources.map(s => [
+    s.id,
+    compactSource(s.id, data[s.id], sourcesConfig[s.id]?.tokenBudget ?? DEFAULT_TOKEN_BUDGET),
+  ]));
+  const sum = key => Object.values(compacted).reduce((n, c) => n + c[key], 0);
+  console.log(`\n✂️  Source data compacted from ~${sum('fullTokens').toLocaleString('en-US')} to ~${sum('tokens').toLocaleString('en-US')} tokens`);
+  for (const s of sources) {
+    for (const t of compacted[s.id].trimmed) console.log(`   ${s.name} ${t.table}: kept ${t.kept} of ${t.total}`);
+  }
 
-    // Parse JSON — strip any accidental markdown fences
-    const cleaned = rawResponse
-      .replace(/^```json\s*/i, '')
-      .replace(/\s*```$/,      '')
-      .trim();
+  const prompt = buildPrompt({ compacted, window, sources, business, goals, previous, anomalies });
+  if (dryRun) {
+    writeDryRun({ window, prompt, data, compacted, dir: outDir });
+    return;
+  }
 
-    insights = JSON.parse(cleaned);
-    console.log('  ✅ Claude analysis complete');
+  // ── Step 2: Send to Claude for analysis ───────────────────────────────────
+  const messages     = [{ role: 'user', content: prompt }];
+  let insights       = null;
+  let fallbackReason = rulesOnly ? 'Claude analysis skipped (--rules-only)' : null;
+  const usage        = createModelUsage(MODEL);
+
+  // Validate against schema/report.schema.json; on failure, send the exact
+  // violations back and ask for a corrected object. An API error (outage,
+  // quota, bad key) ends the loop and falls back to the rules report, as
+  // does a response still cut off at MAX_TOKENS_CEILING — half an object
+  // can't be repaired.
+  if (!rulesOnly) console.log('\n🧠 Sending to Claude for analysis...');
+  let maxTokens = MAX_TOKENS;
+  for (let attempt = 0; !rulesOnly && attempt <= MAX_REPAIRS; attempt++) {
+    let message;
+    try {
+      const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+      ({ message, maxTokens } = await completeMessage(anthropic, window, messages, usage, maxTokens));
+    } catch (err) {
+      fallbackReason = `Claude API call failed: ${err.message}`;
+      break;
+    }
+    if (message.stop_reason === 'max_tokens') {
+      fallbackReason = `Claude's response was still cut off at the ${maxTokens}-token ceiling`;
+      break;
+    }
 
-  } catch (err) {
-    if (err instanceof SyntaxError) {
-      console.error('❌ Claude returned invalid JSON. Retrying with stricter prompt...');
+    const rawResponse         = message.content[0].text;
+    const { value, problems } = checkResponse(rawResponse, { previous, data });
 
-      // Retry once with an explicit correction prompt
-      const retryMessage = await anthropic.messages.create({
-        model:      MODEL,
-        max_tokens: 4096,
-        messages:   [
-          { role: 'user',      content: buildPrompt(data) },
-          { role: 'assistant', content: rawResponse ?? '' },
-          { role: 'user',      content: 'Your response was not valid JSON. Return ONLY the JSON object with no markdown, no backticks, no commentary. Start your response with { and end with }.' },
-        ],
-      });
+    if (problems.length === 0) {
+      insights = value;
+      console.log(attempt === 0 ? '  ✅ Claude analysis complete' : '  ✅ Repair succeeded');
+      break;
+    }
 
-      const retryText = retryMessage.content[0].text.trim();
-      insights = JSON.parse(retryText);
-      console.log('  ✅ Retry succeeded');
-    } else {
-      throw err;
+    console.error(`❌ Claude's response failed validation (${problems.length} problem(s)):`);
+    problems.slice(0, 10).forEach(p => console.error(`   • ${p}`));
+    if (attempt < MAX_REPAIRS) {
+      console.error('   Asking Claude to repair it...');
+      usage.repairs++;
     }
-  }
 
-  // ── Step 3: Enrich with raw data and metadata ─────────────────────────────
-  insights.weekOf     = insights.weekOf || new Date().toISOString().split('T')[0];
-  insights.generatedAt = new Date().toISOString();
-  insights.rawData    = data;  // Dashboard can use raw data for charts
+    messages.push(
+      { role: 'assistant', content: rawResponse },
+      { role: 'user',      content: repairPrompt(problems) },
+    );
+  }
 
-  // ── Step 4: Write output ───────────────────────────────────────────────────
-  const outputDir = path.dirname(OUTPUT_PATH);
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  // Hard stop — nothing is archived, so the last good report stays published
+  if (!insights && !fallbackReason) {
+    throw new Error(`Claude's response still failed validation after ${MAX_REPAIRS} repair attempt(s)`);
+  }
 
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(insights, null, 2));
+  if (fallbackReason) {
+    console.warn(`\n⚠️  ${fallbackReason}`);
+    if (!baseline) throw new Error(`${fallbackReason}, and the rules-based fallback failed too: ${baselineError.message}`);
+    console.warn('   Publishing the rules-based report instead (automated, no AI analysis)');
+    const problems = [...formatErrors(validate(REPORT_SCHEMA, baseline)), ...evidenceProblems(baseline, data, { required: false })];
+    if (problems.length > 0) throw new Error(`Rules-based report failed validation: ${problems.join('; ')}`);
+    insights = { ...baseline, analysis: 'rules', fallbackReason };
+  } else {
+    insights.analysis = 'model';
+    if (baseline) {
+      insights.rulesBaseline = { funnelHealth: baseline.funnelHealth };
+      const disagreements    = funnelDisagreements(insights, baseline);
+      if (disagreements.length > 0) console.log(`  ⚖️  Rules baseline disagrees on: ${disagreements.join(', ')}`);
+    }
+  }
 
-  console.log(`\n✅ Report saved to ${OUTPUT_PATH}`);
+  // ── Step 3: Enrich with raw data and metadata ─────────────────────────────
+  insights.weekOf       = window.weekOf;  // Archive key — never trust the model's date
+  insights.period       = { thisWeek: window.thisWeek, lastWeek: window.lastWeek };
+  insights.generatedAt  = new Date().toISOString();
+  insights.goalProgress = goals;
+  insights.anomalies    = anomalies.anomalies;
+  if (previous) {
+    insights.followUps     = insights.analysis === 'rules'
+      ? unassessedFollowUps(previous)
+      : mergeFollowUps(previous, insights.followUps);
+    insights.followUpsFrom = previous.weekOf;
+  } else {
+    delete insights.followUps;
+  }
+  insights.runHealth    = buildRunHealth({
+    startedAt,
+    mode:     bundle ? 'analyze-only' : isReplaying() ? 'replay' : 'live',
+    sources:  health,
+    usage,
+    analysis: insights.analysis,
+    fallbackReason,
+  });
+  insights.rawData      = data;  // Dashboard can use raw data for charts
+
+  // ── Step 4: Archive and publish ────────────────────────────────────────────
+  // Re-analysing saved data or replaying fixtures never touches the real
+  // archive — the output is saved alongside its inputs instead
+  if (bundle || isReplaying()) {
+    const dir  = bundle ? outDir : fixtureDir();
+    const file = path.join(dir, `report-${window.weekOf}.json`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(insights, null, 2));
+    console.log(`\n✅ ${bundle ? 'Analysis' : 'Replayed report'} saved to ${file}`);
+  } else {
+    const { file, isLatest } = writeReport(insights);
+    console.log(`\n✅ Report archived to ${file}`);
+    if (isLatest) console.log('   …and published as the latest insights.json');
+    await updateWarehouse(insights);
+  }
   console.log(`\n📋 Weekly Verdict: ${insights.weeklyVerdict}`);
   console.log(`\n🎯 Urgent Actions: ${insights.urgentActions?.length ?? 0}`);
   console.log(`💡 Insights: ${insights.insights?.length ?? 0}`);
@@ -238,6 +514,77 @@ async function main() {
   console.log(`👀 Watch Next Week: ${insights.watchNextWeek?.length ?? 0}`);
 }
 
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'week-of':      { type: 'string' },
+      from:           { type: 'string' },
+      to:             { type: 'string' },
+      backfill:       { type: 'string' },
+      force:          { type: 'boolean', default: false },
+      record:         { type: 'string' },
+      replay:         { type: 'string' },
+      'rules-only':   { type: 'boolean', default: false },
+      'dry-run':      { type: 'boolean', default: false },
+      'analyze-only': { type: 'string' },
+      out:            { type: 'string', default: DRY_RUN_DIR },
+    },
+  });
+  const options = { rulesOnly: args['rules-only'], dryRun: args['dry-run'], outDir: args.out };
+
+  if (args.record && args.replay) throw new Error('Use either --record or --replay, not both');
+  if (args.record) configureFixtures({ mode: 'record', dir: args.record });
+  if (args.replay) configureFixtures({ mode: 'replay', dir: args.replay });
+
+  // Analysis only: no fetchers, no credentials beyond the Anthropic key
+  if (args['analyze-only']) {
+    if (args.backfill) throw new Error('--analyze-only runs a single saved bundle and can\'t be combined with --backfill');
+    if (isReplaying()) fillReplayEnv(['ANTHROPIC_API_KEY']);
+    const { window, data, sources } = loadBundle(args['analyze-only']);
+    await generateReport(window, { ...options, bundle: { sources, data } });
+    return;
+  }
+
+  if (isReplaying()) {
+    fillReplayEnv([...enabledSources().flatMap(sourceEnv), 'ANTHROPIC_API_KEY']);
+    // Replay the most recently recorded week unless one was asked for
+    if (!args['week-of'] && !args.from && !args.backfill) {
+      const [recorded] = readManifest().windows;
+      if (!recorded) throw new Error(`No recorded windows in ${fixtureDir()}/manifest.json`);
+      args.from = recorded.thisWeek.start;
+      args.to   = recorded.thisWeek.end;
+    }
+  }
+
+  if (!args.backfill) {
+    await generateReport(reportingWindow({ weekOf: args['week-of'], from: args.from, to: args.to }), options);
+    return;
+  }
+
+  // Backfill: oldest first so the archive fills in chronological order.
+  // Weeks already archived are skipped unless --force is passed.
+  const weeks = parseInt(args.backfill, 10);
+  if (!(weeks > 0)) throw new Error('--backfill expects a number of weeks, e.g. --backfill 8');
+
+  const failed = [];
+  for (const weekOf of previousWeeks(weeks, args['week-of']).reverse()) {
+    if (!args.force && !args['dry-run'] && loadReport(weekOf)) {
+      console.log(`⏭️  ${weekOf} already archived — skipping (use --force to regenerate)`);
+      continue;
+    }
+    try {
+      await generateReport(reportingWindow({ weekOf }), options);
+    } catch (err) {
+      console.error(`❌ ${weekOf} failed: ${err.message}`);
+      failed.push(weekOf);
+    }
+    console.log('\n' + '─'.repeat(80) + '\n');
+  }
+
+  if (failed.length > 0) throw new Error(`Backfill failed for ${failed.length} week(s): ${failed.join(', ')}`);
+}
+
 main().catch(err => {
   console.error('\n💥 Fatal error:', err);
   process.exit(1);
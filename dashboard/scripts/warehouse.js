@@ -0,0 +1,80 @@
+// scripts/warehouse.js
+// Loads the report archive into the SQLite metrics warehouse
+// (lib/warehouse.js) and runs ad hoc questions against it.
+// generate-report.js keeps it current each week; this fills in the
+// weeks archived before it, or rebuilds it from scratch.
+//
+// Usage:
+//   node scripts/warehouse.js                        → weeks and row counts loaded so far
+//   node scripts/warehouse.js import                 → load every archived week
+//   node scripts/warehouse.js import 2025-02-10      → just these weeks
+//   node scripts/warehouse.js query "SELECT week_of, value FROM metrics WHERE metric_id = 'meta.costPerLead'"
+//   node scripts/warehouse.js --db ./other.db ...    → somewhere other than data/warehouse.db
+
+import { parseArgs } from 'util';
+
+import { listReports, loadReport } from '../lib/archive.js';
+import { openWarehouse, loadWeek, warehouseSummary, query, WAREHOUSE_PATH } from '../lib/warehouse.js';
+
+function importWeeks(db, weeks) {
+  const archived = listReports();
+  const targets  = weeks.length > 0 ? weeks : [...archived].reverse();
+  const unknown  = targets.filter(w => !archived.includes(w));
+  if (unknown.length > 0) throw new Error(`No archived report for ${unknown.join(', ')}`);
+  if (targets.length === 0) {
+    console.log('📭 The report archive is empty — nothing to import');
+    return;
+  }
+
+  console.log(`📥 Importing ${targets.length} archived week(s)...\n`);
+  for (const weekOf of targets) {
+    const counts = loadWeek(db, loadReport(weekOf));
+    const rows   = Object.values(counts).reduce((a, b) => a + b, 0);
+    console.log(`  ✅ ${weekOf}  ${rows} rows across ${Object.keys(counts).length} tables`);
+  }
+}
+
+function printSummary(db, file) {
+  const { weeks, rows } = warehouseSummary(db);
+  console.log(`🗄️  ${file}`);
+  console.log(`   ${weeks.length} week(s) loaded${weeks.length ? `: ${weeks[0]} → ${weeks[weeks.length - 1]}` : ''}\n`);
+  for (const [table, count] of Object.entries(rows)) {
+    console.log(`   ${table.padEnd(22)} ${String(count).padStart(7)}`);
+  }
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      db: { type: 'string', default: WAREHOUSE_PATH },
+    },
+    allowPositionals: true,
+  });
+  const [command = 'summary', ...rest] = positionals;
+
+  const db = await openWarehouse(args.db);
+  try {
+    if (command === 'import') {
+      importWeeks(db, rest);
+      console.log('');
+      printSummary(db, args.db);
+    } else if (command === 'query') {
+      if (!rest[0]) throw new Error('query needs an SQL statement, e.g. query "SELECT * FROM weeks"');
+      const rows = query(db, rest[0]);
+      if (rows.length === 0) console.log('(no rows)');
+      else console.table(rows);
+    } else if (command === 'summary') {
+      printSummary(db, args.db);
+    } else {
+      throw new Error(`Unknown command "${command}" — expected import, query or nothing`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Warehouse failed:', err.message);
+  process.exit(1);
+});
@@ -3,42 +3,36 @@ import {
   LineChart, Line, BarChart, Bar, PieChart, Pie, Cell,
   XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend
 } from "recharts";
+import reportSchema from "../schema/report.schema.json";
+import business from "../config/business.json";
+import { validate } from "../lib/schema.js";
+import { EVIDENCE_SECTIONS, parsePath, citedIn } from "../lib/evidence.js";
+import {
+  NAVY, CYAN, GREEN, AMBER, RED,
+  statusColor, statusBg, statusBorder, statusIcon,
+  fmt, fmtUnit, deltaParts, fmtDate, fmtDuration
+} from "../lib/format.js";
+import { metricsFor, metricDef, findMetric } from "../lib/metrics.js";
 
-// ── Brand ──────────────────────────────────────────────────────────────────
-const NAVY  = "#1a2854";
-const CYAN  = "#00bce5";
-const GREEN = "#059669";
-const AMBER = "#d97706";
-const RED   = "#dc2626";
+// ── Targets & thresholds (config/business.json) ────────────────────────────
+const CPL_KPI        = business.channels?.meta?.kpis?.costPerLead;
+const CPL_TARGET     = CPL_KPI?.goal != null ? business.goals.find(g => g.id === CPL_KPI.goal)?.target : CPL_KPI?.target;
+// Same thresholds the fetchers flag problemPages and lowFinishRateVideos by
+const UNBOUNCE_RULES = business.channels.unbounce.thresholds;
+const VIMEO_RULES    = business.channels.vimeo.thresholds;
 
 // ── Helpers ────────────────────────────────────────────────────────────────
-function statusColor(s)  { return s === "green" ? GREEN : s === "amber" ? AMBER : RED; }
-function statusBg(s)     { return s === "green" ? "#ecfdf5" : s === "amber" ? "#fffbeb" : "#fef2f2"; }
-function statusBorder(s) { return s === "green" ? "#6ee7b7" : s === "amber" ? "#fcd34d" : "#fca5a5"; }
-function statusIcon(s)   { return s === "green" ? "●" : s === "amber" ? "◐" : "●"; }
-function fmt(n, prefix = "", suffix = "") {
-  if (n == null) return "—";
-  return `${prefix}${typeof n === "number" ? n.toLocaleString() : n}${suffix}`;
-}
 function delta(n, invert = false) {
-  if (n == null) return null;
-  const up = n >= 0;
-  const good = invert ? !up : up;
-  return (
-    <span style={{ color: good ? GREEN : RED, fontWeight: 600, fontSize: 13 }}>
-      {up ? "▲" : "▼"} {Math.abs(n)}%
-    </span>
-  );
-}
-function fmtDate(iso) {
-  if (!iso) return "";
-  return new Date(iso).toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric" });
+  const d = deltaParts(n, invert);
+  if (!d) return null;
+  return <span style={{ color: d.color, fontWeight: 600, fontSize: 13 }}>{d.text}</span>;
 }
-function fmtDuration(secs) {
-  if (!secs) return "—";
-  const m = Math.floor(secs / 60);
-  const s = Math.floor(secs % 60);
-  return `${m}:${s.toString().padStart(2, "0")}`;
+
+// A KPI tile from a source's normalized metric records (lib/metrics.js):
+// formatted in the metric's unit, delta inverted where down is good
+function kpi(metrics, id, label) {
+  const m = findMetric(metrics, id);
+  return { label, val: m ? fmtUnit(m.value, m.unit) : null, d: m?.delta, invert: metricDef(id)?.better === "down" };
 }
 
 // ── Layout Components ──────────────────────────────────────────────────────
@@ -123,6 +117,162 @@ function Header({ data }) {
   );
 }
 
+// ── Section: Schema Warning ────────────────────────────────────────────────
+function SchemaWarning({ problems }) {
+  return (
+    <Card style={{ background: "#fffbeb", border: "1.5px solid #fcd34d" }}>
+      <Label color="#92400e">⚠ This report doesn't match the expected format</Label>
+      <p style={{ margin: "8px 0 10px", fontSize: 13, color: "#374151", lineHeight: 1.5 }}>
+        Sections or items with problems are hidden below rather than shown half-broken.
+      </p>
+      <ul style={{ margin: 0, paddingLeft: 18, fontSize: 12, color: "#92400e", lineHeight: 1.6 }}>
+        {problems.slice(0, 8).map((p, i) => <li key={i}><code>{p.path}</code> {p.message}</li>)}
+        {problems.length > 8 && <li>…and {problems.length - 8} more</li>}
+      </ul>
+    </Card>
+  );
+}
+
+// ── Section: Run Health ────────────────────────────────────────────────────
+// Reports from before runHealth existed only have { error } in rawData
+function sourceHealth(data) {
+  if (data.runHealth?.sources) return data.runHealth.sources;
+  return Object.fromEntries(Object.entries(data.rawData || {})
+    .filter(([, d]) => d?.error)
+    .map(([id, d]) => [id, { name: id, status: "failed", error: { message: d.error } }]));
+}
+
+function RunHealth({ data, labels }) {
+  const [open, setOpen] = useState(false);
+  const sources = sourceHealth(data);
+  const failed  = Object.entries(sources).filter(([, h]) => h.status === "failed");
+  const partial = Object.entries(sources).filter(([, h]) => h.status === "partial");
+  if (failed.length === 0 && partial.length === 0) return null;
+
+  const run   = data.runHealth;
+  const model = run?.model;
+  const secs  = ms => (ms == null ? "—" : `${(ms / 1000).toFixed(1)}s`);
+  const statusColors = { ok: GREEN, partial: AMBER, failed: RED, disabled: "#9ca3af" };
+
+  return (
+    <Card style={{ background: failed.length ? "#fef2f2" : "#fffbeb", border: `1.5px solid ${failed.length ? "#fca5a5" : "#fcd34d"}` }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Label color={failed.length ? "#991b1b" : "#92400e"}>⚠ Some data is missing this week</Label>
+        {run && (
+          <button onClick={() => setOpen(o => !o)} style={{ border: "none", background: "transparent", color: "#6b7280", fontSize: 12, cursor: "pointer" }}>
+            {open ? "Hide run details ▲" : "Show run details ▼"}
+          </button>
+        )}
+      </div>
+      <ul style={{ margin: "10px 0 0", paddingLeft: 18, fontSize: 13, color: "#374151", lineHeight: 1.7 }}>
+        {failed.map(([id, h]) => (
+          <li key={id}>
+            <strong>{labels[id] || h.name} section hidden</strong> — the {h.name} fetch failed
+            {h.error?.attempts > 1 && <> after {h.error.attempts} attempts</>}: <span style={{ color: "#6b7280" }}>{h.error?.message}</span>
+          </li>
+        ))}
+        {partial.map(([id, h]) => (
+          <li key={id}>
+            <strong>{labels[id] || h.name} is incomplete</strong> — {h.warnings.join("; ")}
+          </li>
+        ))}
+      </ul>
+      {open && run && (
+        <div style={{ marginTop: 14, fontSize: 12, color: "#374151" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: "#6b7280" }}>
+                <th style={{ padding: "4px 8px" }}>Source</th>
+                <th style={{ padding: "4px 8px" }}>Status</th>
+                <th style={{ padding: "4px 8px" }}>Time</th>
+                <th style={{ padding: "4px 8px" }}>Records</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(run.sources).map(([id, h]) => (
+                <tr key={id} style={{ borderTop: "1px solid #e5e9f0" }}>
+                  <td style={{ padding: "4px 8px", fontWeight: 600 }}>{h.name}</td>
+                  <td style={{ padding: "4px 8px", color: statusColors[h.status], fontWeight: 700, textTransform: "uppercase", fontSize: 11 }}>{h.status}</td>
+                  <td style={{ padding: "4px 8px" }}>{secs(h.durationMs)}</td>
+                  <td style={{ padding: "4px 8px", color: "#6b7280" }}>
+                    {Object.entries(h.records || {}).map(([k, v]) => `${v} ${k}`).join(", ") || "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {model && (
+            <p style={{ margin: "10px 8px 0", color: "#6b7280" }}>
+              {model.analysis === "rules" ? "Rules-based analysis" : model.model}
+              {model.calls > 0 && <> · {model.calls} call{model.calls === 1 ? "" : "s"} · {fmt(model.inputTokens)} input / {fmt(model.outputTokens)} output tokens</>}
+              {model.repairs > 0 && <> · {model.repairs} repair{model.repairs === 1 ? "" : "s"}</>}
+              {" "}· run took {secs(run.durationMs)} ({run.mode})
+            </p>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// ── Section: Automated Report Notice ───────────────────────────────────────
+function AutomatedNotice({ reason }) {
+  return (
+    <Card style={{ background: "#f3f4f6", border: "1.5px solid #d1d5db" }}>
+      <Label color="#374151">⚙ Automated report — no AI analysis</Label>
+      <p style={{ margin: "8px 0 0", fontSize: 13, color: "#374151", lineHeight: 1.5 }}>
+        Everything below comes from fixed threshold rules applied to this week's data. Actions and insights flag what moved, not why.
+        {reason && <><br /><span style={{ color: "#6b7280", fontSize: 12 }}>{reason}</span></>}
+      </p>
+    </Card>
+  );
+}
+
+// ── Section: Quarter Goals ─────────────────────────────────────────────────
+function Goals({ goals }) {
+  const pill = {
+    "on-track":  { label: "On Track",  color: GREEN,     bg: "#ecfdf5" },
+    "off-track": { label: "Off Track", color: RED,       bg: "#fef2f2" },
+    "no-data":   { label: "No Data",   color: "#6b7280", bg: "#f3f4f6" },
+  };
+  return (
+    <Card>
+      <SectionTitle accent={CYAN}>Quarter Goals</SectionTitle>
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(goals.length, 3)}, 1fr)`, gap: 12 }}>
+        {goals.map(g => {
+          const st = pill[g.status] || pill["no-data"];
+          const perWeek = g.aggregate === "sum" ? "/wk" : " /wk change";
+          return (
+            <div key={g.id} style={{ background: "#f8faff", borderRadius: 10, padding: "16px 18px", border: `1.5px solid ${st.color}33` }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+                <Label color="#6b7280">{g.priority ? `${g.priority} goal` : "Goal"}</Label>
+                <span style={{ background: st.bg, color: st.color, borderRadius: 20, padding: "2px 10px", fontSize: 11, fontWeight: 700, letterSpacing: 1, textTransform: "uppercase" }}>{st.label}</span>
+              </div>
+              <p style={{ margin: "0 0 10px", fontWeight: 700, color: NAVY, fontSize: 14 }}>{g.label}</p>
+              <div style={{ display: "flex", alignItems: "baseline", gap: 8 }}>
+                <span style={{ fontSize: 24, fontWeight: 800, color: NAVY, fontFamily: "'Lora', serif" }}>{fmtUnit(g.current, g.unit)}</span>
+                <span style={{ fontSize: 12, color: "#6b7280" }}>target {fmtUnit(g.target, g.unit)} by {fmtDate(g.deadline)}</span>
+              </div>
+              {g.progressPct != null && (
+                <div style={{ height: 6, background: "#e5e9f0", borderRadius: 3, margin: "10px 0", overflow: "hidden" }}>
+                  <div style={{ width: `${Math.max(0, Math.min(100, g.progressPct))}%`, height: "100%", background: st.color }} />
+                </div>
+              )}
+              {g.status !== "no-data" && (
+                <p style={{ margin: 0, fontSize: 12, color: "#374151", lineHeight: 1.6 }}>
+                  Pace {g.currentRunRate != null ? `${g.currentRunRate}${perWeek}` : "—"}
+                  {g.requiredRunRate != null && <> · Need {g.requiredRunRate}{perWeek}</>}
+                  <br />Projected <strong style={{ color: st.color }}>{fmtUnit(g.projected, g.unit)}</strong> with {g.weeksRemaining} week{g.weeksRemaining === 1 ? "" : "s"} left
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+}
+
 // ── Section: Verdict ───────────────────────────────────────────────────────
 function Verdict({ text }) {
   return (
@@ -136,7 +286,7 @@ function Verdict({ text }) {
 }
 
 // ── Section: Funnel Health ─────────────────────────────────────────────────
-function FunnelHealth({ health }) {
+function FunnelHealth({ health, baseline }) {
   const stages = ["awareness", "consideration", "conversion", "retention"];
   const labels = { awareness: "Awareness", consideration: "Consideration", conversion: "Conversion", retention: "Retention" };
 
@@ -165,6 +315,11 @@ function FunnelHealth({ health }) {
                 <span style={{ color: statusColor(h.status), fontSize: 18 }}>{statusIcon(h.status)}</span>
               </div>
               <p style={{ margin: 0, fontSize: 13, color: "#374151", lineHeight: 1.5 }}>{h.summary}</p>
+              {baseline?.[stage] && baseline[stage].status !== h.status && (
+                <p title={baseline[stage].summary} style={{ margin: "8px 0 0", fontSize: 11, color: "#6b7280" }}>
+                  Rules baseline: <span style={{ color: statusColor(baseline[stage].status), fontWeight: 700 }}>{statusIcon(baseline[stage].status)} {baseline[stage].status}</span>
+                </p>
+              )}
             </div>
           );
         })}
@@ -173,8 +328,227 @@ function FunnelHealth({ health }) {
   );
 }
 
+// ── Section: Unusual Movement ──────────────────────────────────────────────
+const ANOMALIES_SHOWN = 8;
+
+function Sparkline({ history, value, color }) {
+  const points = [...history, { weekOf: "this week", value }];
+  return (
+    <LineChart width={140} height={40} data={points} margin={{ top: 4, right: 4, left: 4, bottom: 4 }}>
+      <YAxis hide domain={["dataMin", "dataMax"]} />
+      <Line
+        type="monotone" dataKey="value" stroke="#94a3b8" strokeWidth={1.5} isAnimationActive={false}
+        dot={({ cx, cy, index }) => <circle key={index} cx={cx} cy={cy} r={index === points.length - 1 ? 3.5 : 0} fill={color} />}
+      />
+    </LineChart>
+  );
+}
+
+function Anomalies({ items, labels }) {
+  const [showAll, setShowAll] = useState(false);
+  const shown = showAll ? items : items.slice(0, ANOMALIES_SHOWN);
+  const tone  = { better: GREEN, worse: RED, neutral: NAVY };
+
+  return (
+    <Card>
+      <SectionTitle accent={AMBER}>📈 Unusual Movement ({items.length})</SectionTitle>
+      <p style={{ margin: "-8px 0 14px", fontSize: 12, color: "#6b7280" }}>
+        Each metric against its own 8–12 week trend. Anything not listed moved within its normal range.
+      </p>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        {shown.map(a => (
+          <div key={a.id} style={{
+            border: "1px solid #e5e9f0", borderRadius: 10, padding: "10px 16px",
+            display: "grid", gridTemplateColumns: "90px 2fr 1.4fr 140px", gap: 16, alignItems: "center"
+          }}>
+            <PriorityBadge p={a.severity} />
+            <div>
+              <Label color="#6b7280">{labels[a.source] || a.source}</Label>
+              <p style={{ margin: "4px 0 0", fontWeight: 600, color: NAVY, fontSize: 14 }}>{a.metric}</p>
+            </div>
+            <div style={{ fontSize: 13, color: "#374151" }}>
+              <strong style={{ color: tone[a.assessment] || NAVY, fontSize: 15 }}>{fmtUnit(a.value, a.unit)}</strong>
+              <span style={{ color: "#6b7280" }}> vs ~{fmtUnit(a.expected, a.unit)} expected</span>
+              <br />
+              <span style={{ fontSize: 11, color: "#9ca3af" }}>
+                z {a.z > 0 ? "+" : ""}{a.z} · {a.weeks} weeks{a.seasonal ? " · seasonally adjusted" : ""}
+              </span>
+            </div>
+            {a.history?.length > 1 && <Sparkline history={a.history} value={a.value} color={tone[a.assessment] || NAVY} />}
+          </div>
+        ))}
+      </div>
+      {items.length > ANOMALIES_SHOWN && (
+        <button onClick={() => setShowAll(v => !v)} style={{ marginTop: 12, background: "none", border: "none", color: CYAN, fontSize: 13, fontWeight: 600, cursor: "pointer", padding: 0 }}>
+          {showAll ? "Show fewer" : `Show all ${items.length}`}
+        </button>
+      )}
+    </Card>
+  );
+}
+
+// ── Section: Last Week's Calls ─────────────────────────────────────────────
+const OUTCOMES = {
+  "improved":  { label: "Improved",  icon: "▲", color: GREEN,     bg: "#ecfdf5" },
+  "regressed": { label: "Regressed", icon: "▼", color: RED,       bg: "#fef2f2" },
+  "no-change": { label: "No Change", icon: "■", color: AMBER,     bg: "#fffbeb" },
+  "no-data":   { label: "No Data",   icon: "?", color: "#6b7280", bg: "#f3f4f6" },
+};
+
+function OutcomePill({ outcome }) {
+  const o = OUTCOMES[outcome] || OUTCOMES["no-data"];
+  return (
+    <span style={{ background: o.bg, color: o.color, borderRadius: 20, padding: "2px 10px", fontSize: 11, fontWeight: 700, letterSpacing: 1, textTransform: "uppercase", whiteSpace: "nowrap" }}>
+      {o.icon} {o.label}
+    </span>
+  );
+}
+
+function FollowUps({ items, from }) {
+  const tally = Object.keys(OUTCOMES)
+    .map(outcome => [outcome, items.filter(f => f.outcome === outcome).length])
+    .filter(([, n]) => n > 0);
+
+  return (
+    <Card>
+      <SectionTitle accent={NAVY}>🔁 Last Week's Calls ({items.length})</SectionTitle>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 14 }}>
+        {from && <span style={{ fontSize: 12, color: "#6b7280" }}>From the report for the week of {fmtDate(from)}:</span>}
+        {tally.map(([outcome, n]) => (
+          <span key={outcome} style={{ fontSize: 12, fontWeight: 700, color: OUTCOMES[outcome].color }}>
+            {n} {OUTCOMES[outcome].label.toLowerCase()}
+          </span>
+        ))}
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        {items.map(f => (
+          <div key={f.id} style={{
+            border: `1.5px solid ${(OUTCOMES[f.outcome] || OUTCOMES["no-data"]).color}33`,
+            borderRadius: 10, padding: "14px 18px",
+            display: "grid", gridTemplateColumns: "120px 2fr 3fr", gap: 16, alignItems: "start"
+          }}>
+            <OutcomePill outcome={f.outcome} />
+            <div>
+              <Label color="#6b7280">{f.kind === "watch" ? "Watched" : "Action"}</Label>
+              <p style={{ margin: "6px 0 0", fontWeight: 600, color: NAVY, fontSize: 14 }}>{f.call || f.id}</p>
+              {f.threshold && (
+                <p style={{ margin: "6px 0 0", fontSize: 12, color: "#6b7280", lineHeight: 1.5 }}>
+                  Act if: {f.threshold}
+                  {f.thresholdCrossed != null && (
+                    <strong style={{ color: f.thresholdCrossed ? RED : "#6b7280" }}> — {f.thresholdCrossed ? "crossed" : "not crossed"}</strong>
+                  )}
+                </p>
+              )}
+            </div>
+            <p style={{ margin: 0, fontSize: 13, color: "#374151", lineHeight: 1.5 }}>{f.evidence}</p>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+// ── Section: Evidence ──────────────────────────────────────────────────────
+// Cited rows are matched on an identifying field rather than by position:
+// a panel draws meta.campaigns, but an action may cite the same campaign
+// as meta.underperforming[0]
+const ROW_IDS   = ["id", "videoId", "campaignId", "pageId", "campaignName", "pageName", "path", "key", "subject", "title"];
+const ROW_NAMES = ["campaignName", "pageName", "title", "subject", "key", "path"];
+const CITED_BG  = "#fefce8";
+
+function fmtCited(v) {
+  if (v == null) return "—";
+  return typeof v === "number" ? v.toLocaleString() : String(v);
+}
+
+// The list row a ref points into, or null for a headline figure
+function citedRecord(source, ref) {
+  const [list, index] = ref.keys;
+  return typeof index === "number" ? source?.[list]?.[index] ?? null : null;
+}
+
+function sameRecord(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  const field = ROW_IDS.find(f => a[f] != null && b[f] != null);
+  return field != null && a[field] === b[field];
+}
+
+// "focus" for the ref last clicked, "cited" for any other, else null
+function rowCitation(source, cited, focus, row) {
+  const hits = cited.filter(ref => sameRecord(citedRecord(source, ref), row));
+  if (hits.length === 0) return null;
+  return hits.some(ref => ref.path === focus) ? "focus" : "cited";
+}
+
+function citedStyle(state) {
+  if (state === "focus") return { background: "#fef9c3", outline: "2px solid #facc15", outlineOffset: -2 };
+  if (state === "cited") return { background: CITED_BG };
+  return {};
+}
+
+function citationLabel(source, ref) {
+  const record = citedRecord(source, ref);
+  const name   = record && ROW_NAMES.map(f => record[f]).find(v => v != null);
+  return [name ? `"${name}"` : null, ...(record ? ref.keys.slice(2) : ref.keys)]
+    .filter(k => k != null)
+    .join(" › ");
+}
+
+// Expandable list under an action, insight or do-not-touch card; clicking
+// a figure jumps to its source panel and highlights it there
+function EvidenceList({ refs, onCite }) {
+  const [open, setOpen] = useState(false);
+  if (!refs?.length) return null;
+  return (
+    <div style={{ marginTop: 10 }}>
+      <button onClick={() => setOpen(o => !o)} style={{
+        background: "none", border: "none", padding: 0, cursor: "pointer",
+        fontSize: 12, fontWeight: 600, color: "#6b7280"
+      }}>
+        {open ? "▾" : "▸"} Evidence ({refs.length})
+      </button>
+      {open && (
+        <div style={{ marginTop: 6, display: "flex", flexDirection: "column", gap: 4 }}>
+          {refs.map((ref, i) => (
+            <button key={i} onClick={() => onCite(ref)} title="Show in the source panel" style={{
+              display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12,
+              background: CITED_BG, border: "1px solid #fde68a", borderRadius: 6,
+              padding: "5px 10px", cursor: "pointer", textAlign: "left"
+            }}>
+              <code style={{ fontSize: 11, color: "#374151", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{ref.path}</code>
+              <span style={{ fontSize: 12, fontWeight: 700, color: NAVY, whiteSpace: "nowrap" }}>{fmtCited(ref.value)} →</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Strip at the top of a source panel listing every figure the report cites
+// from it, with the one last clicked outlined
+function CitedFigures({ source, cited, focus }) {
+  if (cited.length === 0) return null;
+  return (
+    <div style={{ background: CITED_BG, border: "1px solid #fde68a", borderRadius: 8, padding: "10px 14px", marginBottom: 20 }}>
+      <Label color="#92400e">📌 Cited in this report</Label>
+      <div style={{ marginTop: 8, display: "flex", gap: 6, flexWrap: "wrap" }}>
+        {cited.map((ref, i) => (
+          <span key={i} style={{
+            fontSize: 12, color: "#374151", background: "#fff", borderRadius: 6, padding: "3px 8px",
+            border: ref.path === focus ? "2px solid #facc15" : "1px solid #fde68a"
+          }}>
+            {citationLabel(source, ref)}: <strong style={{ color: NAVY }}>{fmtCited(ref.value)}</strong>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ── Section: Urgent Actions ────────────────────────────────────────────────
-function UrgentActions({ actions }) {
+function UrgentActions({ actions, onCite }) {
   const [expanded, setExpanded] = useState({});
   const toggle = (i) => setExpanded(p => ({ ...p, [i]: !p[i] }));
   const sorted = [...actions].sort((a, b) => {
@@ -221,6 +595,11 @@ function UrgentActions({ actions }) {
                     <Label color={CYAN}>How To</Label>
                     <p style={{ margin: "6px 0 0", fontSize: 13, color: "#1a2854", lineHeight: 1.5, fontWeight: 500 }}>{a.howTo}</p>
                   </div>
+                  {a.evidence?.length > 0 && (
+                    <div style={{ gridColumn: "1 / -1" }}>
+                      <EvidenceList refs={a.evidence} onCite={onCite} />
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -232,7 +611,7 @@ function UrgentActions({ actions }) {
 }
 
 // ── Section: Insights ──────────────────────────────────────────────────────
-function Insights({ insights }) {
+function Insights({ insights, onCite }) {
   const [filter, setFilter] = useState("all");
   const sources = ["all", ...new Set(insights.map(i => i.source))];
   const filtered = filter === "all" ? insights : insights.filter(i => i.source === filter);
@@ -296,6 +675,7 @@ function Insights({ insights }) {
               <span style={{ fontSize: 12, fontWeight: 700, color: "#0369a1" }}>→ ACTION: </span>
               <span style={{ fontSize: 13, color: "#0369a1" }}>{ins.recommendation}</span>
             </div>
+            <EvidenceList refs={ins.evidence} onCite={onCite} />
           </div>
         ))}
       </div>
@@ -304,7 +684,7 @@ function Insights({ insights }) {
 }
 
 // ── Section: Do Not Touch ──────────────────────────────────────────────────
-function DoNotTouch({ items }) {
+function DoNotTouch({ items, onCite }) {
   return (
     <Card>
       <SectionTitle accent={GREEN}>🔒 Do Not Touch ({items.length})</SectionTitle>
@@ -319,6 +699,7 @@ function DoNotTouch({ items }) {
             <div style={{ background: "#d1fae5", borderRadius: 6, padding: "6px 10px", display: "inline-block" }}>
               <span style={{ fontSize: 12, fontWeight: 700, color: "#065f46" }}>{item.metric}</span>
             </div>
+            <EvidenceList refs={item.evidence} onCite={onCite} />
           </div>
         ))}
       </div>
@@ -358,10 +739,116 @@ function WatchNextWeek({ items }) {
 }
 
 // ── Section: GA4 Panel ─────────────────────────────────────────────────────
-function GA4Panel({ ga4 }) {
-  const { overview, daily, channels, topPages, weekOverWeek } = ga4;
-  const tw = overview?.this_week || {};
-  const lw = overview?.last_week || {};
+// One configured funnel: bars sized against the users who entered, last
+// week's as a thin line beneath, the step with the biggest week-over-week
+// fall in completion picked out in red
+function FunnelChart({ ga4, funnel, steps, cited, focus }) {
+  const entered = Math.max(funnel.thisWeek.entered, funnel.lastWeek.entered, 1);
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <span style={{ fontWeight: 700, color: NAVY, fontSize: 13 }}>{funnel.name}</span>
+        <span style={{ fontSize: 12, color: "#6b7280" }}>
+          {fmtUnit(funnel.thisWeek.conversionRate, "percent")} end to end {delta(funnel.conversionRateDelta)}
+        </span>
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {steps.map(s => {
+          const worst = s.step === funnel.biggestDrop;
+          return (
+            <div key={s.position} style={{
+              display: "grid", gridTemplateColumns: "160px 1fr 150px", gap: 12, alignItems: "center",
+              padding: "8px 12px", borderRadius: 8,
+              background: worst ? "#fef2f2" : "#f8faff",
+              border: worst ? `1px solid ${RED}` : "1px solid transparent",
+              ...citedStyle(rowCitation(ga4, cited, focus, s))
+            }}>
+              <span style={{ fontSize: 12, fontWeight: 600, color: NAVY }}>
+                {s.position}. {s.step}
+                {worst && <div style={{ fontSize: 10, fontWeight: 700, color: RED, textTransform: "uppercase", letterSpacing: 1 }}>Biggest drop</div>}
+              </span>
+              <div>
+                <div style={{ height: 14, borderRadius: 4, background: worst ? RED : NAVY, width: `${(s.thisWeek.users / entered) * 100}%`, minWidth: 2 }} />
+                <div style={{ height: 3, marginTop: 3, borderRadius: 2, background: "#cbd5e1", width: `${((s.lastWeek?.users ?? 0) / entered) * 100}%` }} />
+              </div>
+              <span style={{ fontSize: 12, textAlign: "right" }}>
+                {fmt(s.thisWeek.users)} users
+                {s.thisWeek.completionRate != null && <> · {s.thisWeek.completionRate}% continue {delta(s.completionRateDelta)}</>}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Pages in reports from before engagementRate was pulled still have the counts
+function pageEngagement(p) {
+  return p.engagementRate ?? (p.sessions ? Math.round((p.engagedSessions / p.sessions) * 1000) / 10 : null);
+}
+
+// Sortable columns for the pages / devices / countries table: value sorts,
+// show renders. Device and country rows keep their figures under thisWeek.
+const GA4_COLUMNS = {
+  pages: [
+    { key: "sessions",            label: "Sessions",     value: p => p.sessions,            show: p => fmt(p.sessions) },
+    { key: "sessionsDelta",       label: "Δ Sessions",   value: p => p.sessionsDelta,       show: p => delta(p.sessionsDelta) ?? "—" },
+    { key: "engagementRate",      label: "Engaged",      value: pageEngagement,             show: p => fmtUnit(pageEngagement(p), "percent") },
+    { key: "engagementRateDelta", label: "Δ Engaged",    value: p => p.engagementRateDelta, show: p => delta(p.engagementRateDelta) ?? "—" },
+    { key: "bounceRate",          label: "Bounce Rate",  value: p => p.bounceRate,          show: p => p.bounceRate != null ? `${(p.bounceRate * 100).toFixed(1)}%` : "—" },
+    { key: "avgDuration",         label: "Avg Duration", value: p => p.avgDuration,         show: p => fmtDuration(p.avgDuration) }
+  ],
+  segments: [
+    { key: "sessions",            label: "Sessions",     value: r => r.thisWeek.sessions,       show: r => fmt(r.thisWeek.sessions) },
+    { key: "sessionsDelta",       label: "Δ Sessions",   value: r => r.sessionsDelta,           show: r => delta(r.sessionsDelta) ?? "—" },
+    { key: "engagementRate",      label: "Engaged",      value: r => r.thisWeek.engagementRate, show: r => fmtUnit(r.thisWeek.engagementRate, "percent") },
+    { key: "engagementRateDelta", label: "Δ Engaged",    value: r => r.engagementRateDelta,     show: r => delta(r.engagementRateDelta) ?? "—" }
+  ]
+};
+
+const GA4_VIEWS = {
+  pages:     { list: "topPages",  label: "Top Pages", heading: "Page",    name: p => p.path,    columns: GA4_COLUMNS.pages },
+  devices:   { list: "devices",   label: "Devices",   heading: "Device",  name: r => r.device,  columns: GA4_COLUMNS.segments },
+  countries: { list: "countries", label: "Countries", heading: "Country", name: r => r.country, columns: GA4_COLUMNS.segments }
+};
+
+function GA4Panel({ ga4, cited = [], focus }) {
+  const { daily, channels, conversionsByChannel, funnels, funnelSteps } = ga4;
+  const metrics = metricsFor({ ga4 });
+  const [view, setView] = useState("pages");
+  const [sort, setSort] = useState({ key: "sessions", desc: true });
+
+  // Switch to the tab holding the figure last clicked, if it has one
+  useEffect(() => {
+    const list = cited.find(ref => ref.path === focus)?.keys[0];
+    const tab  = Object.keys(GA4_VIEWS).find(k => GA4_VIEWS[k].list === list);
+    if (tab) setView(tab);
+  }, [focus]);
+
+  // Reports from before devices and countries were pulled only have pages
+  const views   = Object.keys(GA4_VIEWS).filter(k => ga4[GA4_VIEWS[k].list]?.length > 0);
+  const current = GA4_VIEWS[view];
+  const column  = current.columns.find(c => c.key === sort.key) ?? current.columns[0];
+  const rows    = [...(ga4[current.list] || [])].sort((a, b) => {
+    const x = column.value(a);
+    const y = column.value(b);
+    if (x == null || y == null) return (x == null) - (y == null);  // Blanks last either way
+    return sort.desc ? y - x : x - y;
+  });
+  const sortBy = key => setSort(s => ({ key, desc: s.key === key ? !s.desc : true }));
+
+  // Reports from before key events were pulled have no conversion figures
+  const tiles = [
+    kpi(metrics, "ga4.sessions", "Sessions"),
+    kpi(metrics, "ga4.newUsers", "New Users"),
+    kpi(metrics, "ga4.engagedSessions", "Engaged Sessions"),
+    kpi(metrics, "ga4.bounceRate", "Bounce Rate"),
+    ...(ga4.conversions?.this_week ? [
+      kpi(metrics, "ga4.conversions", "Conversions"),
+      kpi(metrics, "ga4.conversionRate", "Conversion Rate")
+    ] : [])
+  ];
 
   const dailyData = (daily || []).map(d => ({
     date: `${d.date.slice(4, 6)}/${d.date.slice(6, 8)}`,
@@ -377,15 +864,11 @@ function GA4Panel({ ga4 }) {
   return (
     <Card>
       <SectionTitle accent="#4f46e5">GA4 — Website Analytics</SectionTitle>
+      <CitedFigures source={ga4} cited={cited} focus={focus} />
 
       {/* KPI Row */}
-      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 24 }}>
-        {[
-          { label: "Sessions", val: tw.sessions, d: weekOverWeek?.sessionsDelta },
-          { label: "New Users", val: tw.newUsers, d: weekOverWeek?.newUsersDelta },
-          { label: "Engaged Sessions", val: tw.engagedSessions, d: weekOverWeek?.engagementDelta },
-          { label: "Bounce Rate", val: tw.bounceRate ? `${(tw.bounceRate * 100).toFixed(1)}%` : null, d: weekOverWeek?.bounceRateDelta, invert: true }
-        ].map(({ label, val, d, invert }, i) => (
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${tiles.length > 4 ? 3 : 4}, 1fr)`, gap: 12, marginBottom: 24 }}>
+        {tiles.map(({ label, val, d, invert }, i) => (
           <div key={i} style={{ background: "#f8faff", borderRadius: 8, padding: "14px 16px" }}>
             <Label color="#6b7280">{label}</Label>
             <div style={{ fontSize: 24, fontWeight: 800, color: NAVY, margin: "6px 0 4px", fontFamily: "'Lora', serif" }}>
@@ -427,44 +910,138 @@ function GA4Panel({ ga4 }) {
         </div>
       </div>
 
-      {/* Top Pages */}
-      <Label color="#6b7280">Top Pages</Label>
+      {/* Funnels */}
+      {funnels?.length > 0 && (
+        <div style={{ marginBottom: 24 }}>
+          <div style={{ marginBottom: 10 }}>
+            <Label color="#6b7280">Funnels</Label>
+          </div>
+          {funnels.map(f => (
+            <FunnelChart key={f.name} ga4={ga4} funnel={f} steps={funnelSteps.filter(s => s.funnel === f.name)} cited={cited} focus={focus} />
+          ))}
+        </div>
+      )}
+
+      {/* Top pages / devices / countries — click a column to sort */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+        <Label color="#6b7280">{current.label}</Label>
+        {views.length > 1 && (
+          <div style={{ display: "flex", gap: 6 }}>
+            {views.map(k => (
+              <button key={k} onClick={() => setView(k)} style={{
+                padding: "4px 12px", borderRadius: 20, border: "1px solid",
+                fontSize: 12, fontWeight: 600, cursor: "pointer",
+                borderColor: view === k ? "#4f46e5" : "#e5e9f0",
+                background: view === k ? "#4f46e5" : "#fff",
+                color: view === k ? "#fff" : "#6b7280"
+              }}>{GA4_VIEWS[k].label}</button>
+            ))}
+          </div>
+        )}
+      </div>
       <div style={{ marginTop: 10, overflowX: "auto" }}>
         <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
           <thead>
             <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
-              {["Page", "Sessions", "Engaged", "Bounce Rate", "Avg Duration"].map(h => (
-                <th key={h} style={{ padding: "8px 12px", textAlign: h === "Page" ? "left" : "right", color: "#6b7280", fontWeight: 700, fontSize: 11 }}>{h}</th>
+              <th style={{ padding: "8px 12px", textAlign: "left", color: "#6b7280", fontWeight: 700, fontSize: 11 }}>{current.heading}</th>
+              {current.columns.map(c => (
+                <th key={c.key} onClick={() => sortBy(c.key)} style={{
+                  padding: "8px 12px", textAlign: "right", fontWeight: 700, fontSize: 11,
+                  cursor: "pointer", userSelect: "none", whiteSpace: "nowrap",
+                  color: c === column ? NAVY : "#6b7280"
+                }}>
+                  {c.label}{c === column ? (sort.desc ? " ↓" : " ↑") : ""}
+                </th>
               ))}
             </tr>
           </thead>
           <tbody>
-            {(topPages || []).slice(0, 6).map((p, i) => (
-              <tr key={i} style={{ borderBottom: "1px solid #f3f4f6" }}>
+            {rows.map((r, i) => (
+              <tr key={i} style={{ borderBottom: "1px solid #f3f4f6", ...citedStyle(rowCitation(ga4, cited, focus, r)) }}>
                 <td style={{ padding: "9px 12px", color: NAVY, fontWeight: 500, maxWidth: 240 }}>
                   <div style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
-                    {p.path}
+                    {current.name(r)}
                   </div>
                 </td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{p.sessions?.toLocaleString()}</td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{p.engagedSessions?.toLocaleString()}</td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{p.bounceRate != null ? `${(p.bounceRate * 100).toFixed(1)}%` : "—"}</td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{fmtDuration(p.avgDuration)}</td>
+                {current.columns.map(c => (
+                  <td key={c.key} style={{ padding: "9px 12px", textAlign: "right" }}>{c.show(r)}</td>
+                ))}
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+
+      {/* Conversions by Channel */}
+      {conversionsByChannel?.length > 0 && (
+        <>
+          <div style={{ marginTop: 24 }}>
+            <Label color="#6b7280">Conversions by Channel — {ga4.keyEvents.join(", ")}</Label>
+          </div>
+          <div style={{ marginTop: 10, overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
+                  {["Channel", "Sessions", "Conversions", "Conv. Rate", "Rate vs LW"].map(h => (
+                    <th key={h} style={{ padding: "8px 12px", textAlign: h === "Channel" ? "left" : "right", color: "#6b7280", fontWeight: 700, fontSize: 11 }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {[...conversionsByChannel]
+                  .sort((a, b) => (b.thisWeek.conversionRate ?? -1) - (a.thisWeek.conversionRate ?? -1))
+                  .map((c, i) => (
+                    <tr key={i} style={{ borderBottom: "1px solid #f3f4f6", ...citedStyle(rowCitation(ga4, cited, focus, c)) }}>
+                      <td style={{ padding: "9px 12px", color: NAVY, fontWeight: 500 }}>{c.channel}</td>
+                      <td style={{ padding: "9px 12px", textAlign: "right" }}>{c.thisWeek.sessions?.toLocaleString()}</td>
+                      <td style={{ padding: "9px 12px", textAlign: "right" }}>{c.thisWeek.conversions?.toLocaleString()}</td>
+                      <td style={{ padding: "9px 12px", textAlign: "right", fontWeight: 700 }}>{fmtUnit(c.thisWeek.conversionRate, "percent")}</td>
+                      <td style={{ padding: "9px 12px", textAlign: "right" }}>{delta(c.conversionRateDelta) ?? "—"}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
     </Card>
   );
 }
 
 // ── Section: GSC Panel ─────────────────────────────────────────────────────
-function GSCPanel({ gsc }) {
-  const { topQueries, risingQueries, opportunities } = gsc;
+const GSC_TABS = {
+  topQueries: "top", risingQueries: "rising", opportunities: "opportunities",
+  cannibalization: "cannibalization", decayingPages: "decaying",
+};
+
+// GSC reports full URLs; the path is enough to tell our own pages apart
+function urlPath(url) {
+  try { return new URL(url).pathname; } catch { return url; }
+}
+
+function GSCPanel({ gsc, cited = [], focus }) {
+  const { topQueries, risingQueries, opportunities, cannibalization, decayingPages } = gsc;
   const [view, setView] = useState("top");
-  const views = { top: topQueries, rising: risingQueries, opportunities };
+  const views = { top: topQueries, rising: risingQueries, opportunities, cannibalization, decaying: decayingPages };
+  const tabs  = [
+    ["top", "Top Queries"],
+    ["rising", `Rising (${(risingQueries||[]).length})`],
+    ["opportunities", `Opportunities (${(opportunities||[]).length})`],
+    ...(cannibalization ? [["cannibalization", `Cannibalization (${cannibalization.length})`]] : []),
+    ...(decayingPages ? [["decaying", `Decaying (${decayingPages.length})`]] : []),
+  ];
+
+  // Switch to the tab holding the figure last clicked, if it has one
+  useEffect(() => {
+    const list = cited.find(ref => ref.path === focus)?.keys[0];
+    const tab  = GSC_TABS[list];
+    if (tab) setView(tab);
+  }, [focus]);
   const data = (views[view] || []).slice(0, 12);
+  const th   = left => ({ padding: "8px 12px", textAlign: left ? "left" : "right", color: "#6b7280", fontWeight: 700, fontSize: 11 });
+  const td   = { padding: "9px 12px", textAlign: "right" };
+  const name = { padding: "9px 12px", color: NAVY, fontWeight: 500, maxWidth: 280 };
+  const clip = { overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
 
   return (
     <Card>
@@ -474,7 +1051,7 @@ function GSCPanel({ gsc }) {
           <h2 style={{ margin: 0, fontSize: 16, fontWeight: 700, color: NAVY, fontFamily: "'Lora', serif" }}>Google Search Console</h2>
         </div>
         <div style={{ display: "flex", gap: 6 }}>
-          {[["top", "Top Queries"], ["rising", `Rising (${(risingQueries||[]).length})`], ["opportunities", `Opportunities (${(opportunities||[]).length})`]].map(([k, l]) => (
+          {tabs.map(([k, l]) => (
             <button key={k} onClick={() => setView(k)} style={{
               padding: "4px 12px", borderRadius: 20, border: "1px solid",
               fontSize: 12, fontWeight: 600, cursor: "pointer",
@@ -485,57 +1062,125 @@ function GSCPanel({ gsc }) {
           ))}
         </div>
       </div>
+      <CitedFigures source={gsc} cited={cited} focus={focus} />
+
+      {view === "cannibalization" && (
+        <p style={{ fontSize: 12, color: "#6b7280", margin: "0 0 12px" }}>
+          Queries where two or more of our URLs each take at least 10% of the impressions — they split clicks and rank each other down.
+        </p>
+      )}
+      {view === "decaying" && (
+        <p style={{ fontSize: 12, color: "#6b7280", margin: "0 0 12px" }}>
+          Pages whose last 4 weeks of clicks average 30% or more below the weeks before, on a downward trend. Trend covers up to 12 weeks.
+        </p>
+      )}
 
       <div style={{ overflowX: "auto" }}>
-        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
-          <thead>
-            <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
-              {["Query", "Clicks", "Impressions", "CTR", "Position", ...(view === "top" ? ["Δ Position"] : [])].map(h => (
-                <th key={h} style={{ padding: "8px 12px", textAlign: h === "Query" ? "left" : "right", color: "#6b7280", fontWeight: 700, fontSize: 11 }}>{h}</th>
+        {view === "cannibalization" ? (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
+                {["Query", "Clicks", "Impressions", "Competing URLs (clicks · position)", "Top URL Share"].map(h => (
+                  <th key={h} style={th(h === "Query" || h.startsWith("Competing"))}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.map((q, i) => (
+                <tr key={i} style={{ borderBottom: "1px solid #f3f4f6", verticalAlign: "top", ...citedStyle(rowCitation(gsc, cited, focus, q)) }}>
+                  <td style={name}><div style={clip}>{q.key}</div></td>
+                  <td style={td}>{q.clicks}</td>
+                  <td style={td}>{q.impressions?.toLocaleString()}</td>
+                  <td style={{ padding: "9px 12px", maxWidth: 320 }}>
+                    {(q.pages || []).map((p, j) => (
+                      <div key={j} style={{ display: "flex", gap: 8, fontSize: 12 }}>
+                        <span style={{ ...clip, flex: 1, color: "#374151" }} title={p.page}>{urlPath(p.page)}</span>
+                        <span style={{ color: "#6b7280", whiteSpace: "nowrap" }}>{p.clicks} · {p.position}</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td style={td}>{q.topPageShare != null ? `${q.topPageShare}%` : "—"}</td>
+                </tr>
               ))}
-            </tr>
-          </thead>
-          <tbody>
-            {data.map((q, i) => (
-              <tr key={i} style={{ borderBottom: "1px solid #f3f4f6" }}>
-                <td style={{ padding: "9px 12px", color: NAVY, fontWeight: 500, maxWidth: 280 }}>
-                  <div style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{q.key}</div>
-                </td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{q.clicks}</td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{q.impressions?.toLocaleString()}</td>
-                <td style={{ padding: "9px 12px", textAlign: "right" }}>{q.ctr}%</td>
-                <td style={{ padding: "9px 12px", textAlign: "right", fontWeight: q.position <= 5 ? 700 : 400, color: q.position <= 3 ? GREEN : q.position <= 10 ? AMBER : "#374151" }}>
-                  {q.position}
-                </td>
-                {view === "top" && (
-                  <td style={{ padding: "9px 12px", textAlign: "right" }}>
-                    {q.positionDelta != null ? (
-                      <span style={{ color: q.positionDelta > 0 ? GREEN : q.positionDelta < 0 ? RED : "#6b7280", fontWeight: 600 }}>
-                        {q.positionDelta > 0 ? "▲" : q.positionDelta < 0 ? "▼" : "—"} {Math.abs(q.positionDelta)}
-                      </span>
-                    ) : "—"}
+            </tbody>
+          </table>
+        ) : view === "decaying" ? (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
+                {["Page", "Clicks", "Earlier Avg", "Last 4 Wks Avg", "Change", "Trend"].map(h => (
+                  <th key={h} style={th(h === "Page")}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.map((p, i) => (
+                <tr key={i} style={{ borderBottom: "1px solid #f3f4f6", ...citedStyle(rowCitation(gsc, cited, focus, p)) }}>
+                  <td style={name}><div style={clip} title={p.key}>{urlPath(p.key)}</div></td>
+                  <td style={td}>{p.clicks}</td>
+                  <td style={td}>{p.earlierClicks}</td>
+                  <td style={td}>{p.recentClicks}</td>
+                  <td style={{ ...td, color: RED, fontWeight: 600 }}>{p.clicksChange}%</td>
+                  <td style={{ padding: "4px 12px" }}>
+                    <Sparkline history={p.trend.slice(0, -1).map(value => ({ value }))} value={p.clicks} color={RED} />
                   </td>
-                )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
+                {["Query", "Clicks", "Impressions", "CTR", "Position", ...(view === "top" ? ["Δ Position"] : [])].map(h => (
+                  <th key={h} style={{ padding: "8px 12px", textAlign: h === "Query" ? "left" : "right", color: "#6b7280", fontWeight: 700, fontSize: 11 }}>{h}</th>
+                ))}
               </tr>
-            ))}
-          </tbody>
-        </table>
+            </thead>
+            <tbody>
+              {data.map((q, i) => (
+                <tr key={i} style={{ borderBottom: "1px solid #f3f4f6", ...citedStyle(rowCitation(gsc, cited, focus, q)) }}>
+                  <td style={{ padding: "9px 12px", color: NAVY, fontWeight: 500, maxWidth: 280 }}>
+                    <div style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{q.key}</div>
+                  </td>
+                  <td style={{ padding: "9px 12px", textAlign: "right" }}>{q.clicks}</td>
+                  <td style={{ padding: "9px 12px", textAlign: "right" }}>{q.impressions?.toLocaleString()}</td>
+                  <td style={{ padding: "9px 12px", textAlign: "right" }}>{q.ctr}%</td>
+                  <td style={{ padding: "9px 12px", textAlign: "right", fontWeight: q.position <= 5 ? 700 : 400, color: q.position <= 3 ? GREEN : q.position <= 10 ? AMBER : "#374151" }}>
+                    {q.position}
+                  </td>
+                  {view === "top" && (
+                    <td style={{ padding: "9px 12px", textAlign: "right" }}>
+                      {q.positionDelta != null ? (
+                        <span style={{ color: q.positionDelta > 0 ? GREEN : q.positionDelta < 0 ? RED : "#6b7280", fontWeight: 600 }}>
+                          {q.positionDelta > 0 ? "▲" : q.positionDelta < 0 ? "▼" : "—"} {Math.abs(q.positionDelta)}
+                        </span>
+                      ) : "—"}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
       </div>
     </Card>
   );
 }
 
 // ── Section: YouTube Panel ─────────────────────────────────────────────────
-function YouTubePanel({ youtube }) {
-  const { channel, thisWeek, weekOverWeek, topVideos } = youtube;
+function YouTubePanel({ youtube, cited = [], focus }) {
+  const { weekOverWeek, topVideos } = youtube;
+  const metrics = metricsFor({ youtube });
   return (
     <Card>
       <SectionTitle accent="#dc2626">YouTube Analytics</SectionTitle>
+      <CitedFigures source={youtube} cited={cited} focus={focus} />
       <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 20 }}>
         {[
-          { label: "Views", val: thisWeek?.views?.toLocaleString(), d: weekOverWeek?.viewsDelta },
-          { label: "Watch Minutes", val: thisWeek?.estimatedMinutesWatched?.toLocaleString(), d: weekOverWeek?.watchTimeDelta },
-          { label: "Avg View Duration", val: fmtDuration(thisWeek?.averageViewDuration), d: weekOverWeek?.avgDurationDelta },
+          kpi(metrics, "youtube.views", "Views"),
+          kpi(metrics, "youtube.watchMinutes", "Watch Minutes"),
+          kpi(metrics, "youtube.avgViewDuration", "Avg View Duration"),
           { label: "Net Subscribers", val: `+${weekOverWeek?.subscriberNetThis || 0}`, d: null }
         ].map(({ label, val, d }, i) => (
           <div key={i} style={{ background: "#fff5f5", borderRadius: 8, padding: "14px 16px" }}>
@@ -548,7 +1193,7 @@ function YouTubePanel({ youtube }) {
       <Label color="#6b7280">Top Videos This Week</Label>
       <div style={{ marginTop: 10, display: "flex", flexDirection: "column", gap: 8 }}>
         {(topVideos || []).slice(0, 5).map((v, i) => (
-          <div key={i} style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 14px", background: "#f8f9ff", borderRadius: 8 }}>
+          <div key={i} style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 14px", background: "#f8f9ff", borderRadius: 8, ...citedStyle(rowCitation(youtube, cited, focus, v)) }}>
             <span style={{ fontWeight: 800, color: "#9ca3af", fontSize: 15, width: 20 }}>#{i + 1}</span>
             <div style={{ flex: 1, overflow: "hidden" }}>
               <div style={{ fontWeight: 600, color: NAVY, fontSize: 13, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{v.title}</div>
@@ -565,17 +1210,19 @@ function YouTubePanel({ youtube }) {
 }
 
 // ── Section: Meta Panel ────────────────────────────────────────────────────
-function MetaPanel({ meta }) {
-  const { thisWeek, lastWeek, weekOverWeek, campaigns } = meta;
+function MetaPanel({ meta, cited = [], focus }) {
+  const { campaigns, postClickCampaigns, unmatchedUtmCampaigns } = meta;
+  const metrics = metricsFor({ meta });
   return (
     <Card>
       <SectionTitle accent="#2563eb">Meta Ads</SectionTitle>
+      <CitedFigures source={meta} cited={cited} focus={focus} />
       <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 20 }}>
         {[
-          { label: "Spend", val: `$${thisWeek?.spend?.toFixed(2)}`, d: weekOverWeek?.spendDelta },
-          { label: "Impressions", val: thisWeek?.impressions?.toLocaleString(), d: weekOverWeek?.impressionsDelta },
-          { label: "Leads", val: thisWeek?.leads, d: weekOverWeek?.leadsDelta },
-          { label: "Cost Per Lead", val: `$${thisWeek?.costPerLead?.toFixed(2)}`, d: weekOverWeek?.costPerLeadDelta, invert: true }
+          kpi(metrics, "meta.spend", "Spend"),
+          kpi(metrics, "meta.impressions", "Impressions"),
+          kpi(metrics, "meta.leads", "Leads"),
+          kpi(metrics, "meta.costPerLead", "Cost Per Lead")
         ].map(({ label, val, d, invert }, i) => (
           <div key={i} style={{ background: "#eff6ff", borderRadius: 8, padding: "14px 16px" }}>
             <Label color="#6b7280">{label}</Label>
@@ -587,14 +1234,14 @@ function MetaPanel({ meta }) {
       <Label color="#6b7280">Campaigns</Label>
       <div style={{ marginTop: 10, display: "flex", flexDirection: "column", gap: 6 }}>
         {(campaigns || []).map((c, i) => {
-          const target = 28;
-          const over = c.costPerLead > target;
+          const over = CPL_TARGET != null && c.costPerLead > CPL_TARGET;
           return (
             <div key={i} style={{
               display: "grid", gridTemplateColumns: "2fr 1fr 1fr 1fr 1fr",
               alignItems: "center", gap: 12, padding: "10px 14px",
               background: over ? "#fff5f5" : "#f8f9ff", borderRadius: 8,
-              border: over ? "1px solid #fca5a5" : "1px solid transparent"
+              border: over ? "1px solid #fca5a5" : "1px solid transparent",
+              ...citedStyle(rowCitation(meta, cited, focus, c))
             }}>
               <span style={{ fontWeight: 600, color: NAVY, fontSize: 13, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.campaignName}</span>
               <span style={{ fontSize: 12, textAlign: "right" }}>${c.spend?.toFixed(0)} spend</span>
@@ -607,13 +1254,55 @@ function MetaPanel({ meta }) {
           );
         })}
       </div>
+
+      {/* Post-click quality — Meta campaigns joined to GA4 UTM traffic (lib/attribution.js) */}
+      {postClickCampaigns?.length > 0 && (
+        <>
+          <div style={{ marginTop: 24 }}>
+            <Label color="#6b7280">Post-Click Quality (GA4)</Label>
+          </div>
+          <div style={{ marginTop: 10, overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e5e9f0" }}>
+                  {["Campaign", "Spend", "Sessions", "Engaged Rate", "Conversions", "Conv. per $"].map(h => (
+                    <th key={h} style={{ padding: "8px 12px", textAlign: h === "Campaign" ? "left" : "right", color: "#6b7280", fontWeight: 700, fontSize: 11 }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {postClickCampaigns.map((c, i) => (
+                  <tr key={i} style={{ borderBottom: "1px solid #f3f4f6", color: c.sessions == null ? "#9ca3af" : undefined, ...citedStyle(rowCitation(meta, cited, focus, c)) }}>
+                    <td style={{ padding: "9px 12px", color: c.sessions == null ? undefined : NAVY, fontWeight: 500, maxWidth: 240 }}>
+                      <div style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.campaignName}</div>
+                    </td>
+                    <td style={{ padding: "9px 12px", textAlign: "right" }}>{fmtUnit(c.spend, "usd")}</td>
+                    <td style={{ padding: "9px 12px", textAlign: "right" }}>{c.sessions == null ? "no UTM match" : c.sessions.toLocaleString()}</td>
+                    <td style={{ padding: "9px 12px", textAlign: "right" }}>{fmtUnit(c.engagedSessionRate, "percent")}</td>
+                    <td style={{ padding: "9px 12px", textAlign: "right" }}>{fmtUnit(c.conversions, "count")}</td>
+                    <td style={{ padding: "9px 12px", textAlign: "right", fontWeight: 700 }}>
+                      {c.conversionsPerDollar == null ? "—" : c.conversionsPerDollar.toFixed(3)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {unmatchedUtmCampaigns?.length > 0 && (
+            <div style={{ marginTop: 8, fontSize: 12, color: "#9ca3af" }}>
+              Meta traffic with no matching campaign: {unmatchedUtmCampaigns.join(", ")} — map these under meta.utmNames in config/sources.json.
+            </div>
+          )}
+        </>
+      )}
     </Card>
   );
 }
 
 // ── Section: Kit Panel ─────────────────────────────────────────────────────
-function KitPanel({ kit }) {
-  const { subscribers, averages, recentBroadcasts } = kit;
+function KitPanel({ kit, cited = [], focus }) {
+  const { subscribers, recentBroadcasts } = kit;
+  const metrics = metricsFor({ kit });
   const broadcastData = (recentBroadcasts || []).map((b, i) => ({
     name: `#${(recentBroadcasts.length - i)}`,
     openRate: b.openRate,
@@ -624,12 +1313,13 @@ function KitPanel({ kit }) {
   return (
     <Card>
       <SectionTitle accent={AMBER}>Kit Newsletter</SectionTitle>
+      <CitedFigures source={kit} cited={cited} focus={focus} />
       <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 20 }}>
         {[
-          { label: "Active Subscribers", val: subscribers?.active?.toLocaleString() },
+          kpi(metrics, "kit.activeSubscribers", "Active Subscribers"),
           { label: "New This Week", val: `+${subscribers?.newThisWeek}` },
-          { label: "Avg Open Rate", val: `${averages?.openRate}%` },
-          { label: "Avg Click Rate", val: `${averages?.clickRate}%` }
+          kpi(metrics, "kit.openRate", "Avg Open Rate"),
+          kpi(metrics, "kit.clickRate", "Avg Click Rate")
         ].map(({ label, val }, i) => (
           <div key={i} style={{ background: "#fffbeb", borderRadius: 8, padding: "14px 16px" }}>
             <Label color="#6b7280">{label}</Label>
@@ -658,7 +1348,8 @@ function KitPanel({ kit }) {
             display: "grid", gridTemplateColumns: "3fr 1fr 1fr 1fr",
             padding: "9px 12px", background: i === 0 ? "#fffbeb" : "#f8f9ff",
             borderRadius: 8, gap: 12, alignItems: "center",
-            border: i === 0 ? "1px solid #fcd34d" : "1px solid transparent"
+            border: i === 0 ? "1px solid #fcd34d" : "1px solid transparent",
+            ...citedStyle(rowCitation(kit, cited, focus, b))
           }}>
             <span style={{ fontSize: 12, fontWeight: 500, color: NAVY, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
               {i === 0 && "⭐ "}{b.subject}
@@ -674,11 +1365,12 @@ function KitPanel({ kit }) {
 }
 
 // ── Section: Unbounce Panel ────────────────────────────────────────────────
-function UnbouncePanel({ unbounce }) {
+function UnbouncePanel({ unbounce, cited = [], focus }) {
   const { topPages, activeABTests, averageConversionRate } = unbounce;
   return (
     <Card>
       <SectionTitle accent="#7c3aed">Unbounce — Landing Pages</SectionTitle>
+      <CitedFigures source={unbounce} cited={cited} focus={focus} />
       <div style={{ display: "grid", gridTemplateColumns: "3fr 2fr", gap: 20 }}>
         <div>
           <Label color="#6b7280">Pages by Visitors</Label>
@@ -686,12 +1378,13 @@ function UnbouncePanel({ unbounce }) {
             {(topPages || []).map((p, i) => {
               const pct = p.thisWeek?.conversionRate;
               const avg = averageConversionRate;
-              const flag = pct < avg * 0.5 && p.thisWeek?.visitors > 50;
+              const flag = pct < avg * UNBOUNCE_RULES.lowConversionRatio && p.thisWeek?.visitors > UNBOUNCE_RULES.minVisitors;
               return (
                 <div key={i} style={{
                   padding: "12px 14px", borderRadius: 8,
                   background: flag ? "#fff5f5" : "#f8f9ff",
-                  border: flag ? "1px solid #fca5a5" : "1px solid #e5e9f0"
+                  border: flag ? "1px solid #fca5a5" : "1px solid #e5e9f0",
+                  ...citedStyle(rowCitation(unbounce, cited, focus, p))
                 }}>
                   <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
                     <span style={{ fontWeight: 600, color: NAVY, fontSize: 13 }}>{p.pageName}</span>
@@ -746,16 +1439,18 @@ function UnbouncePanel({ unbounce }) {
 }
 
 // ── Section: Vimeo Panel ───────────────────────────────────────────────────
-function VimeoPanel({ vimeo }) {
+function VimeoPanel({ vimeo, cited = [], focus }) {
   const { topVideos, totals } = vimeo;
+  const metrics = metricsFor({ vimeo });
   return (
     <Card>
       <SectionTitle accent="#0891b2">Vimeo — Video Sales Letters</SectionTitle>
+      <CitedFigures source={vimeo} cited={cited} focus={focus} />
       <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12, marginBottom: 20 }}>
         {[
-          { label: "Total Plays", val: totals?.totalPlays },
-          { label: "Watch Minutes", val: totals?.totalWatchMinutes?.toLocaleString() },
-          { label: "Avg Finish Rate", val: `${totals?.avgFinishRate}%` }
+          kpi(metrics, "vimeo.plays", "Total Plays"),
+          kpi(metrics, "vimeo.watchMinutes", "Watch Minutes"),
+          kpi(metrics, "vimeo.finishRate", "Avg Finish Rate")
         ].map(({ label, val }, i) => (
           <div key={i} style={{ background: "#ecfeff", borderRadius: 8, padding: "14px 16px" }}>
             <Label color="#6b7280">{label}</Label>
@@ -766,12 +1461,13 @@ function VimeoPanel({ vimeo }) {
 
       {(topVideos || []).map((v, i) => {
         const eng = v.engagement;
-        const dropBad = v.thisWeek?.finishRate < 40;
+        const dropBad = v.thisWeek?.plays > VIMEO_RULES.minPlays && v.thisWeek?.finishRate < (totals?.avgFinishRate ?? 0) * VIMEO_RULES.lowFinishRatio;
         return (
           <div key={i} style={{
             border: dropBad ? "1.5px solid #fca5a5" : "1.5px solid #a5f3fc",
             borderRadius: 10, padding: "16px 20px", marginBottom: 12,
-            background: dropBad ? "#fff5f5" : "#f0fdfe"
+            background: dropBad ? "#fff5f5" : "#f0fdfe",
+            ...citedStyle(rowCitation(vimeo, cited, focus, v))
           }}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
               <span style={{ fontWeight: 700, color: NAVY, fontSize: 14 }}>{v.title}</span>
@@ -802,8 +1498,8 @@ function VimeoPanel({ vimeo }) {
                       <div style={{
                         width: 52, height: 32, borderRadius: 6, display: "flex", alignItems: "center", justifyContent: "center",
                         fontWeight: 700, fontSize: 14,
-                        background: val > 60 ? "#d1fae5" : val > 40 ? "#fef3c7" : "#fee2e2",
-                        color: val > 60 ? GREEN : val > 40 ? AMBER : RED
+                        background: val > VIMEO_RULES.retentionGood ? "#d1fae5" : val > VIMEO_RULES.retentionWarn ? "#fef3c7" : "#fee2e2",
+                        color: val > VIMEO_RULES.retentionGood ? GREEN : val > VIMEO_RULES.retentionWarn ? AMBER : RED
                       }}>{val != null ? `${val}%` : "—"}</div>
                     </div>
                   ))}
@@ -829,6 +1525,7 @@ export default function App() {
   const [data, setData] = useState(null);
   const [error, setError] = useState(null);
   const [activeNav, setActiveNav] = useState("overview");
+  const [focus, setFocus] = useState(null);   // Evidence path last clicked
 
   useEffect(() => {
     fetch("/insights.json")
@@ -844,13 +1541,13 @@ export default function App() {
     { id: "overview",  label: "Overview" },
     { id: "actions",   label: "Actions" },
     { id: "insights",  label: "Insights" },
-    { id: "ga4",       label: "GA4" },
-    { id: "gsc",       label: "Search" },
-    { id: "youtube",   label: "YouTube" },
-    { id: "meta",      label: "Meta Ads" },
-    { id: "kit",       label: "Email" },
-    { id: "unbounce",  label: "Landing Pages" },
-    { id: "vimeo",     label: "Vimeo" },
+    { id: "ga4",       label: "GA4",           source: true },
+    { id: "gsc",       label: "Search",        source: true },
+    { id: "youtube",   label: "YouTube",       source: true },
+    { id: "meta",      label: "Meta Ads",      source: true },
+    { id: "kit",       label: "Email",         source: true },
+    { id: "unbounce",  label: "Landing Pages", source: true },
+    { id: "vimeo",     label: "Vimeo",         source: true },
   ];
 
   const scrollTo = (id) => {
@@ -881,6 +1578,26 @@ export default function App() {
 
   const raw = data.rawData || {};
 
+  // Guard rendering with the same schema the generator validates against
+  const problems   = validate(reportSchema, data);
+  const within     = (path, prefix) => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`);
+  const broken     = key => problems.some(p => within(p.path, key));
+  const validItems = key => (Array.isArray(data[key]) ? data[key] : [])
+    .filter((_, i) => !problems.some(p => within(p.path, `${key}[${i}]`)));
+  // Sources disabled in config/sources.json are absent from rawData entirely,
+  // and failed ones have no panel to scroll to — RunHealth says why
+  const visibleNav = navItems.filter(item => !item.source || (raw[item.id] && !raw[item.id].error));
+  const sectionLabels = Object.fromEntries(navItems.map(item => [item.id, item.label]));
+
+  // Every figure the report cites, for highlighting in the source panels
+  const evidence = EVIDENCE_SECTIONS.flatMap(key => validItems(key).flatMap(item => item.evidence || []));
+  const cited    = id => citedIn(evidence, id);
+  const onCite   = ref => {
+    const [source] = parsePath(ref.path) ?? [];
+    setFocus(ref.path);
+    if (source) scrollTo(source);
+  };
+
   return (
     <div style={{ background: "#f1f5f9", minHeight: "100vh", fontFamily: "'Inter', system-ui, sans-serif" }}>
       <style>{`
@@ -896,7 +1613,7 @@ export default function App() {
       <div style={{ position: "sticky", top: 0, zIndex: 100, background: "#fff", borderBottom: "1px solid #e5e9f0", boxShadow: "0 1px 4px rgba(0,0,0,0.06)" }}>
         <Header data={data} />
         <nav style={{ padding: "0 40px", display: "flex", gap: 4, overflowX: "auto" }}>
-          {navItems.map(item => (
+          {visibleNav.map(item => (
             <button
               key={item.id}
               className="nav-item"
@@ -922,48 +1639,54 @@ export default function App() {
       <main style={{ maxWidth: 1280, margin: "0 auto", padding: "28px 40px", display: "flex", flexDirection: "column", gap: 24 }}>
 
         <div id="section-overview" />
-        <Verdict text={data.weeklyVerdict} />
-        <FunnelHealth health={data.funnelHealth} />
+        {problems.length > 0 && <SchemaWarning problems={problems} />}
+        <RunHealth data={data} labels={sectionLabels} />
+        {data.analysis === "rules" && <AutomatedNotice reason={data.fallbackReason} />}
+        {(data.goalProgress || []).length > 0 && <Goals goals={data.goalProgress} />}
+        {!broken("weeklyVerdict") && <Verdict text={data.weeklyVerdict} />}
+        {!broken("funnelHealth") && <FunnelHealth health={data.funnelHealth} baseline={data.rulesBaseline?.funnelHealth} />}
+        {validItems("anomalies").length > 0 && <Anomalies items={validItems("anomalies")} labels={sectionLabels} />}
 
         <div id="section-actions" />
-        <UrgentActions actions={data.urgentActions || []} />
+        {validItems("followUps").length > 0 && <FollowUps items={validItems("followUps")} from={data.followUpsFrom} />}
+        <UrgentActions actions={validItems("urgentActions")} onCite={onCite} />
 
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
-          <DoNotTouch items={data.doNotTouch || []} />
-          <WatchNextWeek items={data.watchNextWeek || []} />
+          <DoNotTouch items={validItems("doNotTouch")} onCite={onCite} />
+          <WatchNextWeek items={validItems("watchNextWeek")} />
         </div>
 
         <div id="section-insights" />
-        <Insights insights={data.insights || []} />
+        <Insights insights={validItems("insights")} onCite={onCite} />
 
         <div id="section-ga4" />
-        {raw.ga4 && !raw.ga4.error && <GA4Panel ga4={raw.ga4} />}
+        {raw.ga4 && !raw.ga4.error && <GA4Panel ga4={raw.ga4} cited={cited("ga4")} focus={focus} />}
 
         <div id="section-gsc" />
-        {raw.gsc && !raw.gsc.error && <GSCPanel gsc={raw.gsc} />}
+        {raw.gsc && !raw.gsc.error && <GSCPanel gsc={raw.gsc} cited={cited("gsc")} focus={focus} />}
 
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
           <div>
             <div id="section-youtube" />
-            {raw.youtube && !raw.youtube.error && <YouTubePanel youtube={raw.youtube} />}
+            {raw.youtube && !raw.youtube.error && <YouTubePanel youtube={raw.youtube} cited={cited("youtube")} focus={focus} />}
           </div>
           <div>
             <div id="section-meta" />
-            {raw.meta && !raw.meta.error && <MetaPanel meta={raw.meta} />}
+            {raw.meta && !raw.meta.error && <MetaPanel meta={raw.meta} cited={cited("meta")} focus={focus} />}
           </div>
         </div>
 
         <div id="section-kit" />
-        {raw.kit && !raw.kit.error && <KitPanel kit={raw.kit} />}
+        {raw.kit && !raw.kit.error && <KitPanel kit={raw.kit} cited={cited("kit")} focus={focus} />}
 
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
           <div>
             <div id="section-unbounce" />
-            {raw.unbounce && !raw.unbounce.error && <UnbouncePanel unbounce={raw.unbounce} />}
+            {raw.unbounce && !raw.unbounce.error && <UnbouncePanel unbounce={raw.unbounce} cited={cited("unbounce")} focus={focus} />}
           </div>
           <div>
             <div id="section-vimeo" />
-            {raw.vimeo && !raw.vimeo.error && <VimeoPanel vimeo={raw.vimeo} />}
+            {raw.vimeo && !raw.vimeo.error && <VimeoPanel vimeo={raw.vimeo} cited={cited("vimeo")} focus={focus} />}
           </div>
         </div>
 
@@ -0,0 +1,54 @@
+// Malformed model replies must come back as problems for a repair round,
+// never as an exception that ends the run.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkResponse, repairPrompt } from '../lib/response.js';
+
+const data = { meta: { thisWeek: { leads: 42 } } };
+
+function expectRepair(reply, options = {}) {
+  const { problems } = checkResponse(JSON.stringify(reply), { previous: null, data, ...options });
+  assert.ok(problems.length > 0, 'a malformed reply should have problems');
+  assert.match(repairPrompt(problems), /Fix exactly these problems/);
+  return problems;
+}
+
+test('insights as a string', () => {
+  expectRepair({ insights: 'Leads were up' });
+});
+
+test('a null item in an evidence section', () => {
+  expectRepair({ urgentActions: [null], insights: [], doNotTouch: [] });
+});
+
+test('a null evidence ref', () => {
+  expectRepair({ insights: [{ evidence: [null, { path: 'meta.thisWeek.leads', value: 42 }] }] });
+});
+
+test('evidence that is not a list', () => {
+  expectRepair({ doNotTouch: [{ evidence: 'meta.thisWeek.leads' }] });
+});
+
+test('a reply that is not JSON', () => {
+  const { value, problems } = checkResponse('Here is the report: {', { previous: null, data });
+  assert.equal(value, null);
+  assert.match(problems[0], /not valid JSON/);
+});
+
+// ── Follow-ups ────────────────────────────────────────────────────────────────
+const previous = {
+  weekOf: '2025-02-03',
+  calls:  [{ id: 'action-1', kind: 'action', call: 'Pause the cold campaign' }],
+};
+
+test('a null follow-up entry', () => {
+  const problems = expectRepair({ followUps: [null] }, { previous });
+  assert.ok(problems.includes('followUps is missing an entry for action-1'));
+});
+
+test('follow-ups that are not a list', () => {
+  const problems = expectRepair({ followUps: 'improved' }, { previous });
+  assert.ok(problems.some(p => p.startsWith('followUps is required')));
+});
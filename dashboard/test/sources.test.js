@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getSource, missingEnv } from '../fetchers/index.js';
+
+const UNBOUNCE_ENV = ['UNBOUNCE_ACCESS_TOKEN', 'UNBOUNCE_REFRESH_TOKEN', 'UNBOUNCE_CLIENT_ID', 'UNBOUNCE_CLIENT_SECRET'];
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(UNBOUNCE_ENV.map(name => [name, process.env[name]]));
+  UNBOUNCE_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, values);
+  try {
+    fn();
+  } finally {
+    UNBOUNCE_ENV.forEach(name => (saved[name] == null ? delete process.env[name] : (process.env[name] = saved[name])));
+  }
+}
+
+test('Unbounce runs on an access token alone', () => {
+  withEnv({ UNBOUNCE_ACCESS_TOKEN: 't' }, () => assert.deepEqual(missingEnv(getSource('unbounce')), []));
+});
+
+test('Unbounce runs on the refresh credentials alone', () => {
+  withEnv({ UNBOUNCE_REFRESH_TOKEN: 'r', UNBOUNCE_CLIENT_ID: 'c', UNBOUNCE_CLIENT_SECRET: 's' }, () => {
+    assert.deepEqual(missingEnv(getSource('unbounce')), []);
+  });
+});
+
+test('Unbounce with half the refresh credentials is not configured', () => {
+  withEnv({ UNBOUNCE_REFRESH_TOKEN: 'r' }, () => {
+    assert.deepEqual(missingEnv(getSource('unbounce')), [
+      'UNBOUNCE_ACCESS_TOKEN or UNBOUNCE_REFRESH_TOKEN + UNBOUNCE_CLIENT_ID + UNBOUNCE_CLIENT_SECRET',
+    ]);
+  });
+});